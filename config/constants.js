@@ -7,13 +7,93 @@ module.exports = {
   // Rate Limiting
   RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: 200,
+  AUTH_RATE_LIMIT_MAX_REQUESTS: 20, // register/login attempts per IP per window
+  // Socket events: token buckets per socket and per user (SOCKET_RATE_LIMITS env
+  // overrides with the same JSON shape); capacity is the burst, refillPerSecond the rate
+  SOCKET_RATE_LIMITS: {
+    chat: { // chat_message
+      socket: { capacity: 5, refillPerSecond: 0.2 },
+      user: { capacity: 10, refillPerSecond: 0.5 }
+    },
+    audio: { // audio_stream chunks
+      socket: { capacity: 50, refillPerSecond: 15 },
+      user: { capacity: 100, refillPerSecond: 30 }
+    }
+  },
+  SOCKET_ABUSE_WINDOW: 60 * 1000,
+  SOCKET_ABUSE_MAX_VIOLATIONS: 30, // rate-limited events in the window before the socket is disconnected
+
+  // Monitoring (admin API)
+  ERROR_RATE_WINDOW: 15 * 60 * 1000, // rolling window for HTTP and socket error rates
+  MAX_RECENT_FAILURES: 100, // failures kept for /api/v1/admin/errors
+
+  // Authentication
+  ACCESS_TOKEN_TTL: 15 * 60, // seconds
+  REFRESH_TOKEN_TTL: 30 * 24 * 60 * 60, // seconds
+  MAX_SESSIONS_PER_USER: 10, // signed-in devices; the oldest is signed out
+
+  // Quotas: AI replies and OpenRouter tokens per user, by plan (QUOTA_PLANS env
+  // overrides with the same JSON shape; null means unlimited)
+  DEFAULT_PLAN: 'free',
+  QUOTA_PLANS: {
+    free: {
+      daily: { requests: 200, tokens: 100000 },
+      monthly: { requests: 3000, tokens: 1500000 }
+    },
+    pro: {
+      daily: { requests: 2000, tokens: 1000000 },
+      monthly: { requests: 50000, tokens: 20000000 }
+    }
+  },
   
   // AI Service
-  DEFAULT_AI_MODEL: 'mistralai/mistral-nemo:free',
-  MAX_TOKENS: 500,
+  DEFAULT_AI_MODEL: 'mistralai/mistral-nemo:free', // unless OPENROUTER_MODEL is set
+  MAX_TOKENS: 500, // default reply length
   TEMPERATURE: 0.7,
+  MIN_TEMPERATURE: 0,
+  MAX_TEMPERATURE: 2,
+  ALLOWED_MODELS: { // models clients may choose, with their maxTokens limit (ALLOWED_MODELS env overrides)
+    'mistralai/mistral-nemo:free': 1000,
+    'openai/gpt-3.5-turbo': 1000
+  },
+  OPENROUTER_MAX_RETRIES: 2, // per model, after the first attempt
+  OPENROUTER_RETRY_BASE_DELAY: 500, // ms, doubled on each retry
+  OPENROUTER_RETRY_MAX_DELAY: 8000, // ms; a longer Retry-After moves on to the next fallback model
+  CIRCUIT_WINDOW: 60 * 1000, // rolling window for per-model error rate and latency
+  CIRCUIT_MIN_REQUESTS: 5, // requests in the window before the circuit can open
+  CIRCUIT_FAILURE_RATE: 0.5, // error rate that opens the circuit
+  CIRCUIT_OPEN_TIME: 30 * 1000, // fail fast this long before probing again
+  MAX_TOOL_ROUNDS: 5, // model requests per reply that may call tools
+  MAX_CLIENT_TOOLS: 32, // device tools a socket client may register
+  CLIENT_TOOL_TIMEOUT: 30 * 1000, // wait for a device's tool_result
+  DEFAULT_SYSTEM_PROMPT: 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.',
+  MAX_SYSTEM_PROMPT_LENGTH: 4000,
+  MAX_PROFILES_PER_USER: 50,
+
+  // Context Window
+  CONTEXT_TOKEN_BUDGET: 3000, // default prompt budget when a model has no entry below
+  MODEL_CONTEXT_BUDGETS: {
+    'openai/gpt-3.5-turbo': 12000,
+    'mistralai/mistral-nemo:free': 24000
+  },
+  CONTEXT_MAX_MESSAGES: 40, // fold older turns before MAX_CONVERSATION_MESSAGES trims them
+  CONTEXT_RECENT_RATIO: 0.5, // share of the history budget kept verbatim after folding
   
   // Audio Processing
   MAX_AUDIO_SIZE: 10 * 1024 * 1024, // 10MB
+  MAX_AUDIO_DURATION: 5 * 60, // seconds
+  AUDIO_SAMPLE_RATE: 16000, // canonical rate of the PCM handed to speech-to-text
+  AUDIO_SESSION_TIMEOUT: 30 * 1000, // abandon streams with no chunks for 30 seconds
+  AUDIO_REORDER_TIMEOUT: 3 * 1000, // wait for late chunks after the final one
+  AUDIO_PARTIAL_INTERVAL: 1500, // minimum gap between partial transcripts
+  AUDIO_PARTIAL_WINDOW: 10, // seconds of WAV/PCM audio a partial transcript covers
+  AUDIO_PARTIAL_MAX_BYTES: 512 * 1024, // no partials for longer streams in formats that can't be cut
+  MAX_AUDIO_SESSIONS_PER_SOCKET: 4,
+  PCM_SAMPLE_RATE: 16000, // assumed for raw "pcm" streams that don't give one
+
+  // Voice Activity Detection
+  VAD_SILENCE_MS: 800, // silence after speech that ends an utterance
+  VAD_MIN_SPEECH_MS: 250, // speech needed before silence counts
+  VAD_ENERGY_THRESHOLD: 0.02, // frame RMS (0-1) treated as speech
   SUPPORTED_AUDIO_FORMATS: ['mp3', 'wav', 'm4a', 'ogg']
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+const Busboy = require('busboy');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { MAX_AUDIO_SIZE } = require('../config/constants');
+
+// Content types accepted as a raw audio body
+const RAW_AUDIO_TYPE = /^(audio\/[\w.+-]+|application\/octet-stream)$/;
+const MAX_FORM_FIELDS = 20;
+const MAX_FIELD_SIZE = 64 * 1024;
+
+/**
+ * Receive an audio upload without holding it in memory: either
+ * multipart/form-data with the clip in an "audio" file field (other fields
+ * are copied to req.body), or a raw audio/* body with options in the query
+ * string. The clip is streamed to a temporary file, exposed as req.audioFile
+ * ({ path, size, mimeType, filename }) and deleted once the response is done.
+ */
+const receiveAudioUpload = (req, res, next) => {
+  const mimeType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const filePath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`);
+  let failed = false;
+
+  res.on('close', () => fs.rm(filePath, { force: true }, () => {}));
+
+  const fail = (statusCode, error, code) => {
+    if (failed) {
+      return;
+    }
+    failed = true;
+    // Stop reading; the rest of an oversized upload isn't wanted
+    req.unpipe();
+    req.resume();
+    res.set('Connection', 'close');
+    res.status(statusCode).json({ success: false, error, code });
+  };
+
+  const tooLarge = () => fail(
+    413,
+    `Audio exceeds the maximum size of ${Math.round(MAX_AUDIO_SIZE / 1024 / 1024)}MB`,
+    'AUDIO_TOO_LARGE'
+  );
+
+  const done = (file) => {
+    if (failed) {
+      return;
+    }
+    if (!file || file.size === 0) {
+      return fail(400, 'Audio file is required', 'MISSING_AUDIO_FILE');
+    }
+    req.audioFile = { path: filePath, ...file };
+    next();
+  };
+
+  if (mimeType === 'multipart/form-data') {
+    return receiveMultipart(req, filePath, { done, fail, tooLarge });
+  }
+
+  if (RAW_AUDIO_TYPE.test(mimeType)) {
+    if (parseInt(req.headers['content-length']) > MAX_AUDIO_SIZE) {
+      return tooLarge();
+    }
+    return saveStream(req, filePath, (error, size) => {
+      if (error) {
+        return error.code === 'AUDIO_TOO_LARGE' ? tooLarge() : fail(400, 'Upload failed', 'UPLOAD_FAILED');
+      }
+      done({ size, mimeType, filename: null });
+    });
+  }
+
+  fail(415, 'Upload audio as multipart/form-data or with an audio/* Content-Type', 'UNSUPPORTED_MEDIA_TYPE');
+};
+
+const receiveMultipart = (req, filePath, { done, fail, tooLarge }) => {
+  let busboy;
+  try {
+    busboy = Busboy({
+      headers: req.headers,
+      limits: { files: 1, fields: MAX_FORM_FIELDS, fieldSize: MAX_FIELD_SIZE }
+    });
+  } catch (error) {
+    return fail(400, 'Malformed multipart body', 'INVALID_UPLOAD');
+  }
+
+  req.body = {};
+  let upload = null;
+
+  busboy.on('field', (name, value) => {
+    req.body[name] = value;
+  });
+
+  busboy.on('file', (name, stream, { filename, mimeType }) => {
+    if (name !== 'audio' || upload) {
+      stream.resume();
+      return;
+    }
+    upload = new Promise((resolve) => {
+      saveStream(stream, filePath, (error, size) => {
+        // Reject an oversized file straight away rather than reading the rest of the body
+        if (error && error.code === 'AUDIO_TOO_LARGE') {
+          tooLarge();
+        } else if (error) {
+          fail(400, 'Upload failed', 'UPLOAD_FAILED');
+        }
+        resolve(error ? null : { size, mimeType, filename });
+      });
+    });
+  });
+
+  busboy.on('error', () => fail(400, 'Malformed multipart body', 'INVALID_UPLOAD'));
+
+  busboy.on('close', async () => done(upload ? await upload : null));
+
+  req.pipe(busboy);
+};
+
+// Write a stream to disk, failing with code AUDIO_TOO_LARGE past MAX_AUDIO_SIZE
+const saveStream = (source, filePath, callback) => {
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, next) {
+      size += chunk.length;
+      if (size > MAX_AUDIO_SIZE) {
+        const error = new Error('Upload too large');
+        error.code = 'AUDIO_TOO_LARGE';
+        return next(error);
+      }
+      next(null, chunk);
+    }
+  });
+
+  // The source isn't part of the pipeline, so a failed write doesn't destroy the request
+  source.on('error', (error) => limit.destroy(error));
+  source.pipe(limit);
+  pipeline(limit, fs.createWriteStream(filePath), (error) => {
+    if (error) {
+      source.unpipe(limit);
+      source.resume();
+    }
+    callback(error || null, size);
+  });
+};
+
+module.exports = {
+  receiveAudioUpload
+};
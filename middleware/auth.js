@@ -1,32 +1,88 @@
-// Simple API key validation middleware
-const validateApiKey = (req, res, next) => {
-  // Skip authentication in development
-  if (process.env.NODE_ENV === 'development') {
-    return next();
-  }
+const { AuthError } = require('../services/auth');
 
-  // Get API key from header
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  // For production, you can validate against environment variables
-  const validApiKeys = process.env.VALID_API_KEYS ? process.env.VALID_API_KEYS.split(',') : [];
-  
-  // If no API keys are configured, allow all requests
-  if (validApiKeys.length === 0) {
-    return next();
-  }
-  
-  if (!apiKey || !validApiKeys.includes(apiKey)) {
-    return res.status(401).json({
+// Token from "Authorization: Bearer <token>"
+const readBearerToken = (header) => {
+  const match = typeof header === 'string' ? header.match(/^Bearer\s+(\S+)$/i) : null;
+  return match ? match[1] : null;
+};
+
+/**
+ * Require a valid access token (see AuthService) and attach the caller as
+ * req.user ({ id, username, role, sessionId }) and req.userId, which owns
+ * conversations and profiles.
+ * @param {AuthService} authService
+ * @returns {Function} Express middleware
+ */
+const createAuthenticate = (authService) => async (req, res, next) => {
+  const token = readBearerToken(req.headers.authorization);
+
+  try {
+    if (!token) {
+      throw new AuthError('Authorization header with a Bearer access token is required', 'MISSING_TOKEN');
+    }
+    req.user = await authService.authenticate(token);
+    req.userId = req.user.id;
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      return next(error);
+    }
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(error.statusCode).json({
       success: false,
-      error: 'Invalid or missing API key',
-      code: 'INVALID_API_KEY'
+      error: error.message,
+      code: error.code
     });
   }
-  
-  next();
+};
+
+/**
+ * Socket.IO middleware doing the same for the handshake. The token comes from
+ * auth.token or the Authorization header; a rejected client gets connect_error
+ * with the reason in error.data.code. Sets socket.data.user and socket.data.userId;
+ * the server disconnects the socket when the token expires or its session ends.
+ * @param {AuthService} authService
+ * @returns {Function} (socket, next) => void
+ */
+const createSocketAuthenticate = (authService) => async (socket, next) => {
+  const token = socket.handshake.auth?.token || readBearerToken(socket.handshake.headers.authorization);
+
+  try {
+    if (!token) {
+      throw new AuthError('An access token is required', 'MISSING_TOKEN');
+    }
+    socket.data.user = await authService.authenticate(token);
+    socket.data.userId = socket.data.user.id;
+    next();
+  } catch (error) {
+    const rejection = new Error(error instanceof AuthError ? error.message : 'Authentication failed');
+    rejection.data = { code: error instanceof AuthError ? error.code : 'AUTH_ERROR' };
+    if (!(error instanceof AuthError)) {
+      console.error('Socket authentication error:', error);
+    }
+    next(rejection);
+  }
+};
+
+/**
+ * Only let through users with the given role; goes after createAuthenticate
+ * @param {string} role - e.g. "admin"
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (req.user?.role === role) {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    error: `This endpoint requires the ${role} role`,
+    code: 'FORBIDDEN'
+  });
 };
 
 module.exports = {
-  validateApiKey
-};
\ No newline at end of file
+  readBearerToken,
+  createAuthenticate,
+  createSocketAuthenticate,
+  requireRole
+};
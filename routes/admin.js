@@ -0,0 +1,252 @@
+const express = require('express');
+const { AuthError } = require('../services/auth');
+const { MAX_RECENT_FAILURES } = require('../config/constants');
+
+/**
+ * Admin routes: monitoring data for a dashboard and operator actions.
+ * Mounted behind requireRole('admin'); the first admin is the operator's
+ * ADMIN_USERNAME account (see AuthService.seedAdmin). Shared profiles are
+ * managed under /api/v1/admin/profiles (see routes/profiles.js).
+ * @param {Object} options
+ * @param {AdminService} options.adminService - Reports and actions
+ * @param {AuthService} options.authService - Accounts and roles
+ * @returns {express.Router}
+ */
+const createAdminRouter = ({ adminService, authService }) => {
+    const router = express.Router();
+
+    const handleError = (res, error, action) => {
+        console.error(`Admin ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action}`,
+            code: 'ADMIN_ERROR'
+        });
+    };
+
+    /**
+     * GET /api/v1/admin/overview
+     * Connected sockets and users, conversation totals, upstream status and
+     * error rates at a glance
+     */
+    router.get('/overview', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    ...(await adminService.getOverview()),
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'get overview');
+        }
+    });
+
+    /**
+     * GET /api/v1/admin/users
+     * All accounts with their role, plan and number of signed-in devices
+     */
+    router.get('/users', async (req, res) => {
+        try {
+            const users = await authService.listAccounts();
+
+            res.json({
+                success: true,
+                data: {
+                    users,
+                    total: users.length
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'list users');
+        }
+    });
+
+    /**
+     * PATCH /api/v1/admin/users/:id
+     * Change a user's role ({ "role": "user" | "admin" }) and/or quota plan
+     * ({ "plan": "pro" }, or null for the default plan). Admins can't change
+     * their own role, so the last admin can't lock everyone out.
+     */
+    router.patch('/users/:id', async (req, res) => {
+        try {
+            const { role, plan } = req.body;
+
+            if (role === undefined && plan === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'role or plan is required',
+                    code: 'NO_CHANGES'
+                });
+            }
+
+            if (role !== undefined && req.params.id === req.userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'You cannot change your own role',
+                    code: 'CANNOT_CHANGE_OWN_ROLE'
+                });
+            }
+
+            // Check both before changing either, so a bad value changes nothing
+            if (role !== undefined) {
+                authService.validateRole(role);
+            }
+            if (plan !== undefined) {
+                authService.validatePlan(plan);
+            }
+
+            let account = null;
+            if (role !== undefined) {
+                account = await authService.setRole(req.params.id, role);
+            }
+            if (plan !== undefined && (role === undefined || account)) {
+                account = await authService.setPlan(req.params.id, plan);
+            }
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: account
+            });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            handleError(res, error, 'update user');
+        }
+    });
+
+    /**
+     * GET /api/v1/admin/sockets
+     * Connected sockets with their user, device session and work in progress
+     * (?userId= for one user's devices)
+     */
+    router.get('/sockets', (req, res) => {
+        const sockets = adminService.listSockets({ userId: req.query.userId });
+
+        res.json({
+            success: true,
+            data: {
+                sockets,
+                total: sockets.length
+            }
+        });
+    });
+
+    /**
+     * DELETE /api/v1/admin/sockets/:id
+     * Disconnect a socket; the client gets an error with code DISCONNECTED_BY_ADMIN
+     */
+    router.delete('/sockets/:id', (req, res) => {
+        if (!adminService.disconnectSocket(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Socket not found',
+                code: 'SOCKET_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: req.params.id,
+                disconnected: true
+            }
+        });
+    });
+
+    /**
+     * GET /api/v1/admin/conversations
+     * Live conversations of all users, most recently used first, with their
+     * last messages and whether a reply is in progress
+     */
+    router.get('/conversations', async (req, res) => {
+        try {
+            const { stats, conversations } = await adminService.listConversations();
+
+            res.json({
+                success: true,
+                data: {
+                    stats,
+                    conversations,
+                    total: conversations.length
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'list conversations');
+        }
+    });
+
+    /**
+     * DELETE /api/v1/admin/conversations/:id
+     * End a conversation now: replies in progress are aborted, its history is
+     * deleted and the owner's devices get conversation_ended
+     */
+    router.delete('/conversations/:id', async (req, res) => {
+        try {
+            if (!(await adminService.endConversation(req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found',
+                    code: 'CONVERSATION_NOT_FOUND'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    id: req.params.id,
+                    ended: true
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'end conversation');
+        }
+    });
+
+    /**
+     * GET /api/v1/admin/usage
+     * OpenRouter tokens used today and this month (UTC) by model, across all
+     * users, with each model's circuit status
+     */
+    router.get('/usage', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                data: await adminService.getModelUsage()
+            });
+        } catch (error) {
+            handleError(res, error, 'get usage');
+        }
+    });
+
+    /**
+     * GET /api/v1/admin/errors
+     * Error rates of HTTP requests, socket replies and upstream models, and
+     * the most recent failures, newest first (?limit=, default all kept)
+     */
+    router.get('/errors', (req, res) => {
+        const limit = parseInt(req.query.limit) || MAX_RECENT_FAILURES;
+
+        res.json({
+            success: true,
+            data: adminService.getErrors(Math.min(Math.max(limit, 1), MAX_RECENT_FAILURES))
+        });
+    });
+
+    return router;
+};
+
+module.exports = createAdminRouter;
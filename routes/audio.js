@@ -1,62 +1,302 @@
 const express = require('express');
-const router = express.Router();
+const { receiveAudioUpload } = require('../middleware/audioUpload');
+const { SpeechToTextError } = require('../services/stt');
+const { TextToSpeechError } = require('../services/tts');
+const { ModelSettingsError } = require('../services/modelSettings');
+const { ProfileError } = require('../services/profileService');
+const { normalizeContext, localeFromHeader, PromptTemplateError } = require('../services/promptTemplate');
+const { QuotaError } = require('../services/quotaService');
+const { prepareAudio, AudioFormatError } = require('../services/audio');
+const { MAX_SYSTEM_PROMPT_LENGTH } = require('../config/constants');
 
-// POST /api/v1/audio/process - Process audio data
-router.post('/process', async (req, res) => {
+// Form fields and query parameters are strings; tts may be "true", "false" or a JSON object
+const parseFormValue = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+// Generation settings from JSON, or numbers sent as form fields
+const readGenerationSettings = (options, fromForm) => {
+  const number = (value) => (fromForm && typeof value === 'string' && value !== '' ? Number(value) : value);
+  return {
+    model: options.model,
+    temperature: number(options.temperature),
+    maxTokens: number(options.maxTokens)
+  };
+};
+
+// Audio from a JSON body (base64 audioData) or an upload (see
+// middleware/audioUpload.js). An upload stays on disk until prepareAudio
+// reads it, after the request has been validated.
+const readRequestAudio = (req) => {
+  const upload = req.audioFile;
+  const options = upload ? { ...req.query, ...req.body } : req.body;
+  return {
+    options,
+    input: upload || options.audioData,
+    size: upload ? upload.size : options.audioData?.length
+  };
+};
+
+// Rejected audio and speech-to-text failures carry their own status and code
+const sendAudioError = (res, error) => {
+  console.error('Audio processing error:', error);
+
+  const knownError = error instanceof AudioFormatError || error instanceof SpeechToTextError;
+  res.status(knownError ? error.statusCode : 500).json({
+    success: false,
+    error: knownError ? error.message : 'Audio processing failed',
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    code: knownError ? error.code : 'AUDIO_PROCESSING_ERROR'
+  });
+};
+
+const missingAudio = (res) => res.status(400).json({
+  success: false,
+  error: 'Audio data is required and must be a base64 string',
+  code: 'INVALID_AUDIO_DATA'
+});
+
+const quotaExceeded = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
+/**
+ * Transcribe a voice message and answer it. Takes base64 audioData in JSON,
+ * or an upload with the other options as form fields or query parameters.
+ * The session ID doubles as the conversation ID. With profileId, the
+ * profile's language is the transcription hint unless language is given.
+ * The user's quota is checked before the audio is transcribed.
+ * @param {Object} options
+ * @param {Object} options.speechToText - Speech-to-text provider
+ * @param {ChatService} options.chatService
+ * @param {ConversationService} options.conversationService
+ * @param {TextToSpeechService} options.textToSpeechService
+ * @returns {Function} Express handler
+ */
+const createAudioHandler = ({ speechToText, chatService, conversationService, textToSpeechService }) => async (req, res) => {
   try {
-    const { audioData, sessionId } = req.body;
+    const { options, input, size } = readRequestAudio(req);
+    const { sessionId, format, language, profileId } = options;
+    const conversationId = options.conversationId || sessionId;
+    const tts = req.audioFile ? parseFormValue(options.tts) : options.tts;
+
+    // Validate request
+    if (!input || (!req.audioFile && typeof input !== 'string')) {
+      return missingAudio(res);
+    }
+
+    if (conversationId && !conversationService.isValidConversationId(conversationId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid conversation ID',
+        code: 'INVALID_CONVERSATION_ID'
+      });
+    }
 
-    if (!audioData) {
+    if (!chatService.isValidSystemPrompt(options.systemPrompt)) {
       return res.status(400).json({
         success: false,
-        error: 'Audio data is required',
-        code: 'MISSING_AUDIO_DATA'
+        error: `systemPrompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`,
+        code: 'INVALID_SYSTEM_PROMPT'
       });
     }
 
-    console.log(`Processing audio data for session: ${sessionId}`);
+    if (!chatService.isSystemPromptAllowed(options.systemPrompt)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Custom system prompts are disabled on this server',
+        code: 'SYSTEM_PROMPT_NOT_ALLOWED'
+      });
+    }
 
-    // Simulate audio processing delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    if (conversationId && !(await conversationService.canAccess(conversationId, req.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
 
-    // In a real implementation, you would:
-    // 1. Decode the base64 audio
-    // 2. Send to speech-to-text service
-    // 3. Return transcription
+    let context;
+    let profile;
+    let ttsSettings;
+    let generation;
+    try {
+      const formContext = req.audioFile ? parseFormValue(options.context) : options.context;
+      context = normalizeContext(formContext, { locale: localeFromHeader(req.get('accept-language')) });
+      profile = await chatService.getProfile(profileId, req.userId);
+      ttsSettings = await chatService.resolveSpeechSettings(tts, conversationId, profile);
+      generation = await chatService.resolveGenerationSettings(
+        readGenerationSettings(options, Boolean(req.audioFile)),
+        conversationId,
+        profile
+      );
+      await chatService.checkQuota(req.user);
+    } catch (error) {
+      if (!(error instanceof TextToSpeechError || error instanceof ModelSettingsError
+        || error instanceof ProfileError || error instanceof PromptTemplateError
+        || error instanceof QuotaError)) {
+        throw error;
+      }
+      if (error instanceof QuotaError) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      });
+    }
 
-    const simulatedTranscription = "This is a simulated transcription of the audio message. In production, this would be the actual text from speech-to-text service.";
+    console.log(`Processing audio data, session: ${sessionId}, data length: ${size}`);
+
+    const audio = await prepareAudio(input, { format });
+    const transcript = await speechToText.transcribe(audio.audio, {
+      format: audio.format,
+      language: language || profile?.language || undefined
+    });
+
+    if (!transcript.text) {
+      return res.status(422).json({
+        success: false,
+        error: 'No speech detected in audio',
+        code: 'NO_SPEECH_DETECTED'
+      });
+    }
+
+    // Get AI response for the transcribed text
+    const reply = await chatService.reply({
+      message: transcript.text,
+      conversationId,
+      systemPrompt: options.systemPrompt,
+      profile,
+      context,
+      generation,
+      ownerId: req.userId
+    });
+    const { speech, speechError } = await textToSpeechService.speak(reply.response, ttsSettings);
 
     res.json({
       success: true,
       data: {
-        sessionId,
-        transcribedText: simulatedTranscription,
-        confidence: 0.95,
-        processingTime: 1.5,
+        response: reply.response,
+        speech,
+        ...(speechError && { speechError }),
+        transcribedText: transcript.text,
+        language: transcript.language,
+        confidence: transcript.confidence,
+        segments: transcript.segments,
+        conversationId: reply.conversationId,
+        newConversation: reply.newConversation,
+        model: reply.model,
+        attempts: reply.attempts,
+        generation: reply.generation,
+        toolCalls: reply.toolCalls,
         timestamp: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error('Audio processing error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process audio',
-      code: 'AUDIO_PROCESSING_ERROR'
-    });
+    sendAudioError(res, error);
   }
-});
+};
+
+/**
+ * Audio routes
+ * @param {Object} options - Same as createAudioHandler
+ * @returns {express.Router}
+ */
+const createAudioRouter = (options) => {
+  const router = express.Router();
+  const { speechToText, chatService } = options;
+  const handleAudio = createAudioHandler(options);
+
+  // POST /api/v1/audio/process - Process audio data (base64 audioData in JSON)
+  router.post('/process', handleAudio);
+
+  // POST /api/v1/audio/upload - Same, with the audio as a multipart file or raw audio/* body
+  router.post('/upload', receiveAudioUpload, handleAudio);
 
-// GET /api/v1/audio/health - Audio service health check
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      status: 'healthy',
-      service: 'audio-processing',
-      timestamp: new Date().toISOString()
+  // POST /api/v1/audio/transcribe - Transcription only, no AI response; counts
+  // as a request against the user's quota like a reply
+  router.post('/transcribe', async (req, res) => {
+    try {
+      const { audioData, sessionId, format, language } = req.body;
+
+      if (!audioData || typeof audioData !== 'string') {
+        return missingAudio(res);
+      }
+
+      try {
+        await chatService.checkQuota(req.user);
+      } catch (error) {
+        if (!(error instanceof QuotaError)) {
+          throw error;
+        }
+        return quotaExceeded(res, error);
+      }
+
+      console.log(`Transcribing audio data for session: ${sessionId}`);
+
+      const startedAt = Date.now();
+      const audio = await prepareAudio(audioData, { format });
+      await chatService.recordQuotaUsage(req.userId, quota => quota.recordRequest(req.userId));
+      const transcript = await speechToText.transcribe(audio.audio, { format: audio.format, language });
+
+      res.json({
+        success: true,
+        data: {
+          sessionId,
+          transcribedText: transcript.text,
+          language: transcript.language,
+          confidence: transcript.confidence,
+          segments: transcript.segments,
+          duration: transcript.duration,
+          provider: transcript.provider,
+          processingTime: (Date.now() - startedAt) / 1000,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      sendAudioError(res, error);
     }
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  // GET /api/v1/audio/health - Audio service health check
+  router.get('/health', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        status: 'healthy',
+        service: 'audio-processing',
+        sttProvider: speechToText.name,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAudioRouter,
+  createAudioHandler
+};
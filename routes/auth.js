@@ -0,0 +1,163 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { AuthError } = require('../services/auth');
+const { RATE_LIMIT_WINDOW, AUTH_RATE_LIMIT_MAX_REQUESTS } = require('../config/constants');
+
+/**
+ * Account and device session routes. register, login and refresh are public
+ * and answer with { accessToken, refreshToken, tokenType, expiresIn,
+ * refreshExpiresIn, user, session }; the rest need a Bearer access token.
+ * @param {Object} options
+ * @param {AuthService} options.authService - Users, sessions and tokens
+ * @param {Function} options.authenticate - Access token middleware (see middleware/auth.js)
+ * @returns {express.Router}
+ */
+const createAuthRouter = ({ authService, authenticate }) => {
+    const router = express.Router();
+
+    // Slow down password guessing and mass sign-ups
+    const credentialsLimiter = rateLimit({
+        windowMs: RATE_LIMIT_WINDOW,
+        max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || AUTH_RATE_LIMIT_MAX_REQUESTS,
+        message: {
+            success: false,
+            error: 'Too many attempts, please try again later.',
+            code: 'RATE_LIMIT_EXCEEDED'
+        }
+    });
+
+    const handleError = (res, error, action) => {
+        if (error instanceof AuthError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        console.error(`Auth ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action}`,
+            code: 'AUTH_ERROR'
+        });
+    };
+
+    /**
+     * POST /api/v1/auth/register
+     * Create an account and sign this device in
+     * ({ username, password, deviceId?, deviceName? })
+     */
+    router.post('/register', credentialsLimiter, async (req, res) => {
+        try {
+            const tokens = await authService.register(req.body);
+            res.status(201).json({
+                success: true,
+                data: tokens
+            });
+        } catch (error) {
+            handleError(res, error, 'register');
+        }
+    });
+
+    /**
+     * POST /api/v1/auth/login
+     * Sign a device in ({ username, password, deviceId?, deviceName? }).
+     * Signing in again with the same deviceId replaces its old session.
+     */
+    router.post('/login', credentialsLimiter, async (req, res) => {
+        try {
+            const tokens = await authService.login(req.body);
+            res.json({
+                success: true,
+                data: tokens
+            });
+        } catch (error) {
+            handleError(res, error, 'log in');
+        }
+    });
+
+    /**
+     * POST /api/v1/auth/refresh
+     * Swap a refresh token for a new token pair ({ refreshToken }).
+     * The old refresh token stops working; using it again signs the device out.
+     */
+    router.post('/refresh', async (req, res) => {
+        try {
+            const tokens = await authService.refresh(req.body.refreshToken);
+            res.json({
+                success: true,
+                data: tokens
+            });
+        } catch (error) {
+            handleError(res, error, 'refresh token');
+        }
+    });
+
+    /**
+     * POST /api/v1/auth/logout
+     * Sign this device out; its connected sockets are disconnected
+     */
+    router.post('/logout', authenticate, async (req, res) => {
+        try {
+            await authService.revokeSession(req.userId, req.user.sessionId);
+            res.json({
+                success: true,
+                data: {
+                    sessionId: req.user.sessionId,
+                    revoked: true
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'log out');
+        }
+    });
+
+    /**
+     * GET /api/v1/auth/me
+     * The signed-in account and its device sessions
+     */
+    router.get('/me', authenticate, async (req, res) => {
+        try {
+            const account = await authService.getAccount(req.userId);
+            res.json({
+                success: true,
+                data: {
+                    ...account,
+                    currentSessionId: req.user.sessionId
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'fetch account');
+        }
+    });
+
+    /**
+     * DELETE /api/v1/auth/sessions/:id
+     * Sign one of the account's devices out, disconnecting its sockets
+     */
+    router.delete('/sessions/:id', authenticate, async (req, res) => {
+        try {
+            if (!(await authService.revokeSession(req.userId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found',
+                    code: 'SESSION_NOT_FOUND'
+                });
+            }
+            res.json({
+                success: true,
+                data: {
+                    sessionId: req.params.id,
+                    revoked: true
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'revoke session');
+        }
+    });
+
+    return router;
+};
+
+module.exports = createAuthRouter;
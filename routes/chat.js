@@ -1,175 +1,338 @@
 const express = require('express');
-const router = express.Router();
-const OpenRouterService = require('../services/OpenRouterService');
-
-// Initialize OpenRouter service
-const openRouterService = new OpenRouterService();
+const { TextToSpeechError } = require('../services/tts');
+const { ModelSettingsError } = require('../services/modelSettings');
+const { ProfileError } = require('../services/profileService');
+const { normalizeContext, localeFromHeader, PromptTemplateError } = require('../services/promptTemplate');
+const { QuotaError } = require('../services/quotaService');
+const { MAX_SYSTEM_PROMPT_LENGTH } = require('../config/constants');
 
 /**
- * POST /api/v1/chat/message
- * Send a text message and get AI response
+ * Chat routes
+ * @param {Object} options
+ * @param {ChatService} options.chatService - Runs conversation turns
+ * @param {ConversationService} options.conversationService - Ownership checks against req.userId
+ * @param {OpenRouterService} options.openRouterService - Model listing and service info
+ * @param {TextToSpeechService} options.textToSpeechService - Optional spoken replies
+ * @param {ModelSettings} options.modelSettings - Models and generation limits clients may choose
+ * @param {ErrorMonitor} options.errorMonitor - Records streamed replies that fail after the 200 went out
+ * @param {Function} options.handleAudio - Audio handler shared with /api/v1/audio/process
+ * @returns {express.Router}
  */
-router.post('/message', async (req, res) => {
-    try {
-        const { message, conversationId, systemPrompt } = req.body;
+const createChatRouter = ({ chatService, conversationService, openRouterService, textToSpeechService, modelSettings, errorMonitor, handleAudio }) => {
+    const router = express.Router();
 
-        // Validate request
-        if (!message || typeof message !== 'string') {
-            return res.status(400).json({
-                success: false,
-                error: 'Message is required and must be a string',
-                code: 'INVALID_MESSAGE'
-            });
-        }
+    /**
+     * POST /api/v1/chat/message
+     * Send a text message and get AI response. Answers as Server-Sent Events
+     * on /chat/stream or when the client sends Accept: text/event-stream.
+     * model, temperature and maxTokens override the conversation's settings
+     * (see GET /chat/models for what is allowed). profileId picks one of the
+     * user's profiles for the system prompt, model settings and voice.
+     * context ({ userName, locale, timezone, device }) fills in the system
+     * prompt's template variables.
+     * Tools the assistant ran are listed in toolCalls; send tools: false to
+     * answer without them.
+     * Answers 429 QUOTA_EXCEEDED, with Retry-After, once the user's daily or
+     * monthly quota is used up (see GET /usage).
+     */
+    const handleChatMessage = async (req, res, { stream = false } = {}) => {
+        try {
+            const { message, conversationId, systemPrompt, profileId, context, tts, tools, model, temperature, maxTokens } = req.body;
 
-        if (message.length > 4000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Message too long. Maximum 4000 characters allowed.',
-                code: 'MESSAGE_TOO_LONG'
-            });
-        }
+            // Validate request
+            const invalidMessage = chatService.validateMessage(message);
+            if (invalidMessage) {
+                return res.status(400).json({
+                    success: false,
+                    ...invalidMessage
+                });
+            }
 
-        console.log(`Processing chat message: ${message.substring(0, 100)}...`);
+            if (!chatService.isValidSystemPrompt(systemPrompt)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `systemPrompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`,
+                    code: 'INVALID_SYSTEM_PROMPT'
+                });
+            }
 
-        const response = await openRouterService.sendMessage({
-            message,
-            conversationId,
-            systemPrompt
-        });
+            if (!chatService.isSystemPromptAllowed(systemPrompt)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Custom system prompts are disabled on this server',
+                    code: 'SYSTEM_PROMPT_NOT_ALLOWED'
+                });
+            }
+
+            if (tools !== undefined && typeof tools !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'tools must be true or false',
+                    code: 'INVALID_TOOLS_OPTION'
+                });
+            }
+
+            if (conversationId && !conversationService.isValidConversationId(conversationId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid conversation ID',
+                    code: 'INVALID_CONVERSATION_ID'
+                });
+            }
+
+            if (conversationId && !(await conversationService.canAccess(conversationId, req.userId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found',
+                    code: 'CONVERSATION_NOT_FOUND'
+                });
+            }
+
+            let promptContext;
+            let profile;
+            let ttsSettings;
+            let generation;
+            try {
+                promptContext = normalizeContext(context, { locale: localeFromHeader(req.get('accept-language')) });
+                profile = await chatService.getProfile(profileId, req.userId);
+                ttsSettings = await chatService.resolveSpeechSettings(tts, conversationId, profile);
+                generation = await chatService.resolveGenerationSettings({ model, temperature, maxTokens }, conversationId, profile);
+                await chatService.checkQuota(req.user);
+            } catch (error) {
+                if (!(error instanceof TextToSpeechError || error instanceof ModelSettingsError
+                    || error instanceof ProfileError || error instanceof PromptTemplateError
+                    || error instanceof QuotaError)) {
+                    throw error;
+                }
+                if (error instanceof QuotaError) {
+                    res.set('Retry-After', String(error.retryAfter));
+                }
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    ...(error.retryAfter && { retryAfter: error.retryAfter })
+                });
+            }
+
+            console.log(`Processing chat message: ${message.substring(0, 100)}...`);
+
+            const turn = {
+                message,
+                conversationId,
+                systemPrompt,
+                profile,
+                context: promptContext,
+                generation,
+                tools,
+                ownerId: req.userId
+            };
+            if (stream || (req.get('accept') || '').includes('text/event-stream')) {
+                return await streamChatReply(req, res, turn, ttsSettings);
+            }
+
+            const reply = await chatService.reply(turn);
+            const { speech, speechError } = await textToSpeechService.speak(reply.response, ttsSettings);
 
-        if (response.success) {
             res.json({
                 success: true,
-                data: response.data,
-                developer: {
-                    name: 'shone',
-                    github: 'shawnhhh-ux',
-                    repository: 'https://github.com/shawnhhh-ux/ai-voice-assistant'
+                data: {
+                    response: reply.response,
+                    conversationId: reply.conversationId,
+                    newConversation: reply.newConversation,
+                    usage: reply.usage,
+                    model: reply.model,
+                    attempts: reply.attempts,
+                    generation: reply.generation,
+                    toolCalls: reply.toolCalls,
+                    speech,
+                    ...(speechError && { speechError }),
+                    timestamp: new Date().toISOString()
                 }
             });
-        } else {
-            res.status(500).json({
+
+        } catch (error) {
+            console.error('Chat route error:', error);
+
+            const { statusCode, errorMessage } = chatService.describeError(error);
+
+            res.status(statusCode).json({
                 success: false,
-                error: response.error,
-                code: response.code
+                error: errorMessage,
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                code: `CHAT_ERROR_${statusCode}`
             });
         }
+    };
 
-    } catch (error) {
-        console.error('Chat route error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            code: 'SERVER_ERROR'
+    /**
+     * Relay a streamed reply as Server-Sent Events:
+     * start { messageId, conversationId, newConversation, generation }, chunk { index, content },
+     * tool { id, name, arguments, result | error, durationMs } for each tool run,
+     * then done { response, usage, model, toolCalls, ... } or error { error, code }.
+     * A client disconnect aborts the upstream request; that reply is not recorded.
+     */
+    const streamChatReply = async (req, res, turn, ttsSettings) => {
+        const messageId = chatService.generateMessageId();
+        const controller = new AbortController();
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            // no-transform keeps the compression middleware from buffering events
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
-    }
-});
+        res.flushHeaders();
 
-/**
- * POST /api/v1/chat/audio
- * Process audio and get AI response
- */
-router.post('/audio', async (req, res) => {
-    try {
-        const { audioData, sessionId } = req.body;
+        const send = (event, data) => {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        };
+        // Comment lines keep proxies from closing the connection while the model thinks
+        const heartbeat = setInterval(() => {
+            if (!res.writableEnded) {
+                res.write(': ping\n\n');
+            }
+        }, 15000);
 
-        if (!audioData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Audio data is required',
-                code: 'MISSING_AUDIO_DATA'
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        try {
+            let index = 0;
+            const reply = await chatService.streamReply({
+                ...turn,
+                signal: controller.signal,
+                onStart: ({ conversationId, newConversation, generation }) => send('start', { messageId, conversationId, newConversation, generation }),
+                onChunk: (content) => send('chunk', { messageId, index: index++, content }),
+                onToolCall: (invocation) => send('tool', { messageId, ...invocation })
             });
+
+            const { speech, speechError } = await textToSpeechService.speak(reply.response, ttsSettings);
+
+            send('done', {
+                messageId,
+                response: reply.response,
+                conversationId: reply.conversationId,
+                newConversation: reply.newConversation,
+                usage: reply.usage,
+                model: reply.model,
+                attempts: reply.attempts,
+                generation: reply.generation,
+                toolCalls: reply.toolCalls,
+                finishReason: reply.finishReason,
+                speech,
+                ...(speechError && { speechError }),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            if (error.code === 'ERR_CANCELED') {
+                console.log(`SSE client disconnected, aborted message ${messageId}`);
+                return;
+            }
+
+            console.error('Chat stream error:', error);
+            const { statusCode, errorMessage } = chatService.describeError(error);
+            // The response already went out as 200, so the HTTP middleware would count a success
+            errorMonitor.recordFailure('http', {
+                error,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: statusCode,
+                userId: req.userId || null,
+                messageId
+            });
+            res.locals.failureRecorded = true;
+            send('error', {
+                messageId,
+                error: errorMessage,
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+                code: `CHAT_ERROR_${statusCode}`
+            });
+        } finally {
+            clearInterval(heartbeat);
+            res.end();
         }
+    };
 
-        console.log(`Processing audio request, session: ${sessionId}`);
+    router.post('/message', (req, res) => handleChatMessage(req, res));
 
-        const response = await openRouterService.processAudio({
-            audioData,
-            sessionId
-        });
+    /**
+     * POST /api/v1/chat/stream
+     * Same as /message, always answered as Server-Sent Events
+     */
+    router.post('/stream', (req, res) => handleChatMessage(req, res, { stream: true }));
+
+    /**
+     * POST /api/v1/chat/audio
+     * Process audio and get AI response (same as /api/v1/audio/process)
+     */
+    router.post('/audio', handleAudio);
+
+    /**
+     * GET /api/v1/chat/models
+     * Get available AI models, and the ones this server lets clients choose
+     * with their maxTokens limits
+     */
+    router.get('/models', async (req, res) => {
+        try {
+            const models = await openRouterService.getAvailableModels();
 
-        if (response.success) {
             res.json({
                 success: true,
-                data: response.data,
+                data: {
+                    models: models.slice(0, 20), // Return first 20 models
+                    total: models.length,
+                    generation: modelSettings.describe()
+                },
                 developer: {
                     name: 'shone',
                     github: 'shawnhhh-ux',
                     repository: 'https://github.com/shawnhhh-ux/ai-voice-assistant'
                 }
             });
-        } else {
+        } catch (error) {
+            console.error('Models route error:', error);
             res.status(500).json({
                 success: false,
-                error: response.error,
-                code: response.code
+                error: 'Failed to fetch models'
             });
         }
+    });
 
-    } catch (error) {
-        console.error('Audio route error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            code: 'SERVER_ERROR'
-        });
-    }
-});
+    /**
+     * GET /api/v1/chat/info
+     * Get service information
+     */
+    router.get('/info', async (req, res) => {
+        try {
+            const serviceInfo = openRouterService.getServiceInfo();
+            const validation = await openRouterService.validateConnection();
 
-/**
- * GET /api/v1/chat/models
- * Get available AI models
- */
-router.get('/models', async (req, res) => {
-    try {
-        const models = await openRouterService.getAvailableModels();
-        
-        res.json({
-            success: true,
-            data: {
-                models: models.slice(0, 20), // Return first 20 models
-                total: models.length
-            },
-            developer: {
-                name: 'shone',
-                github: 'shawnhhh-ux',
-                repository: 'https://github.com/shawnhhh-ux/ai-voice-assistant'
-            }
-        });
-    } catch (error) {
-        console.error('Models route error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch models'
-        });
-    }
-});
+            res.json({
+                success: true,
+                data: {
+                    service: serviceInfo,
+                    connection: validation,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('Info route error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get service info'
+            });
+        }
+    });
 
-/**
- * GET /api/v1/chat/info
- * Get service information
- */
-router.get('/info', async (req, res) => {
-    try {
-        const serviceInfo = openRouterService.getServiceInfo();
-        const validation = await openRouterService.validateConnection();
-        
-        res.json({
-            success: true,
-            data: {
-                service: serviceInfo,
-                connection: validation,
-                timestamp: new Date().toISOString()
-            }
-        });
-    } catch (error) {
-        console.error('Info route error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get service info'
-        });
-    }
-});
+    return router;
+};
 
-module.exports = router;
\ No newline at end of file
+module.exports = createChatRouter;
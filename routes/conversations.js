@@ -0,0 +1,259 @@
+const express = require('express');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Conversation management routes, scoped to the signed-in user (req.userId).
+ * Conversations owned by another user are reported as not found.
+ * @param {Object} options
+ * @param {ConversationService} options.conversationService - Shared conversation service
+ * @param {TextToSpeechService} options.textToSpeechService - Validates stored speech settings
+ * @param {ModelSettings} options.modelSettings - Validates stored model settings
+ * @returns {express.Router}
+ */
+const createConversationsRouter = ({ conversationService, textToSpeechService, modelSettings }) => {
+    const router = express.Router();
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+    });
+
+    const handleError = (res, error, action) => {
+        console.error(`Conversation ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action} conversation`,
+            code: 'CONVERSATION_ERROR'
+        });
+    };
+
+    /**
+     * GET /api/v1/conversations
+     * List the user's conversations, most recent first (?page=1&limit=20)
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+            const { conversations, total } = await conversationService.listConversations(req.userId, {
+                offset: (page - 1) * limit,
+                limit
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    conversations,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        totalPages: Math.ceil(total / limit)
+                    }
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'list');
+        }
+    });
+
+    /**
+     * GET /api/v1/conversations/:id
+     * Full transcript of a conversation
+     */
+    router.get('/:id', async (req, res) => {
+        try {
+            const conversation = await conversationService.getOwnedConversation(req.params.id, req.userId);
+            if (!conversation) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: conversation
+            });
+        } catch (error) {
+            handleError(res, error, 'fetch');
+        }
+    });
+
+    /**
+     * PATCH /api/v1/conversations/:id
+     * Update the title, default speech settings and/or default model settings
+     * ({ "title": "..." | null, "tts": { voice, speed, format, delivery } | null,
+     *    "generation": { model, temperature, maxTokens } | null })
+     */
+    router.patch('/:id', async (req, res) => {
+        try {
+            const { title, tts, generation } = req.body;
+            const updates = {};
+
+            if ('title' in req.body) {
+                if (title !== null && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Title must be a string of at most ${MAX_TITLE_LENGTH} characters, or null`,
+                        code: 'INVALID_TITLE'
+                    });
+                }
+                updates.title = title ? title.trim() : null;
+            }
+
+            if ('tts' in req.body) {
+                try {
+                    updates.tts = tts === null || tts === false ? null : textToSpeechService.normalizeSettings(tts);
+                } catch (error) {
+                    return res.status(error.statusCode).json({
+                        success: false,
+                        error: error.message,
+                        code: error.code
+                    });
+                }
+            }
+
+            if ('generation' in req.body) {
+                try {
+                    updates.generation = generation === null ? null : modelSettings.normalizeSettings(generation);
+                } catch (error) {
+                    return res.status(error.statusCode).json({
+                        success: false,
+                        error: error.message,
+                        code: error.code
+                    });
+                }
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Nothing to update. Provide title, tts and/or generation.',
+                    code: 'NO_UPDATES'
+                });
+            }
+
+            const conversation = await conversationService.updateConversation(req.params.id, req.userId, updates);
+            if (!conversation) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: conversation
+            });
+        } catch (error) {
+            handleError(res, error, 'update');
+        }
+    });
+
+    /**
+     * DELETE /api/v1/conversations/:id
+     * Delete a conversation and its history
+     */
+    router.delete('/:id', async (req, res) => {
+        try {
+            const conversation = await conversationService.getOwnedConversation(req.params.id, req.userId);
+            if (!conversation) {
+                return notFound(res);
+            }
+
+            await conversationService.deleteConversation(req.params.id);
+
+            res.json({
+                success: true,
+                data: {
+                    id: req.params.id,
+                    deleted: true
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'delete');
+        }
+    });
+
+    /**
+     * POST /api/v1/conversations/:id/claim
+     * Take ownership of a conversation from before sign-in existed; one that
+     * belongs to another user is reported as not found
+     */
+    router.post('/:id/claim', async (req, res) => {
+        try {
+            const conversation = await conversationService.claimConversation(req.params.id, req.userId);
+            if (!conversation) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: conversation
+            });
+        } catch (error) {
+            handleError(res, error, 'claim');
+        }
+    });
+
+    /**
+     * GET /api/v1/conversations/:id/export
+     * Download a conversation (?format=json|markdown)
+     */
+    router.get('/:id/export', async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+
+            if (!['json', 'markdown'].includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Export format must be json or markdown',
+                    code: 'INVALID_EXPORT_FORMAT'
+                });
+            }
+
+            const conversation = await conversationService.getOwnedConversation(req.params.id, req.userId);
+            if (!conversation) {
+                return notFound(res);
+            }
+
+            const filename = `conversation-${Buffer.from(conversation.id).toString('base64url')}`;
+
+            if (format === 'markdown') {
+                res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+                res.type('text/markdown').send(toMarkdown(conversation));
+            } else {
+                res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+                res.type('application/json').send(JSON.stringify(conversation, null, 2));
+            }
+        } catch (error) {
+            handleError(res, error, 'export');
+        }
+    });
+
+    return router;
+};
+
+const toMarkdown = (conversation) => {
+    const lines = [
+        `# ${conversation.title || `Conversation ${conversation.id}`}`,
+        '',
+        `- Conversation ID: ${conversation.id}`,
+        `- Created: ${conversation.createdAt}`,
+        `- Last active: ${conversation.lastAccessed}`,
+        ''
+    ];
+
+    if (conversation.summary) {
+        lines.push('## Summary of earlier messages', '', conversation.summary.text, '');
+    }
+
+    lines.push('## Messages', '');
+    for (const message of conversation.messages) {
+        const speaker = message.role === 'assistant' ? 'Assistant' : 'User';
+        lines.push(`**${speaker}** (${message.timestamp})`, '', message.content, '');
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = createConversationsRouter;
@@ -0,0 +1,184 @@
+const express = require('express');
+const { ProfileError } = require('../services/profileService');
+const { ModelSettingsError } = require('../services/modelSettings');
+const { TextToSpeechError } = require('../services/tts');
+const { TEMPLATE_VARIABLES } = require('../services/promptTemplate');
+
+/**
+ * Assistant profile routes, scoped to the signed-in user (req.userId), who
+ * also sees the shared profiles but can't change them.
+ * A profile is { name, description, systemPrompt, model, temperature,
+ * maxTokens, voice, language }; chat and audio requests use one with profileId.
+ * systemPrompt may use {{variable}} placeholders (see GET /profiles/variables)
+ * and is refused like a request's systemPrompt when ALLOW_CLIENT_SYSTEM_PROMPT=false.
+ * With shared, the routes manage the shared profiles instead; those are
+ * mounted for admins only and their system prompts are always allowed.
+ * @param {Object} options
+ * @param {ProfileService} options.profileService - Stores and validates profiles
+ * @param {ChatService} options.chatService - Whether clients may set system prompts
+ * @param {boolean} [options.shared] - Manage the shared profiles
+ * @returns {express.Router}
+ */
+const createProfilesRouter = ({ profileService, chatService, shared = false }) => {
+    const router = express.Router();
+
+    // Owner of the profiles these routes manage; shared profiles have none
+    const ownerOf = (req) => (shared ? null : req.userId);
+
+    const isSystemPromptAllowed = (req) => shared || chatService.isSystemPromptAllowed(req.body?.systemPrompt);
+
+    const systemPromptNotAllowed = (res) => res.status(403).json({
+        success: false,
+        error: 'Custom system prompts are disabled on this server',
+        code: 'SYSTEM_PROMPT_NOT_ALLOWED'
+    });
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Profile not found',
+        code: 'PROFILE_NOT_FOUND'
+    });
+
+    // Invalid fields are the client's fault; anything else is ours
+    const handleError = (res, error, action) => {
+        if (error instanceof ProfileError || error instanceof ModelSettingsError || error instanceof TextToSpeechError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        console.error(`Profile ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to ${action} profile`,
+            code: 'PROFILE_ERROR'
+        });
+    };
+
+    /**
+     * GET /api/v1/profiles
+     * List the user's profiles and the shared ones by name
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const profiles = await profileService.listProfiles(ownerOf(req));
+
+            res.json({
+                success: true,
+                data: {
+                    profiles,
+                    total: profiles.length
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'list');
+        }
+    });
+
+    /**
+     * POST /api/v1/profiles
+     * Create a profile; only name is required
+     */
+    router.post('/', async (req, res) => {
+        try {
+            if (!isSystemPromptAllowed(req)) {
+                return systemPromptNotAllowed(res);
+            }
+
+            const profile = await profileService.createProfile(ownerOf(req), req.body);
+
+            res.status(201).json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            handleError(res, error, 'create');
+        }
+    });
+
+    /**
+     * GET /api/v1/profiles/variables
+     * Template variables a systemPrompt may use, as {{name}} or {{name|fallback}}
+     */
+    router.get('/variables', (req, res) => {
+        res.json({
+            success: true,
+            data: {
+                variables: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({ name, description }))
+            }
+        });
+    });
+
+    /**
+     * GET /api/v1/profiles/:id
+     */
+    router.get('/:id', async (req, res) => {
+        try {
+            const profile = await profileService.getProfile(req.params.id, ownerOf(req));
+            if (!profile) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            handleError(res, error, 'fetch');
+        }
+    });
+
+    /**
+     * PATCH /api/v1/profiles/:id
+     * Update some fields; null clears an optional field. Shared profiles
+     * answer PROFILE_NOT_FOUND here.
+     */
+    router.patch('/:id', async (req, res) => {
+        try {
+            if (!isSystemPromptAllowed(req)) {
+                return systemPromptNotAllowed(res);
+            }
+
+            const profile = await profileService.updateProfile(req.params.id, ownerOf(req), req.body);
+            if (!profile) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            handleError(res, error, 'update');
+        }
+    });
+
+    /**
+     * DELETE /api/v1/profiles/:id
+     * Conversations that used the profile keep their history; later requests
+     * naming it get PROFILE_NOT_FOUND
+     */
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (!(await profileService.deleteProfile(req.params.id, ownerOf(req)))) {
+                return notFound(res);
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    id: req.params.id,
+                    deleted: true
+                }
+            });
+        } catch (error) {
+            handleError(res, error, 'delete');
+        }
+    });
+
+    return router;
+};
+
+module.exports = createProfilesRouter;
@@ -0,0 +1,34 @@
+const express = require('express');
+
+/**
+ * Serves synthesized replies requested with tts.delivery = "url".
+ * @param {Object} options
+ * @param {TextToSpeechService} options.textToSpeechService - Holds the generated clips
+ * @returns {express.Router}
+ */
+const createTtsRouter = ({ textToSpeechService }) => {
+    const router = express.Router();
+
+    /**
+     * GET /api/v1/tts/:clipId
+     * Download a synthesized clip until it expires
+     */
+    router.get('/:clipId', (req, res) => {
+        const clip = textToSpeechService.getClip(req.params.clipId);
+
+        if (!clip) {
+            return res.status(404).json({
+                success: false,
+                error: 'Audio not found or expired',
+                code: 'TTS_CLIP_NOT_FOUND'
+            });
+        }
+
+        res.set('Cache-Control', 'private, max-age=600');
+        res.type(clip.mimeType).send(clip.audio);
+    });
+
+    return router;
+};
+
+module.exports = createTtsRouter;
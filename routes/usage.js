@@ -0,0 +1,42 @@
+const express = require('express');
+
+/**
+ * Quota usage routes for the signed-in user (req.user)
+ * @param {Object} options
+ * @param {QuotaService} options.quotaService - Plans and per-user counters
+ * @returns {express.Router}
+ */
+const createUsageRouter = ({ quotaService }) => {
+    const router = express.Router();
+
+    /**
+     * GET /api/v1/usage
+     * AI replies and OpenRouter tokens used today and this month (UTC), with
+     * the plan's limits, what remains (null when unlimited), when each
+     * period resets and the tokens per model
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const usage = await quotaService.getUsage(req.user);
+
+            res.json({
+                success: true,
+                data: {
+                    ...usage,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('Usage route error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get usage',
+                code: 'USAGE_ERROR'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createUsageRouter;
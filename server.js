@@ -6,9 +6,52 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const axios = require('axios');
 require('dotenv').config();
 
+const ConversationService = require('./services/conversationService');
+const ContextBuilder = require('./services/contextBuilder');
+const OpenRouterService = require('./services/openRouterService');
+const ChatService = require('./services/chatService');
+const { ModelSettings, ModelSettingsError } = require('./services/modelSettings');
+const { ProfileService, ProfileError } = require('./services/profileService');
+const { normalizeContext, localeFromHeader, PromptTemplateError } = require('./services/promptTemplate');
+const { QuotaService, QuotaError } = require('./services/quotaService');
+const { SocketRateLimiter } = require('./services/socketRateLimiter');
+const ErrorMonitor = require('./services/errorMonitor');
+const AdminService = require('./services/adminService');
+const { createToolRegistry, validateClientTools, createClientTool, ToolError } = require('./services/tools');
+const TextToSpeechService = require('./services/textToSpeechService');
+const createChatRouter = require('./routes/chat');
+const { createAudioRouter, createAudioHandler } = require('./routes/audio');
+const createConversationsRouter = require('./routes/conversations');
+const createTtsRouter = require('./routes/tts');
+const createProfilesRouter = require('./routes/profiles');
+const createUsageRouter = require('./routes/usage');
+const createAdminRouter = require('./routes/admin');
+const { createAuthenticate, createSocketAuthenticate, requireRole } = require('./middleware/auth');
+const { AuthService, AuthError } = require('./services/auth');
+const createAuthRouter = require('./routes/auth');
+const { errorHandler } = require('./middleware/errorHandler');
+const { createSpeechToTextProvider, SpeechToTextError } = require('./services/stt');
+const { TextToSpeechError } = require('./services/tts');
+const { AudioStreamSession, AudioStreamError } = require('./services/audioStreamSession');
+const { prepareAudio, AudioFormatError } = require('./services/audio');
+const {
+    MAX_AUDIO_SESSIONS_PER_SOCKET,
+    AUDIO_PARTIAL_INTERVAL,
+    AUDIO_PARTIAL_WINDOW,
+    AUDIO_PARTIAL_MAX_BYTES,
+    AUDIO_REORDER_TIMEOUT,
+    SUPPORTED_AUDIO_FORMATS,
+    MAX_SYSTEM_PROMPT_LENGTH,
+    CLIENT_TOOL_TIMEOUT
+} = require('./config/constants');
+
+// Limits for the per-stream audio_stream options
+const MIN_VAD_SILENCE_MS = 200;
+const MAX_VAD_SILENCE_MS = 10000;
+const PCM_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+
 /**
  * AI Voice Assistant Backend Server
  * Developed by: shone (GitHub: shawnhhh-ux)
@@ -19,7 +62,19 @@ require('dotenv').config();
  */
 
 class AIVoiceServer {
-    constructor() {
+    /**
+     * @param {Object} options - Services to use instead of the defaults built from the environment
+     * @param {ConversationService} options.conversationService
+     * @param {OpenRouterService} options.openRouterService
+     * @param {Object} options.speechToText - Speech-to-text provider (see services/stt)
+     * @param {TextToSpeechService} options.textToSpeechService
+     * @param {ModelSettings} options.modelSettings
+     * @param {ToolRegistry} options.toolRegistry - Tools the assistant may call
+     * @param {ProfileService} options.profileService - Assistant profiles
+     * @param {AuthService} options.authService - Users, device sessions and tokens
+     * @param {QuotaService} options.quotaService - Per-user request and token quotas
+     */
+    constructor(options = {}) {
         this.app = express();
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server, {
@@ -30,6 +85,45 @@ class AIVoiceServer {
         });
         
         this.port = process.env.PORT || 3000;
+        this.conversationService = options.conversationService || new ConversationService();
+        this.speechToText = options.speechToText || createSpeechToTextProvider();
+        this.modelSettings = options.modelSettings || new ModelSettings();
+        this.openRouterService = options.openRouterService
+            || new OpenRouterService({ modelSettings: this.modelSettings });
+        this.textToSpeechService = options.textToSpeechService || new TextToSpeechService();
+        this.quotaService = options.quotaService || new QuotaService();
+        this.authService = options.authService || new AuthService({ plans: this.quotaService.getPlanNames() });
+        this.authenticate = createAuthenticate(this.authService);
+        this.toolRegistry = options.toolRegistry || createToolRegistry();
+        this.clientToolTimeout = parseInt(process.env.CLIENT_TOOL_TIMEOUT_MS) || CLIENT_TOOL_TIMEOUT;
+        this.socketRateLimiter = new SocketRateLimiter();
+        this.errorMonitor = new ErrorMonitor();
+        this.profileService = options.profileService || new ProfileService({
+            modelSettings: this.modelSettings,
+            textToSpeechService: this.textToSpeechService
+        });
+        this.contextBuilder = new ContextBuilder({
+            conversationService: this.conversationService,
+            openRouterService: this.openRouterService
+        });
+        this.chatService = new ChatService({
+            conversationService: this.conversationService,
+            contextBuilder: this.contextBuilder,
+            openRouterService: this.openRouterService,
+            textToSpeechService: this.textToSpeechService,
+            modelSettings: this.modelSettings,
+            toolRegistry: this.toolRegistry,
+            profileService: this.profileService,
+            quotaService: this.quotaService
+        });
+        this.adminService = new AdminService({
+            io: this.io,
+            conversationService: this.conversationService,
+            openRouterService: this.openRouterService,
+            quotaService: this.quotaService,
+            errorMonitor: this.errorMonitor,
+            userRoom: (userId) => this.userRoom(userId)
+        });
         
         this.initializeMiddlewares();
         this.initializeRoutes();
@@ -79,129 +173,90 @@ class AIVoiceServer {
 
         // Static files
         this.app.use(express.static('public'));
+
+        // Error rates and recent failures for the admin API
+        this.app.use('/api', this.errorMonitor.httpMiddleware());
     }
 
     initializeRoutes() {
-        // Health check endpoint
+        // Health check endpoint; upstream trouble is reported without failing the check,
+        // so the platform doesn't restart an instance that can't fix it
         this.app.get('/health', (req, res) => {
             res.status(200).json({
                 status: 'OK',
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
                 environment: process.env.NODE_ENV,
+                upstream: this.openRouterService.getHealth(),
                 developer: 'shone (GitHub: shawnhhh-ux)',
                 repository: 'https://github.com/shawnhhh-ux/ai-voice-assistant'
             });
         });
 
-        // Chat message endpoint
-        this.app.post('/api/v1/chat/message', async (req, res) => {
-            try {
-                const { message, conversationId } = req.body;
-
-                // Validate request
-                if (!message || typeof message !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Message is required and must be a string',
-                        code: 'INVALID_MESSAGE'
-                    });
-                }
-
-                if (message.length > 4000) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Message too long. Maximum 4000 characters allowed.',
-                        code: 'MESSAGE_TOO_LONG'
-                    });
-                }
-
-                console.log(`Processing chat message: ${message.substring(0, 100)}...`);
-
-                // Get AI response from OpenRouter
-                const aiResponse = await this.getAIResponse(message, conversationId);
-
-                res.json({
-                    success: true,
-                    data: {
-                        response: aiResponse.response,
-                        conversationId: aiResponse.conversationId,
-                        usage: aiResponse.usage,
-                        model: aiResponse.model,
-                        timestamp: new Date().toISOString()
-                    }
-                });
+        // Accounts and device sessions; register, login and refresh are public
+        this.app.use('/api/v1/auth', createAuthRouter({
+            authService: this.authService,
+            authenticate: this.authenticate
+        }));
 
-            } catch (error) {
-                console.error('Chat route error:', error);
-                
-                let statusCode = 500;
-                let errorMessage = 'Internal server error';
-
-                if (error.message.includes('API key')) {
-                    statusCode = 401;
-                    errorMessage = 'Authentication failed';
-                } else if (error.message.includes('Rate limit')) {
-                    statusCode = 429;
-                    errorMessage = 'Service temporarily unavailable due to rate limiting';
-                } else if (error.message.includes('timeout')) {
-                    statusCode = 504;
-                    errorMessage = 'Service timeout';
-                }
+        // Synthesized replies delivered by URL; clip IDs are unguessable and
+        // audio players can't send an Authorization header
+        this.app.use('/api/v1/tts', createTtsRouter({
+            textToSpeechService: this.textToSpeechService
+        }));
 
-                res.status(statusCode).json({
-                    success: false,
-                    error: errorMessage,
-                    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-                    code: `CHAT_ERROR_${statusCode}`
-                });
-            }
-        });
+        // Everything else under /api/v1 needs an access token
+        this.app.use('/api/v1', this.authenticate);
+
+        const services = {
+            chatService: this.chatService,
+            conversationService: this.conversationService,
+            openRouterService: this.openRouterService,
+            speechToText: this.speechToText,
+            textToSpeechService: this.textToSpeechService,
+            modelSettings: this.modelSettings
+        };
+
+        // Chat, including Server-Sent Events on /chat/stream
+        this.app.use('/api/v1/chat', createChatRouter({
+            ...services,
+            errorMonitor: this.errorMonitor,
+            handleAudio: createAudioHandler(services)
+        }));
 
-        // Audio processing endpoint
-        this.app.post('/api/v1/audio/process', async (req, res) => {
-            try {
-                const { audioData, sessionId } = req.body;
-
-                // Validate request
-                if (!audioData || typeof audioData !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Audio data is required and must be a base64 string',
-                        code: 'INVALID_AUDIO_DATA'
-                    });
-                }
+        // Voice messages: base64 JSON on /audio/process, file uploads on /audio/upload
+        this.app.use('/api/v1/audio', createAudioRouter(services));
 
-                console.log(`Processing audio data, session: ${sessionId}, data length: ${audioData.length}`);
+        // Conversation management
+        this.app.use('/api/v1/conversations', createConversationsRouter({
+            conversationService: this.conversationService,
+            textToSpeechService: this.textToSpeechService,
+            modelSettings: this.modelSettings
+        }));
 
-                // Simulate audio processing and transcription
-                // In a real application, you would use a speech-to-text service here
-                const transcribedText = await this.simulateSpeechToText(audioData);
+        // Assistant profiles (persona, model settings, voice, language)
+        this.app.use('/api/v1/profiles', createProfilesRouter({
+            profileService: this.profileService,
+            chatService: this.chatService
+        }));
 
-                // Get AI response for the transcribed text
-                const aiResponse = await this.getAIResponse(transcribedText, sessionId);
+        // Requests and tokens used against the user's plan quotas
+        this.app.use('/api/v1/usage', createUsageRouter({
+            quotaService: this.quotaService
+        }));
 
-                res.json({
-                    success: true,
-                    data: {
-                        response: aiResponse.response,
-                        transcribedText: transcribedText,
-                        conversationId: aiResponse.conversationId,
-                        timestamp: new Date().toISOString()
-                    }
-                });
+        // Profiles shared with every user, managed by admins
+        this.app.use('/api/v1/admin/profiles', requireRole('admin'), createProfilesRouter({
+            profileService: this.profileService,
+            chatService: this.chatService,
+            shared: true
+        }));
 
-            } catch (error) {
-                console.error('Audio processing error:', error);
-                
-                res.status(500).json({
-                    success: false,
-                    error: 'Audio processing failed',
-                    details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-                    code: 'AUDIO_PROCESSING_ERROR'
-                });
-            }
-        });
+        // Monitoring and operator actions, for users with the admin role
+        this.app.use('/api/v1/admin', requireRole('admin'), createAdminRouter({
+            adminService: this.adminService,
+            authService: this.authService
+        }));
 
         // Root endpoint
         this.app.get('/', (req, res) => {
@@ -211,8 +266,17 @@ class AIVoiceServer {
                 developer: 'shone (GitHub: shawnhhh-ux)',
                 repository: 'https://github.com/shawnhhh-ux/ai-voice-assistant',
                 endpoints: {
+                    auth: '/api/v1/auth/login',
                     chat: '/api/v1/chat/message',
+                    chatStream: '/api/v1/chat/stream',
                     audio: '/api/v1/audio/process',
+                    audioUpload: '/api/v1/audio/upload',
+                    audioTranscribe: '/api/v1/audio/transcribe',
+                    conversations: '/api/v1/conversations',
+                    profiles: '/api/v1/profiles',
+                    usage: '/api/v1/usage',
+                    admin: '/api/v1/admin/overview',
+                    tts: '/api/v1/tts/:clipId',
                     health: '/health',
                     websocket: '/ws'
                 }
@@ -230,8 +294,40 @@ class AIVoiceServer {
     }
 
     initializeWebSocket() {
+        // Same access tokens as the REST API; sets socket.data.user and socket.data.userId
+        this.io.use(createSocketAuthenticate(this.authService));
+
+        // Signing a device out (or any other end of its session) closes its sockets
+        this.authService.on('session_ended', ({ userId, sessionId }) => this.disconnectSession(userId, sessionId));
+
         this.io.on('connection', (socket) => {
-            console.log(`Client connected: ${socket.id}`);
+            console.log(`Client connected: ${socket.id} (${socket.data.user.username})`);
+
+            // Every device of the user shares a room, so replies reach all of them
+            socket.join(this.userRoom(socket.data.userId));
+
+            // In-flight streamed replies by messageId ({ controller, conversationId }), so they can be cancelled
+            socket.data.activeStreams = new Map();
+            // Utterances being streamed in by audio_stream, by sessionId
+            socket.data.audioSessions = new Map();
+            // Sessions ended by voice activity detection, by sessionId, until chunks the
+            // client sent before it saw speech_end have drained
+            socket.data.endedAudioSessions = new Map();
+            // Server tools plus the device tools this client registered
+            socket.data.toolRegistry = this.toolRegistry;
+            // Tool calls forwarded to the client as tool_request, by requestId
+            socket.data.pendingToolRequests = new Map();
+
+            // The access token only lasts ACCESS_TOKEN_TTL; clients renew it with authenticate
+            this.scheduleTokenExpiry(socket);
+            socket.use((packet, next) => this.checkSocketToken(socket, packet, next));
+
+            // chat_message and audio_stream spend the socket's and the user's rate budgets
+            socket.use((packet, next) => this.limitSocketEvent(socket, packet, next));
+
+            if (socket.handshake.auth?.tools) {
+                this.registerClientTools(socket, socket.handshake.auth.tools);
+            }
 
             // Handle real-time chat messages
             socket.on('chat_message', async (data) => {
@@ -243,6 +339,36 @@ class AIVoiceServer {
                 }
             });
 
+            // Swap in a fresh access token (from /auth/refresh) before the current one expires
+            socket.on('authenticate', async (data) => {
+                try {
+                    await this.reauthenticateSocket(socket, data?.token);
+                } catch (error) {
+                    socket.emit('error', { message: 'Failed to authenticate', code: 'AUTH_ERROR' });
+                    console.error('Socket authenticate error:', error);
+                }
+            });
+
+            // Abort a streamed reply that is still in progress
+            socket.on('cancel_message', (data) => {
+                const stream = socket.data.activeStreams.get(data?.messageId);
+                if (!stream) {
+                    socket.emit('error', { messageId: data?.messageId, message: 'No active message to cancel' });
+                    return;
+                }
+                stream.controller.abort();
+            });
+
+            // Replace the device tools this client offers; an empty list removes them
+            socket.on('register_tools', (data) => {
+                this.registerClientTools(socket, data?.tools);
+            });
+
+            // The device's answer to a tool_request
+            socket.on('tool_result', (data) => {
+                this.handleToolResult(socket, data);
+            });
+
             // Handle audio streaming
             socket.on('audio_stream', async (data) => {
                 try {
@@ -256,6 +382,20 @@ class AIVoiceServer {
             // Handle disconnection
             socket.on('disconnect', (reason) => {
                 console.log(`Client disconnected: ${socket.id} - ${reason}`);
+                clearTimeout(socket.data.tokenExpiryTimer);
+
+                // Nobody is listening any more, so stop paying for upstream tokens
+                for (const { controller } of socket.data.activeStreams.values()) {
+                    controller.abort();
+                }
+                for (const session of socket.data.audioSessions.values()) {
+                    session.close();
+                }
+                socket.data.audioSessions.clear();
+                for (const pending of socket.data.pendingToolRequests.values()) {
+                    pending.reject(new ToolError('Client disconnected before answering', 'CLIENT_DISCONNECTED'));
+                }
+                this.socketRateLimiter.release(socket.id);
             });
 
             // Handle errors
@@ -267,228 +407,864 @@ class AIVoiceServer {
         console.log('WebSocket service initialized');
     }
 
+    /**
+     * Disconnect a socket whose access token has expired or whose session
+     * ended, telling the client why first (error with TOKEN_EXPIRED or
+     * SESSION_REVOKED)
+     */
+    endSocketSession(socket, code) {
+        if (!socket.connected) {
+            return;
+        }
+        console.log(`Disconnecting ${socket.id} (${socket.data.user.username}): ${code}`);
+        socket.emit('error', {
+            message: code === 'TOKEN_EXPIRED' ? 'Access token expired' : 'Session has been revoked',
+            code
+        });
+        socket.disconnect(true);
+    }
+
+    // Sockets opened with the tokens of a session that has ended
+    disconnectSession(userId, sessionId) {
+        for (const socket of this.io.of('/').sockets.values()) {
+            if (socket.data.userId === userId && socket.data.user.sessionId === sessionId) {
+                this.endSocketSession(socket, 'SESSION_REVOKED');
+            }
+        }
+    }
+
+    // Disconnect when the access token the socket was authenticated with expires
+    scheduleTokenExpiry(socket) {
+        clearTimeout(socket.data.tokenExpiryTimer);
+        // setTimeout can't wait longer than about 24.8 days; the event check covers the rest
+        const delay = Math.min(Math.max(socket.data.user.expiresAt - Date.now(), 0), 2 ** 31 - 1);
+        socket.data.tokenExpiryTimer = setTimeout(() => this.endSocketSession(socket, 'TOKEN_EXPIRED'), delay);
+    }
+
+    // Drop events arriving after the access token expired, in case the timer hasn't fired yet
+    checkSocketToken(socket, packet, next) {
+        if (Date.now() >= socket.data.user.expiresAt) {
+            return this.endSocketSession(socket, 'TOKEN_EXPIRED');
+        }
+        next();
+    }
+
+    /**
+     * Renew a socket's access token (authenticate { token }). The token must
+     * belong to the same user; answers authenticated { sessionId, expiresAt },
+     * or an error with the AuthError code and leaves the current token in place.
+     */
+    async reauthenticateSocket(socket, token) {
+        let user;
+        try {
+            user = await this.authService.authenticate(token);
+            if (user.id !== socket.data.userId) {
+                throw new AuthError('Token belongs to another user', 'INVALID_TOKEN');
+            }
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                throw error;
+            }
+            socket.emit('error', { message: error.message, code: error.code });
+            return;
+        }
+
+        socket.data.user = user;
+        this.scheduleTokenExpiry(socket);
+        socket.emit('authenticated', {
+            sessionId: user.sessionId,
+            expiresAt: new Date(user.expiresAt).toISOString()
+        });
+    }
+
+    /**
+     * Drop an event that is over its rate limit (see SocketRateLimiter) and tell
+     * the sender with rate_limited { event, code: 'RATE_LIMITED', budget, scope,
+     * retryAfterMs, disconnect }, plus the event's messageId or sessionId and
+     * sequence so the client knows what to resend. A socket that keeps ignoring
+     * the limit is disconnected.
+     */
+    limitSocketEvent(socket, [event, data], next) {
+        // Events still queued when the socket was disconnected
+        if (!socket.connected) {
+            return;
+        }
+
+        const limited = this.socketRateLimiter.consume(socket.id, socket.data.userId, event);
+        if (!limited) {
+            return next();
+        }
+
+        socket.emit('rate_limited', {
+            event,
+            code: 'RATE_LIMITED',
+            message: `Too many ${limited.budget} events; retry in ${limited.retryAfterMs}ms`,
+            budget: limited.budget,
+            scope: limited.scope,
+            retryAfterMs: limited.retryAfterMs,
+            disconnect: limited.disconnect,
+            ...(data?.messageId && { messageId: data.messageId }),
+            ...(data?.sessionId && { sessionId: data.sessionId, sequence: data.sequence })
+        });
+
+        if (limited.disconnect) {
+            console.warn(`Disconnecting ${socket.id} (${socket.data.user.username}) after ${limited.violations} rate-limited events`);
+            socket.disconnect(true);
+        }
+    }
+
+    userRoom(userId) {
+        return `user:${userId}`;
+    }
+
+    // Events about the user's conversations go to all of their connected devices
+    emitToUser(socket, event, payload) {
+        this.io.to(this.userRoom(socket.data.userId)).emit(event, payload);
+    }
+
+    /**
+     * Whether the socket's user may use this conversation (or audio session) ID;
+     * emits CONVERSATION_NOT_FOUND when it belongs to someone else
+     */
+    async checkConversationAccess(socket, conversationId, idField = 'conversationId') {
+        if (await this.conversationService.canAccess(conversationId, socket.data.userId)) {
+            return true;
+        }
+        // Audio errors carry their text as `error`, chat errors as `message`
+        socket.emit('error', {
+            [idField]: conversationId,
+            [idField === 'sessionId' ? 'error' : 'message']: 'Conversation not found',
+            code: 'CONVERSATION_NOT_FOUND'
+        });
+        return false;
+    }
+
+    /**
+     * Register the tools a client can run on the device (from the handshake's
+     * auth.tools or register_tools). The model sees them next to the server's
+     * tools on this socket's chat_message and audio_stream replies; calls to
+     * them are forwarded as tool_request events. Answers with tools_registered,
+     * or an INVALID_CLIENT_TOOLS error that leaves the previous tools in place.
+     * @param {Socket} socket
+     * @param {Array} definitions - [{ name, description, parameters }]
+     */
+    registerClientTools(socket, definitions) {
+        let validated;
+        try {
+            validated = validateClientTools(definitions, this.toolRegistry);
+        } catch (error) {
+            if (!(error instanceof ToolError)) {
+                throw error;
+            }
+            socket.emit('error', { message: error.message, code: error.code });
+            return;
+        }
+
+        const delegate = (name, args, context) => this.requestClientTool(socket, name, args, context);
+        socket.data.toolRegistry = validated.length
+            ? this.toolRegistry.extend(validated.map(definition => createClientTool(definition, delegate)))
+            : this.toolRegistry;
+
+        console.log(`Client ${socket.id} registered ${validated.length} tools`);
+        socket.emit('tools_registered', { tools: validated.map(definition => definition.name) });
+    }
+
+    /**
+     * Forward a tool call to the client as tool_request { requestId, messageId or
+     * sessionId, conversationId, name, arguments, timeoutMs } and wait for its
+     * tool_result. Rejects with a ToolError when the client doesn't answer in
+     * time, disconnects or the reply is cancelled; the model is told the tool
+     * failed and carries on.
+     */
+    requestClientTool(socket, name, args, { messageId, sessionId, conversationId, signal } = {}) {
+        const requestId = `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => finish(reject, new ToolError('Reply cancelled', 'TOOL_CANCELLED'));
+            const timer = setTimeout(() => {
+                finish(reject, new ToolError(`Client did not answer within ${this.clientToolTimeout}ms`, 'TOOL_TIMEOUT'));
+            }, this.clientToolTimeout);
+
+            const finish = (settle, value) => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                socket.data.pendingToolRequests.delete(requestId);
+                settle(value);
+            };
+
+            if (signal?.aborted) {
+                return onAbort();
+            }
+            signal?.addEventListener('abort', onAbort);
+            socket.data.pendingToolRequests.set(requestId, {
+                name,
+                resolve: (result) => finish(resolve, result),
+                reject: (error) => finish(reject, error)
+            });
+
+            socket.emit('tool_request', {
+                requestId,
+                ...(messageId && { messageId }),
+                ...(sessionId && { sessionId }),
+                conversationId,
+                name,
+                arguments: args,
+                timeoutMs: this.clientToolTimeout
+            });
+        });
+    }
+
+    /**
+     * Complete a tool_request with the client's { requestId, result } or
+     * { requestId, error } (a message, reported to the model as the tool's error)
+     */
+    handleToolResult(socket, data) {
+        const pending = socket.data.pendingToolRequests.get(data?.requestId);
+        if (!pending) {
+            socket.emit('error', {
+                requestId: data?.requestId,
+                message: 'No pending tool request with this ID',
+                code: 'UNKNOWN_TOOL_REQUEST'
+            });
+            return;
+        }
+
+        if (data.error !== undefined && data.error !== null) {
+            const message = typeof data.error === 'string' ? data.error : data.error.message;
+            pending.reject(new ToolError(message || `${pending.name} failed on the client`, 'CLIENT_TOOL_ERROR'));
+            return;
+        }
+        pending.resolve(data.result === undefined ? null : data.result);
+    }
+
+    /**
+     * Stream a chat reply: processing_start, then chat_chunk events keyed by
+     * messageId, then chat_response with usage (or message_cancelled if the
+     * client sent cancel_message, which aborts the upstream request).
+     * Cancelled replies are not recorded in the conversation.
+     * These events go to every device the user has connected, so each can
+     * follow the conversation; errors only go to the sender. conversationId
+     * must be unknown or one of the user's own conversations.
+     * model, temperature and maxTokens are checked against the allow-list
+     * (see ModelSettings); chat_response reports the values used as generation.
+     * profileId picks one of the client's profiles (see ProfileService) and
+     * context fills in the system prompt's template variables.
+     * Tools the model runs are reported as tool_call events and in toolCalls,
+     * including device tools the client registered (see registerClientTools);
+     * send tools: false to answer without them.
+     * Once the user's quota is used up the reply is refused with an error
+     * { code: 'QUOTA_EXCEEDED', retryAfter } (seconds).
+     */
     async handleChatMessage(socket, data) {
-        const { message, conversationId, messageId } = data;
+        const { message, conversationId, systemPrompt, profileId, context, tts, tools, model, temperature, maxTokens } = data;
+        const messageId = data.messageId || this.chatService.generateMessageId();
+
+        // Validate input (the same checks as POST /chat/message)
+        const invalidMessage = this.chatService.validateMessage(message);
+        if (invalidMessage) {
+            socket.emit('error', { messageId, message: invalidMessage.error, code: invalidMessage.code });
+            return;
+        }
+
+        if (conversationId && !this.conversationService.isValidConversationId(conversationId)) {
+            socket.emit('error', { messageId, message: 'Invalid conversation ID' });
+            return;
+        }
+
+        if (!this.chatService.isValidSystemPrompt(systemPrompt)) {
+            socket.emit('error', {
+                messageId,
+                message: `systemPrompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`,
+                code: 'INVALID_SYSTEM_PROMPT'
+            });
+            return;
+        }
 
-        // Validate input
-        if (!message || typeof message !== 'string') {
-            socket.emit('error', { message: 'Invalid message format' });
+        if (!this.chatService.isSystemPromptAllowed(systemPrompt)) {
+            socket.emit('error', {
+                messageId,
+                message: 'Custom system prompts are disabled on this server',
+                code: 'SYSTEM_PROMPT_NOT_ALLOWED'
+            });
             return;
         }
 
-        // Send processing status
-        socket.emit('processing_start', { messageId });
+        if (tools !== undefined && typeof tools !== 'boolean') {
+            socket.emit('error', { messageId, message: 'tools must be true or false', code: 'INVALID_TOOLS_OPTION' });
+            return;
+        }
 
+        if (socket.data.activeStreams.has(messageId)) {
+            socket.emit('error', { messageId, message: 'Message is already being processed' });
+            return;
+        }
+
+        if (conversationId && !(await this.checkConversationAccess(socket, conversationId))) {
+            return;
+        }
+
+        let promptContext;
+        let profile;
+        let ttsSettings;
+        let generation;
         try {
-            // Get AI response from OpenRouter
-            const aiResponse = await this.getAIResponse(message, conversationId);
+            promptContext = this.readPromptContext(socket, context);
+            profile = await this.chatService.getProfile(profileId, socket.data.userId);
+            ttsSettings = await this.chatService.resolveSpeechSettings(tts, conversationId, profile);
+            generation = await this.chatService.resolveGenerationSettings({ model, temperature, maxTokens }, conversationId, profile);
+            await this.chatService.checkQuota(socket.data.user);
+        } catch (error) {
+            if (!(error instanceof TextToSpeechError || error instanceof ModelSettingsError
+                || error instanceof ProfileError || error instanceof PromptTemplateError
+                || error instanceof QuotaError)) {
+                throw error;
+            }
+            socket.emit('error', {
+                messageId,
+                message: error.message,
+                code: error.code,
+                ...(error.retryAfter && { retryAfter: error.retryAfter })
+            });
+            return;
+        }
+
+        const controller = new AbortController();
+        const stream = { controller, conversationId: conversationId || null };
+        socket.data.activeStreams.set(messageId, stream);
 
-            // Send response back to client
-            socket.emit('chat_response', {
+        // Send processing status, with the message for the user's other devices
+        this.emitToUser(socket, 'processing_start', { messageId, conversationId: conversationId || null, message });
+
+        let turn;
+        try {
+            let index = 0;
+            const reply = await this.chatService.streamReply({
+                message,
+                conversationId,
+                systemPrompt,
+                profile,
+                context: promptContext,
+                generation,
+                tools,
+                toolRegistry: socket.data.toolRegistry,
+                toolContext: { messageId },
+                ownerId: socket.data.userId,
+                signal: controller.signal,
+                onStart: (started) => {
+                    turn = started;
+                    stream.conversationId = started.conversationId;
+                },
+                onChunk: (content) => {
+                    this.emitToUser(socket, 'chat_chunk', {
+                        messageId,
+                        conversationId: turn.conversationId,
+                        index: index++,
+                        content
+                    });
+                },
+                onToolCall: (invocation) => {
+                    this.emitToUser(socket, 'tool_call', {
+                        messageId,
+                        conversationId: turn.conversationId,
+                        ...invocation
+                    });
+                }
+            });
+
+            const { speech, speechError } = await this.textToSpeechService.speak(reply.response, ttsSettings);
+
+            // Send the complete response back to the user's devices
+            this.emitToUser(socket, 'chat_response', {
                 messageId,
-                response: aiResponse.response,
-                conversationId: aiResponse.conversationId,
+                response: reply.response,
+                conversationId: reply.conversationId,
+                newConversation: reply.newConversation,
+                usage: reply.usage,
+                model: reply.model,
+                attempts: reply.attempts,
+                generation: reply.generation,
+                toolCalls: reply.toolCalls,
+                finishReason: reply.finishReason,
+                speech,
+                ...(speechError && { speechError }),
                 timestamp: new Date().toISOString()
             });
+            this.errorMonitor.recordSuccess('socket:chat_message');
 
         } catch (error) {
+            if (error.code === 'ERR_CANCELED') {
+                this.emitToUser(socket, 'message_cancelled', {
+                    messageId,
+                    conversationId: turn?.conversationId || conversationId,
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+
             console.error('Open Router error:', error);
+            this.errorMonitor.recordFailure('socket:chat_message', {
+                error,
+                userId: socket.data.userId,
+                messageId,
+                conversationId: turn?.conversationId || conversationId || null
+            });
             socket.emit('error', {
                 messageId,
                 error: 'Failed to get AI response',
                 details: error.message
             });
+        } finally {
+            socket.data.activeStreams.delete(messageId);
         }
     }
 
+    // Template context from a socket event, with the locale of the handshake's Accept-Language
+    readPromptContext(socket, context) {
+        return normalizeContext(context, { locale: localeFromHeader(socket.handshake.headers['accept-language']) });
+    }
+
+    /**
+     * Buffer an audio_stream chunk. Chunks are assembled per sessionId in
+     * sequence order and transcript_partial events report the transcript of
+     * the latest audio while the user is still speaking: the last
+     * AUDIO_PARTIAL_WINDOW seconds for WAV and PCM (windowStart gives where
+     * that starts), or everything up to AUDIO_PARTIAL_MAX_BYTES otherwise. Once the final chunk and every chunk
+     * before it have arrived, the utterance is transcribed and answered.
+     *
+     * For WAV and raw 16-bit PCM (format "pcm" with sampleRate and channels)
+     * the server also listens for the end of speech: after a stretch of silence
+     * (vad.silenceMs, default VAD_SILENCE_MS) it emits speech_end, so the app
+     * can stop recording, and finalizes without waiting for isFinal. Send
+     * vad: false to turn this off for a stream.
+     *
+     * Like tts and language, profileId, context, model, temperature and
+     * maxTokens may be sent with any chunk and apply to the reply.
+     */
     async handleAudioStream(socket, data) {
-        const { audioChunk, sessionId, isFinal } = data;
+        const { audioChunk, sessionId, isFinal, tts, sequence, format, language, vad, sampleRate, channels } = data || {};
+        const { profileId, context, model, temperature, maxTokens } = data || {};
+
+        if (!sessionId || !this.conversationService.isValidConversationId(sessionId)) {
+            socket.emit('error', { sessionId, error: 'Invalid session ID', code: 'INVALID_SESSION_ID' });
+            return;
+        }
+
+        if (audioChunk !== undefined && audioChunk !== null && typeof audioChunk !== 'string') {
+            socket.emit('error', { sessionId, error: 'Audio chunk must be a base64 string', code: 'INVALID_AUDIO_DATA' });
+            return;
+        }
+
+        // Chunks still in flight when the server ended the utterance are dropped
+        // until the client's own isFinal, or a new utterance starting at sequence 0
+        const endedUntil = socket.data.endedAudioSessions.get(sessionId);
+        if (endedUntil) {
+            socket.data.endedAudioSessions.delete(sessionId);
+            if (endedUntil > Date.now() && sequence !== 0) {
+                if (!isFinal) {
+                    socket.data.endedAudioSessions.set(sessionId, endedUntil);
+                }
+                socket.emit('audio_processed', {
+                    sessionId,
+                    processed: false,
+                    ignored: true,
+                    sequence,
+                    isFinal: Boolean(isFinal),
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+        }
+
+        const optionsError = this.validateStreamOptions({ vad, format, sampleRate, channels });
+        if (optionsError) {
+            socket.emit('error', { sessionId, ...optionsError });
+            return;
+        }
+
+        // The session ID is also the conversation ID, so it must not be another user's
+        if (!socket.data.audioSessions.has(sessionId) && !(await this.checkConversationAccess(socket, sessionId, 'sessionId'))) {
+            return;
+        }
+
+        let session = socket.data.audioSessions.get(sessionId);
+        if (!session) {
+            if (socket.data.audioSessions.size >= MAX_AUDIO_SESSIONS_PER_SOCKET) {
+                socket.emit('error', {
+                    sessionId,
+                    error: `At most ${MAX_AUDIO_SESSIONS_PER_SOCKET} audio streams can be open at once`,
+                    code: 'TOO_MANY_AUDIO_SESSIONS'
+                });
+                return;
+            }
+
+            session = new AudioStreamSession(sessionId, {
+                onTimeout: (expired, reason) => this.expireAudioSession(socket, expired, reason),
+                vad: vad === false || process.env.VAD_ENABLED === 'false' ? false : { silenceMs: vad?.silenceMs }
+            });
+            if (format === 'pcm') {
+                session.sampleRate = sampleRate || session.sampleRate;
+                session.channels = channels || session.channels;
+            }
+            socket.data.audioSessions.set(sessionId, session);
+        }
+
+        // Stream-wide options may arrive with any chunk
+        if (format) {
+            session.format = format;
+        }
+        if (language) {
+            session.language = language;
+        }
+        if (tts !== undefined) {
+            session.tts = tts;
+        }
+        if (profileId !== undefined) {
+            session.profileId = profileId;
+        }
+        if (context !== undefined) {
+            session.context = context;
+        }
+        for (const [field, value] of Object.entries({ model, temperature, maxTokens })) {
+            if (value !== undefined) {
+                session.generation[field] = value;
+            }
+        }
+
+        let result;
+        try {
+            result = session.addChunk({
+                sequence,
+                data: Buffer.from(audioChunk || '', 'base64'),
+                isFinal: Boolean(isFinal)
+            });
+        } catch (error) {
+            if (!(error instanceof AudioStreamError)) {
+                throw error;
+            }
+            if (error.code === 'AUDIO_TOO_LARGE') {
+                this.endAudioSession(socket, session);
+            }
+            socket.emit('error', { sessionId, error: error.message, code: error.code });
+            return;
+        }
 
-        // Process audio chunk (simulate processing)
         socket.emit('audio_processed', {
             sessionId,
             processed: true,
-            isFinal,
+            sequence: result.sequence,
+            duplicate: result.duplicate,
+            receivedBytes: session.totalBytes,
+            isFinal: Boolean(isFinal),
             timestamp: new Date().toISOString()
         });
 
-        // If it's the final chunk, process the complete audio
-        if (isFinal) {
-            await this.processCompleteAudio(socket, sessionId);
-        }
-    }
-
-    async processCompleteAudio(socket, sessionId) {
-        try {
-            // Simulate audio transcription
-            const transcribedText = "This is a simulated transcription of the audio input. In a real application, this would be processed by a speech-to-text service.";
-            
-            // Get AI response for the transcribed text
-            const aiResponse = await this.getAIResponse(transcribedText, sessionId);
-
-            socket.emit('audio_response', {
+        // The speaker went quiet: end the utterance at this chunk
+        if (!result.complete && session.detectEndOfSpeech()) {
+            this.rememberEndedAudioSession(socket, sessionId);
+            socket.emit('speech_end', {
                 sessionId,
-                transcribedText,
-                aiResponse: aiResponse.response,
+                sequence: session.finalSequence,
+                reason: 'silence',
                 timestamp: new Date().toISOString()
             });
+            result.complete = true;
+        }
 
-        } catch (error) {
-            console.error('Audio processing error:', error);
-            socket.emit('error', {
-                sessionId,
-                error: 'Failed to process audio'
-            });
+        // Once every chunk is in, process the complete audio
+        if (result.complete) {
+            await this.processCompleteAudio(socket, session);
+        } else {
+            await this.emitPartialTranscript(socket, session);
         }
     }
 
-    async getAIResponse(message, conversationId = null) {
-        try {
-            const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-            if (!openRouterApiKey) {
-                throw new Error('OpenRouter API key not configured');
+    // Validate the options that fix how a stream is analysed; returns { error, code } or null
+    validateStreamOptions({ vad, format, sampleRate, channels }) {
+        const invalid = (error) => ({ error, code: 'INVALID_STREAM_OPTIONS' });
+
+        if (vad !== undefined && typeof vad !== 'boolean' && (!vad || typeof vad !== 'object')) {
+            return invalid('vad must be true, false or an object');
+        }
+        if (vad?.silenceMs !== undefined && (!Number.isInteger(vad.silenceMs)
+            || vad.silenceMs < MIN_VAD_SILENCE_MS || vad.silenceMs > MAX_VAD_SILENCE_MS)) {
+            return invalid(`vad.silenceMs must be an integer from ${MIN_VAD_SILENCE_MS} to ${MAX_VAD_SILENCE_MS}`);
+        }
+        if (format !== undefined && format !== 'pcm' && !SUPPORTED_AUDIO_FORMATS.includes(format)) {
+            return invalid(`format must be pcm or one of: ${SUPPORTED_AUDIO_FORMATS.join(', ')}`);
+        }
+        if (format === 'pcm') {
+            if (sampleRate !== undefined && !PCM_SAMPLE_RATES.includes(sampleRate)) {
+                return invalid(`sampleRate must be one of: ${PCM_SAMPLE_RATES.join(', ')}`);
+            }
+            if (channels !== undefined && channels !== 1 && channels !== 2) {
+                return invalid('channels must be 1 or 2');
             }
+        }
+        return null;
+    }
 
-            const messages = [
-                {
-                    role: 'system',
-                    content: 'You are a helpful AI assistant. Provide clear, concise, and helpful responses.'
-                },
-                {
-                    role: 'user',
-                    content: message
-                }
-            ];
-
-            const requestBody = {
-                model: process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
-                messages: messages,
-                max_tokens: 1000,
-                temperature: 0.7,
-                stream: false
-            };
+    // Drop late chunks for a session ended by voice activity detection for a little while
+    rememberEndedAudioSession(socket, sessionId) {
+        const now = Date.now();
+        for (const [id, until] of socket.data.endedAudioSessions) {
+            if (until <= now) {
+                socket.data.endedAudioSessions.delete(id);
+            }
+        }
+        socket.data.endedAudioSessions.set(sessionId, now + AUDIO_REORDER_TIMEOUT);
+    }
 
-            const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${openRouterApiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': process.env.SERVER_URL || 'https://your-render-app.onrender.com',
-                    'X-Title': 'AI Voice Assistant'
-                },
-                timeout: 30000
-            });
+    // Best-effort transcript of the latest audio (see AudioStreamSession.partialAudio),
+    // at most one in flight and one per interval
+    async emitPartialTranscript(socket, session) {
+        if (session.partialInFlight
+            || session.contiguousEnd() <= session.lastPartialSequence
+            || Date.now() - session.lastPartialAt < AUDIO_PARTIAL_INTERVAL) {
+            return;
+        }
+
+        const partial = session.partialAudio({
+            windowSeconds: AUDIO_PARTIAL_WINDOW,
+            maxBytes: AUDIO_PARTIAL_MAX_BYTES
+        });
+        if (!partial) {
+            return;
+        }
+        const { audio, format, lastSequence, windowStart } = partial;
 
-            const aiResponse = response.data.choices[0].message.content;
+        session.partialInFlight = true;
+        session.lastPartialAt = Date.now();
 
-            return {
-                response: aiResponse,
-                conversationId: conversationId || this.generateConversationId(),
-                usage: response.data.usage,
-                model: response.data.model
-            };
+        try {
+            const transcript = await this.speechToText.transcribe(audio, {
+                format,
+                language: session.language
+            });
 
-        } catch (error) {
-            console.error('Open Router API Error:', error.response?.data || error.message);
-            
-            if (error.response?.status === 401) {
-                throw new Error('Invalid Open Router API key');
-            } else if (error.response?.status === 429) {
-                throw new Error('Rate limit exceeded for Open Router');
-            } else if (error.code === 'ECONNABORTED') {
-                throw new Error('Open Router request timeout');
-            } else {
-                throw new Error(`Open Router service error: ${error.message}`);
+            // The utterance may have been finalized or dropped in the meantime
+            if (session.finalizing || socket.data.audioSessions.get(session.sessionId) !== session) {
+                return;
+            }
+            session.lastPartialSequence = lastSequence;
+
+            if (transcript.text) {
+                socket.emit('transcript_partial', {
+                    sessionId: session.sessionId,
+                    text: transcript.text,
+                    confidence: transcript.confidence,
+                    sequence: lastSequence,
+                    windowStart,
+                    timestamp: new Date().toISOString()
+                });
             }
+        } catch (error) {
+            console.error('Partial transcription error:', error.message);
+        } finally {
+            session.partialInFlight = false;
         }
     }
 
-    async simulateSpeechToText(audioData) {
-        // Simulate speech-to-text processing
-        // In a real application, you would use Google Speech-to-Text, Whisper, etc.
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const simulatedTexts = [
-                    "Hello! How can I help you today?",
-                    "I understand you're looking for assistance.",
-                    "That's an interesting question. Let me think about it.",
-                    "I'd be happy to help with that!",
-                    "Could you please provide more details about your request?"
-                ];
-                const randomText = simulatedTexts[Math.floor(Math.random() * simulatedTexts.length)];
-                resolve(randomText);
-            }, 1000);
-        });
+    expireAudioSession(socket, session, reason) {
+        const missing = session.missingSequences();
+        this.endAudioSession(socket, session);
+
+        console.log(`Audio session ${session.sessionId} expired (${reason})`);
+        socket.emit('error', reason === 'missing_chunks'
+            ? {
+                sessionId: session.sessionId,
+                error: 'Audio stream incomplete: some chunks never arrived',
+                code: 'AUDIO_CHUNKS_MISSING',
+                missing
+            }
+            : {
+                sessionId: session.sessionId,
+                error: 'Audio stream timed out waiting for more chunks',
+                code: 'AUDIO_SESSION_TIMEOUT'
+            });
     }
 
-    generateConversationId() {
-        return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    endAudioSession(socket, session) {
+        session.close();
+        if (socket.data.audioSessions.get(session.sessionId) === session) {
+            socket.data.audioSessions.delete(session.sessionId);
+        }
     }
 
-    initializeErrorHandling() {
-        // Global error handling middleware
-        this.app.use((err, req, res, next) => {
-            console.error('Global error handler:', err);
-
-            let error = { 
-                message: 'Internal server error', 
-                statusCode: 500,
-                code: 'INTERNAL_ERROR'
-            };
+    /**
+     * Transcribe a completed utterance (transcript_final) and answer it (audio_response).
+     * The session ID doubles as the conversation ID, so later utterances on the
+     * same sessionId continue the conversation. Like chat replies, both events
+     * go to all of the user's devices. The user's quota is checked before
+     * transcribing, as for chat_message.
+     */
+    async processCompleteAudio(socket, session) {
+        const { sessionId } = session;
+        session.finalizing = true;
+        const { audio, format } = session.transcribableAudio();
+        this.endAudioSession(socket, session);
 
-            // Axios error
-            if (err.isAxiosError) {
-                error.message = 'External service error';
-                error.statusCode = 502;
-                error.code = 'EXTERNAL_SERVICE_ERROR';
+        try {
+            let context;
+            let profile;
+            let ttsSettings;
+            let generation;
+            try {
+                context = this.readPromptContext(socket, session.context);
+                profile = await this.chatService.getProfile(session.profileId, socket.data.userId);
+                ttsSettings = await this.chatService.resolveSpeechSettings(session.tts, sessionId, profile);
+                generation = await this.chatService.resolveGenerationSettings(session.generation, sessionId, profile);
+                await this.chatService.checkQuota(socket.data.user);
+            } catch (error) {
+                if (!(error instanceof TextToSpeechError || error instanceof ModelSettingsError
+                    || error instanceof ProfileError || error instanceof PromptTemplateError
+                    || error instanceof QuotaError)) {
+                    throw error;
+                }
+                socket.emit('error', {
+                    sessionId,
+                    error: error.message,
+                    code: error.code,
+                    ...(error.retryAfter && { retryAfter: error.retryAfter })
+                });
+                return;
             }
 
-            // Validation error
-            if (err.name === 'ValidationError') {
-                error.message = 'Validation failed';
-                error.statusCode = 400;
-                error.code = 'VALIDATION_ERROR';
+            if (audio.length === 0) {
+                socket.emit('error', { sessionId, error: 'No audio received', code: 'NO_AUDIO_DATA' });
+                return;
             }
 
-            // Rate limit error
-            if (err.statusCode === 429) {
-                error.message = 'Too many requests';
-                error.statusCode = 429;
-                error.code = 'RATE_LIMIT_EXCEEDED';
+            // Someone else may have started a conversation with this ID since the first chunk
+            if (!(await this.checkConversationAccess(socket, sessionId, 'sessionId'))) {
+                return;
             }
 
-            const response = {
-                success: false,
-                error: error.message,
-                code: error.code,
-                ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-            };
+            const prepared = await prepareAudio(audio, { format });
+            const transcript = await this.speechToText.transcribe(prepared.audio, {
+                format: prepared.format,
+                language: session.language || profile?.language || undefined
+            });
 
-            res.status(error.statusCode).json(response);
-        });
+            this.emitToUser(socket, 'transcript_final', {
+                sessionId,
+                text: transcript.text,
+                language: transcript.language,
+                confidence: transcript.confidence,
+                segments: transcript.segments,
+                timestamp: new Date().toISOString()
+            });
+
+            if (!transcript.text) {
+                socket.emit('error', { sessionId, error: 'No speech detected in audio', code: 'NO_SPEECH_DETECTED' });
+                return;
+            }
+
+            // Get AI response for the transcribed text
+            const reply = await this.chatService.reply({
+                message: transcript.text,
+                conversationId: sessionId,
+                profile,
+                context,
+                generation,
+                toolRegistry: socket.data.toolRegistry,
+                toolContext: { sessionId },
+                ownerId: socket.data.userId
+            });
+            const { speech, speechError } = await this.textToSpeechService.speak(reply.response, ttsSettings);
+
+            this.emitToUser(socket, 'audio_response', {
+                sessionId,
+                transcribedText: transcript.text,
+                confidence: transcript.confidence,
+                aiResponse: reply.response,
+                conversationId: reply.conversationId,
+                model: reply.model,
+                attempts: reply.attempts,
+                generation: reply.generation,
+                toolCalls: reply.toolCalls,
+                speech,
+                ...(speechError && { speechError }),
+                timestamp: new Date().toISOString()
+            });
+            this.errorMonitor.recordSuccess('socket:audio_stream');
+
+        } catch (error) {
+            console.error('Audio processing error:', error);
+            this.errorMonitor.recordFailure('socket:audio_stream', { error, userId: socket.data.userId, sessionId });
+            const knownError = error instanceof AudioFormatError || error instanceof SpeechToTextError;
+            socket.emit('error', {
+                sessionId,
+                error: knownError ? error.message : 'Failed to process audio',
+                ...(knownError && { code: error.code })
+            });
+        }
     }
 
-    start() {
-        this.server.listen(this.port, () => {
-            console.log(`🚀 AI Voice Assistant Server running on port ${this.port}`);
-            console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`🔗 Server URL: ${process.env.SERVER_URL || `http://localhost:${this.port}`}`);
-            console.log(`👨‍💻 Developer: shone (GitHub: shawnhhh-ux)`);
-            console.log(`📚 Repository: https://github.com/shawnhhh-ux/ai-voice-assistant`);
-            console.log(`💡 Health check: ${process.env.SERVER_URL || `http://localhost:${this.port}`}/health`);
-        });
+    initializeErrorHandling() {
+        this.app.use(errorHandler);
+    }
 
-        // Graceful shutdown
-        process.on('SIGTERM', () => {
-            console.log('SIGTERM received, shutting down gracefully');
-            this.server.close(() => {
-                console.log('Process terminated');
+    /**
+     * Start listening on PORT
+     * @returns {Promise<http.Server>} Resolves once the server is listening
+     */
+    async start() {
+        await this.authService.seedAdmin();
+
+        return new Promise((resolve, reject) => {
+            // e.g. EADDRINUSE
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                this.server.off('error', reject);
+                const { port } = this.server.address();
+                console.log(`🚀 AI Voice Assistant Server running on port ${port}`);
+                console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+                console.log(`🔗 Server URL: ${process.env.SERVER_URL || `http://localhost:${port}`}`);
+                console.log(`👨‍💻 Developer: shone (GitHub: shawnhhh-ux)`);
+                console.log(`📚 Repository: https://github.com/shawnhhh-ux/ai-voice-assistant`);
+                console.log(`💡 Health check: ${process.env.SERVER_URL || `http://localhost:${port}`}/health`);
+                resolve(this.server);
             });
         });
     }
+
+    /**
+     * Disconnect every socket and stop accepting connections
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve) => {
+            this.io.close(() => resolve());
+        });
+    }
 }
 
-// Create and start server
-const server = new AIVoiceServer();
-server.start();
+/**
+ * Build the server without listening, so tests can use the Express app
+ * (createApp().app) directly or call start() themselves.
+ * @param {Object} options - See AIVoiceServer
+ * @returns {AIVoiceServer}
+ */
+const createApp = (options = {}) => new AIVoiceServer(options);
+
+// Start the server when run directly (npm start)
+if (require.main === module) {
+    const server = createApp();
+    server.start().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM received, shutting down gracefully');
+        server.stop().then(() => {
+            console.log('Process terminated');
+        });
+    });
+}
 
-module.exports = server;
\ No newline at end of file
+module.exports = {
+    createApp,
+    AIVoiceServer
+};
@@ -0,0 +1,204 @@
+/**
+ * Reports and actions for the admin API: connected sockets, live
+ * conversations, token usage by model, error rates and recent failures, and
+ * ending a conversation or disconnecting a socket on an operator's behalf.
+ */
+class AdminService {
+  /**
+   * @param {Object} options
+   * @param {Server} options.io - Socket.IO server
+   * @param {ConversationService} options.conversationService
+   * @param {OpenRouterService} options.openRouterService - Per-model circuit status
+   * @param {QuotaService} options.quotaService - Token usage by model
+   * @param {ErrorMonitor} options.errorMonitor - Error rates and recent failures
+   * @param {Function} options.userRoom - Socket.IO room of a user's devices, by user ID
+   */
+  constructor({ io, conversationService, openRouterService, quotaService, errorMonitor, userRoom }) {
+    this.io = io;
+    this.userRoom = userRoom;
+    this.conversationService = conversationService;
+    this.openRouterService = openRouterService;
+    this.quotaService = quotaService;
+    this.errorMonitor = errorMonitor;
+  }
+
+  connectedSockets() {
+    return [...this.io.of('/').sockets.values()];
+  }
+
+  formatSocket(socket) {
+    return {
+      id: socket.id,
+      userId: socket.data.userId,
+      username: socket.data.user?.username,
+      sessionId: socket.data.user?.sessionId,
+      address: socket.handshake.address,
+      transport: socket.conn.transport.name,
+      connectedAt: new Date(socket.handshake.issued).toISOString(),
+      activeStreams: [...socket.data.activeStreams.entries()]
+        .map(([messageId, { conversationId }]) => ({ messageId, conversationId })),
+      audioSessions: [...socket.data.audioSessions.keys()],
+      // Device tools the client registered, not the server's own
+      clientTools: [...(socket.data.toolRegistry?.tools.values() || [])]
+        .filter(tool => tool.executedBy === 'client')
+        .length
+    };
+  }
+
+  /**
+   * @param {Object} [filter] - { userId }
+   * @returns {Object[]} Connected sockets, oldest first
+   */
+  listSockets({ userId } = {}) {
+    return this.connectedSockets()
+      .filter(socket => !userId || socket.data.userId === userId)
+      .map(socket => this.formatSocket(socket));
+  }
+
+  /**
+   * Disconnect a socket, telling the client why first
+   * @returns {boolean} false if no such socket is connected
+   */
+  disconnectSocket(socketId, reason = 'Disconnected by an administrator') {
+    const socket = this.io.of('/').sockets.get(socketId);
+    if (!socket) {
+      return false;
+    }
+    console.log(`Admin disconnected socket ${socketId} (${socket.data.user?.username})`);
+    socket.emit('error', { message: reason, code: 'DISCONNECTED_BY_ADMIN' });
+    socket.disconnect(true);
+    return true;
+  }
+
+  // Conversation IDs with a reply or an utterance in progress on any socket
+  busyConversations() {
+    const busy = new Set();
+    for (const socket of this.connectedSockets()) {
+      for (const { conversationId } of socket.data.activeStreams.values()) {
+        if (conversationId) {
+          busy.add(conversationId);
+        }
+      }
+      for (const sessionId of socket.data.audioSessions.keys()) {
+        busy.add(sessionId);
+      }
+    }
+    return busy;
+  }
+
+  /**
+   * Live (unexpired) conversations, most recently used first, with whether a
+   * reply is in progress
+   * @returns {Promise<Object>} { stats, conversations }
+   */
+  async listConversations() {
+    const busy = this.busyConversations();
+    const conversations = Object.entries(await this.conversationService.getAllConversations())
+      .map(([id, conversation]) => ({ id, ...conversation, inProgress: busy.has(id) }))
+      .sort((a, b) => new Date(b.lastAccessed) - new Date(a.lastAccessed));
+
+    return {
+      stats: await this.conversationService.getStats(),
+      conversations
+    };
+  }
+
+  /**
+   * End a conversation: abort replies streaming into it, drop audio being
+   * recorded for it, delete it and tell the owner's devices with
+   * conversation_ended. Audio replies already being generated still finish.
+   * @returns {Promise<boolean>} false if there was no such conversation or activity
+   */
+  async endConversation(conversationId) {
+    const conversation = await this.conversationService.loadConversation(conversationId);
+    let stopped = 0;
+
+    for (const socket of this.connectedSockets()) {
+      for (const { controller, conversationId: streamConversation } of socket.data.activeStreams.values()) {
+        if (streamConversation === conversationId) {
+          controller.abort();
+          stopped++;
+        }
+      }
+      const session = socket.data.audioSessions.get(conversationId);
+      if (session) {
+        session.close();
+        socket.data.audioSessions.delete(conversationId);
+        stopped++;
+      }
+    }
+
+    const deleted = await this.conversationService.deleteConversation(conversationId);
+    if (!conversation && !stopped) {
+      return false;
+    }
+
+    if (conversation?.ownerId) {
+      this.io.to(this.userRoom(conversation.ownerId)).emit('conversation_ended', {
+        conversationId,
+        reason: 'Ended by an administrator',
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.log(`Admin ended conversation ${conversationId} (${stopped} in progress, deleted: ${Boolean(deleted)})`);
+    return true;
+  }
+
+  /**
+   * OpenRouter token usage by model, with each model's upstream error rate
+   * @returns {Promise<Object>} { daily, monthly, upstream }
+   */
+  async getModelUsage() {
+    return {
+      ...(await this.quotaService.getModelUsage()),
+      upstream: this.openRouterService.getHealth()
+    };
+  }
+
+  /**
+   * @param {number} [limit] - Recent failures to include
+   * @returns {Object} { windowMs, sources, upstream, recentFailures }
+   */
+  getErrors(limit) {
+    const { status, models } = this.openRouterService.getHealth();
+    return {
+      ...this.errorMonitor.getErrorRates(),
+      upstream: {
+        status,
+        models: Object.fromEntries(Object.entries(models).map(([model, circuit]) => [model, {
+          state: circuit.state,
+          requests: circuit.requests,
+          failures: circuit.failures,
+          errorRate: circuit.errorRate
+        }]))
+      },
+      recentFailures: this.errorMonitor.getRecentFailures(limit)
+    };
+  }
+
+  /**
+   * Dashboard summary
+   * @returns {Promise<Object>}
+   */
+  async getOverview() {
+    const sockets = this.connectedSockets();
+    const { sources } = this.errorMonitor.getErrorRates();
+
+    return {
+      uptime: Math.round(process.uptime()),
+      memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
+      sockets: {
+        connected: sockets.length,
+        users: new Set(sockets.map(socket => socket.data.userId)).size,
+        activeStreams: sockets.reduce((total, socket) => total + socket.data.activeStreams.size, 0),
+        audioSessions: sockets.reduce((total, socket) => total + socket.data.audioSessions.size, 0)
+      },
+      conversations: await this.conversationService.getStats(),
+      upstream: this.openRouterService.getHealth().status,
+      errorRates: sources,
+      recentFailures: this.errorMonitor.getRecentFailures().length
+    };
+  }
+}
+
+module.exports = AdminService;
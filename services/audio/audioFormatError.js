@@ -0,0 +1,15 @@
+/**
+ * Error for audio that can't be accepted: unreadable payloads, unsupported
+ * or malformed containers, and clips over the size or duration limits.
+ * statusCode and code map directly onto the API error response.
+ */
+class AudioFormatError extends Error {
+  constructor(message, code = 'MALFORMED_AUDIO', statusCode = 400) {
+    super(message);
+    this.name = 'AudioFormatError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = AudioFormatError;
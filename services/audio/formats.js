@@ -0,0 +1,305 @@
+const AudioFormatError = require('./audioFormatError');
+const { parseWavHeader, WAV_FORMAT_PCM, WAV_FORMAT_IEEE_FLOAT } = require('./wav');
+
+// MPEG audio header tables, indexed by the header's version and layer bits
+const MP3_VERSIONS = { 0: 2.5, 2: 2, 3: 1 };
+const MP3_LAYERS = { 1: 3, 2: 2, 3: 1 };
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+// Opus granule positions always count 48 kHz samples
+const OPUS_GRANULE_RATE = 48000;
+
+const malformed = (message) => new AudioFormatError(message, 'MALFORMED_AUDIO');
+
+/**
+ * Identify the container from its magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} 'wav', 'mp3', 'm4a', 'ogg', or null if unrecognized
+ */
+const detectAudioFormat = (buffer) => {
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return 'm4a';
+  }
+  if ((buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3') || parseMp3Frame(buffer, 0)) {
+    return 'mp3';
+  }
+  return null;
+};
+
+/**
+ * Read the stream parameters of a container
+ * @param {Buffer} buffer - Complete file
+ * @param {string} format - Result of detectAudioFormat()
+ * @returns {Object} { duration (seconds), sampleRate, channels, ... }; WAV adds
+ *   { audioFormat, floatingPoint, bitsPerSample, dataOffset, dataLength }
+ * @throws {AudioFormatError} MALFORMED_AUDIO, UNSUPPORTED_AUDIO_ENCODING
+ */
+const probeAudio = (buffer, format) => {
+  switch (format) {
+    case 'wav':
+      return probeWav(buffer);
+    case 'mp3':
+      return probeMp3(buffer);
+    case 'ogg':
+      return probeOgg(buffer);
+    case 'm4a':
+      return probeM4a(buffer);
+    default:
+      throw new AudioFormatError(`Unsupported audio format: ${format}`, 'UNSUPPORTED_AUDIO_FORMAT', 415);
+  }
+};
+
+const probeWav = (buffer) => {
+  const header = parseWavHeader(buffer);
+  if (!header) {
+    throw malformed('WAV file has no valid fmt and data chunks');
+  }
+
+  const { audioFormat, bitsPerSample, sampleRate, channels } = header;
+  const integerPcm = audioFormat === WAV_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample);
+  const floatPcm = audioFormat === WAV_FORMAT_IEEE_FLOAT && bitsPerSample === 32;
+  if (!integerPcm && !floatPcm) {
+    throw new AudioFormatError(
+      'WAV audio must be 8, 16, 24 or 32-bit PCM or 32-bit float',
+      'UNSUPPORTED_AUDIO_ENCODING',
+      415
+    );
+  }
+  if (!sampleRate || !channels) {
+    throw malformed('WAV header has no sample rate or channel count');
+  }
+
+  // Streamed WAV doesn't record the data length, and files may be cut short
+  const available = buffer.length - header.dataOffset;
+  const frameSize = channels * bitsPerSample / 8;
+  const dataLength = Math.floor(Math.min(header.dataLength ?? available, available) / frameSize) * frameSize;
+
+  return {
+    ...header,
+    dataLength,
+    duration: dataLength / (sampleRate * frameSize)
+  };
+};
+
+// Decode the MPEG audio frame header at offset; null if there isn't a valid one
+const parseMp3Frame = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const version = MP3_VERSIONS[(buffer[offset + 1] >> 3) & 3];
+  const layer = MP3_LAYERS[(buffer[offset + 1] >> 1) & 3];
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = MP3_BITRATES[version === 1 ? `1-${layer}` : `2-${layer === 1 ? 1 : 2}`][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 1;
+  const samples = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+
+  return {
+    sampleRate,
+    channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2,
+    samples,
+    length
+  };
+};
+
+// Walk the frames after any ID3v2 tag, up to trailing tags or the end of the file
+const probeMp3 = (buffer) => {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    // Tag size is a 28-bit "synchsafe" integer; a footer adds 10 bytes
+    const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+  }
+
+  const first = parseMp3Frame(buffer, offset);
+  if (!first) {
+    throw malformed('MP3 file has no MPEG audio frames');
+  }
+
+  let frames = 0;
+  let samples = 0;
+  let frame = first;
+  while (frame) {
+    frames++;
+    samples += frame.samples;
+    offset += frame.length;
+    frame = parseMp3Frame(buffer, offset);
+  }
+
+  return {
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    frames,
+    duration: samples / first.sampleRate
+  };
+};
+
+// Walk the pages of the first logical stream; the last granule position gives the length
+const probeOgg = (buffer) => {
+  let offset = 0;
+  let serial = null;
+  let codec = null;
+  let lastGranule = 0;
+
+  while (offset + 27 <= buffer.length && buffer.toString('ascii', offset, offset + 4) === 'OggS') {
+    const segmentCount = buffer[offset + 26];
+    const bodyOffset = offset + 27 + segmentCount;
+    if (bodyOffset > buffer.length) {
+      break;
+    }
+    let bodyLength = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      bodyLength += buffer[offset + 27 + i];
+    }
+
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    if (serial === null) {
+      serial = pageSerial;
+      codec = parseOggCodec(buffer.subarray(bodyOffset, bodyOffset + bodyLength));
+    }
+    if (pageSerial === serial) {
+      // -1 marks a page on which no packet ends
+      const granule = buffer.readBigInt64LE(offset + 6);
+      if (granule >= 0n) {
+        lastGranule = Number(granule);
+      }
+    }
+
+    offset = bodyOffset + bodyLength;
+  }
+
+  if (!codec) {
+    throw malformed('Ogg file has no Vorbis or Opus stream');
+  }
+  if (!codec.sampleRate || !codec.channels) {
+    throw malformed('Ogg stream header has no sample rate or channel count');
+  }
+
+  const samples = Math.max(lastGranule - codec.preSkip, 0);
+  return {
+    sampleRate: codec.sampleRate,
+    channels: codec.channels,
+    codec: codec.name,
+    duration: samples / codec.granuleRate
+  };
+};
+
+// Identification header of the stream's first packet
+const parseOggCodec = (packet) => {
+  if (packet.length >= 16 && packet[0] === 1 && packet.toString('ascii', 1, 7) === 'vorbis') {
+    const sampleRate = packet.readUInt32LE(12);
+    return { name: 'vorbis', channels: packet[11], sampleRate, granuleRate: sampleRate, preSkip: 0 };
+  }
+  if (packet.length >= 19 && packet.toString('ascii', 0, 8) === 'OpusHead') {
+    return {
+      name: 'opus',
+      channels: packet[9],
+      sampleRate: packet.readUInt32LE(12) || OPUS_GRANULE_RATE,
+      granuleRate: OPUS_GRANULE_RATE,
+      preSkip: packet.readUInt16LE(10)
+    };
+  }
+  return null;
+};
+
+// Child boxes of an ISO base media box, as { type, start (of the payload), end }
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) {
+        break;
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (buffer, start, end, path) => {
+  let box = { start, end };
+  for (const type of path) {
+    box = readBoxes(buffer, box.start, box.end).find(child => child.type === type);
+    if (!box) {
+      return null;
+    }
+  }
+  return box;
+};
+
+const probeM4a = (buffer) => {
+  const moov = findBox(buffer, 0, buffer.length, ['moov']);
+  const mvhd = moov && findBox(buffer, moov.start, moov.end, ['mvhd']);
+  if (!mvhd) {
+    throw malformed('M4A file has no movie header (moov box)');
+  }
+
+  // Full box: version, flags, then times whose width depends on the version
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const length = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+  if (!timescale) {
+    throw malformed('M4A movie header has no timescale');
+  }
+
+  // First track with an mp4a sample description
+  let sampleRate = null;
+  let channels = null;
+  for (const trak of readBoxes(buffer, moov.start, moov.end).filter(box => box.type === 'trak')) {
+    const stsd = findBox(buffer, trak.start, trak.end, ['mdia', 'minf', 'stbl', 'stsd']);
+    // stsd: version/flags and entry count, then AudioSampleEntry boxes
+    const entry = stsd && readBoxes(buffer, stsd.start + 8, stsd.end)[0];
+    if (entry && entry.type === 'mp4a' && entry.start + 28 <= entry.end) {
+      channels = buffer.readUInt16BE(entry.start + 16);
+      sampleRate = buffer.readUInt32BE(entry.start + 24) >>> 16;
+      break;
+    }
+  }
+
+  return {
+    sampleRate,
+    channels,
+    duration: length / timescale
+  };
+};
+
+module.exports = {
+  detectAudioFormat,
+  probeAudio
+};
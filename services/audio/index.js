@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const AudioFormatError = require('./audioFormatError');
+const { detectAudioFormat, probeAudio } = require('./formats');
+const { normalizeAudio } = require('./normalize');
+const {
+  MAX_AUDIO_SIZE,
+  MAX_AUDIO_DURATION,
+  SUPPORTED_AUDIO_FORMATS
+} = require('../../config/constants');
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+const DATA_URL_PREFIX = /^data:[\w/.+-]*(;[\w=.+-]+)*;base64,/;
+
+/**
+ * Decode a base64 audio payload; a data: URL prefix and whitespace are allowed
+ * @param {string} data
+ * @returns {Buffer}
+ * @throws {AudioFormatError} INVALID_AUDIO_DATA, AUDIO_TOO_LARGE
+ */
+const decodeBase64Audio = (data) => {
+  if (typeof data !== 'string') {
+    throw new AudioFormatError('Audio data must be a base64 string', 'INVALID_AUDIO_DATA');
+  }
+
+  const base64 = data.replace(DATA_URL_PREFIX, '').replace(/\s+/g, '');
+  if (!base64 || !BASE64_PATTERN.test(base64) || base64.length % 4 === 1) {
+    throw new AudioFormatError('Audio data must be a base64 string', 'INVALID_AUDIO_DATA');
+  }
+
+  // Check the size before allocating the decoded buffer
+  if (Math.floor(base64.length * 3 / 4) > MAX_AUDIO_SIZE + 2) {
+    throw tooLarge();
+  }
+  return Buffer.from(base64, 'base64');
+};
+
+/**
+ * Bytes of an uploaded clip; an upload saved to disk (req.audioFile) is read
+ * only once its size is known to be within MAX_AUDIO_SIZE
+ * @param {string|Buffer|Object} input - Base64 string, raw bytes or { path, size }
+ * @returns {Promise<Buffer>}
+ */
+const readAudioInput = async (input) => {
+  if (Buffer.isBuffer(input)) {
+    return input;
+  }
+  if (input && typeof input === 'object' && typeof input.path === 'string') {
+    if (input.size > MAX_AUDIO_SIZE) {
+      throw tooLarge();
+    }
+    return fs.readFile(input.path);
+  }
+  return decodeBase64Audio(input);
+};
+
+const tooLarge = () => new AudioFormatError(
+  `Audio exceeds the maximum size of ${Math.round(MAX_AUDIO_SIZE / 1024 / 1024)}MB`,
+  'AUDIO_TOO_LARGE',
+  413
+);
+
+/**
+ * Validate an uploaded clip and normalize it for speech-to-text. The container
+ * is identified from its contents; a declared format only has to be one of
+ * SUPPORTED_AUDIO_FORMATS.
+ * @param {string|Buffer|Object} input - Base64 string, raw bytes or an upload
+ *   saved to disk ({ path, size }, see middleware/audioUpload.js)
+ * @param {Object} options
+ * @param {string} options.format - Format declared by the client (optional)
+ * @returns {Promise<Object>} { audio, format, sampleRate, channels, original: { format, size, duration, sampleRate, channels } }
+ * @throws {AudioFormatError} INVALID_AUDIO_DATA, AUDIO_TOO_LARGE, UNSUPPORTED_AUDIO_FORMAT,
+ *   UNSUPPORTED_AUDIO_ENCODING, MALFORMED_AUDIO, AUDIO_TOO_LONG, EMPTY_AUDIO
+ */
+const prepareAudio = async (input, { format } = {}) => {
+  if (format !== undefined && format !== null && !SUPPORTED_AUDIO_FORMATS.includes(format)) {
+    throw new AudioFormatError(
+      `Audio format must be one of: ${SUPPORTED_AUDIO_FORMATS.join(', ')}`,
+      'UNSUPPORTED_AUDIO_FORMAT',
+      415
+    );
+  }
+
+  const buffer = await readAudioInput(input);
+  if (buffer.length === 0) {
+    throw new AudioFormatError('Audio data is empty', 'INVALID_AUDIO_DATA');
+  }
+  if (buffer.length > MAX_AUDIO_SIZE) {
+    throw tooLarge();
+  }
+
+  const detected = detectAudioFormat(buffer);
+  if (!detected || !SUPPORTED_AUDIO_FORMATS.includes(detected)) {
+    throw new AudioFormatError(
+      `Unrecognized audio data. Supported formats: ${SUPPORTED_AUDIO_FORMATS.join(', ')}`,
+      'UNSUPPORTED_AUDIO_FORMAT',
+      415
+    );
+  }
+  if (format && format !== detected) {
+    console.log(`Audio declared as ${format} is ${detected}`);
+  }
+
+  const info = probeAudio(buffer, detected);
+  if (info.duration > MAX_AUDIO_DURATION) {
+    throw new AudioFormatError(
+      `Audio is ${Math.round(info.duration)} seconds long. Maximum ${MAX_AUDIO_DURATION} seconds allowed.`,
+      'AUDIO_TOO_LONG',
+      413
+    );
+  }
+  if (info.duration === 0) {
+    throw new AudioFormatError('Audio contains no samples', 'EMPTY_AUDIO');
+  }
+
+  const normalized = await normalizeAudio(buffer, detected, info);
+  return {
+    ...normalized,
+    original: {
+      format: detected,
+      size: buffer.length,
+      duration: info.duration,
+      sampleRate: info.sampleRate,
+      channels: info.channels
+    }
+  };
+};
+
+module.exports = {
+  prepareAudio,
+  decodeBase64Audio,
+  detectAudioFormat,
+  probeAudio,
+  AudioFormatError
+};
@@ -0,0 +1,161 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const AudioFormatError = require('./audioFormatError');
+const { parseWavHeader, createWavHeader } = require('./wav');
+const { AUDIO_SAMPLE_RATE } = require('../../config/constants');
+
+// Integer PCM readers by bit depth, scaled to -1..1
+const SAMPLE_READERS = {
+  8: (buffer, offset) => (buffer[offset] - 128) / 128,
+  16: (buffer, offset) => buffer.readInt16LE(offset) / 32768,
+  24: (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608,
+  32: (buffer, offset) => buffer.readInt32LE(offset) / 2147483648
+};
+
+/**
+ * Convert audio to the canonical form handed to speech-to-text: mono 16-bit
+ * PCM WAV at AUDIO_SAMPLE_RATE. WAV is converted in process. MP3, M4A and
+ * Ogg are transcoded with ffmpeg when FFMPEG_PATH is set; otherwise they are
+ * passed through unchanged, since the speech-to-text providers decode them.
+ * @param {Buffer} buffer - Complete file
+ * @param {string} format - Detected container format
+ * @param {Object} info - probeAudio() result
+ * @returns {Promise<Object>} { audio, format, sampleRate, channels }
+ */
+const normalizeAudio = async (buffer, format, info) => {
+  if (format === 'wav') {
+    return normalizeWav(buffer, info);
+  }
+  if (process.env.FFMPEG_PATH) {
+    return transcode(buffer, format);
+  }
+  return { audio: buffer, format, sampleRate: info.sampleRate, channels: info.channels };
+};
+
+const normalizeWav = (buffer, { sampleRate, channels, bitsPerSample, floatingPoint, dataOffset, dataLength }) => {
+  const data = buffer.subarray(dataOffset, dataOffset + dataLength);
+
+  // Already canonical: only the header may need its lengths filled in
+  if (!floatingPoint && bitsPerSample === 16 && channels === 1 && sampleRate === AUDIO_SAMPLE_RATE) {
+    return {
+      audio: Buffer.concat([createWavHeader({ sampleRate, channels, dataLength: data.length }), data]),
+      format: 'wav',
+      sampleRate,
+      channels
+    };
+  }
+
+  // Mix down to mono
+  const bytesPerSample = bitsPerSample / 8;
+  const readSample = floatingPoint ? (source, offset) => source.readFloatLE(offset) : SAMPLE_READERS[bitsPerSample];
+  const frames = data.length / (bytesPerSample * channels);
+  const mono = new Float32Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(data, (frame * channels + channel) * bytesPerSample);
+    }
+    mono[frame] = sum / channels;
+  }
+
+  const samples = resample(mono, sampleRate, AUDIO_SAMPLE_RATE);
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+  }
+
+  return {
+    audio: Buffer.concat([createWavHeader({ sampleRate: AUDIO_SAMPLE_RATE, channels: 1, dataLength: pcm.length }), pcm]),
+    format: 'wav',
+    sampleRate: AUDIO_SAMPLE_RATE,
+    channels: 1
+  };
+};
+
+// Averaging when downsampling keeps aliasing down; upsampling interpolates linearly
+const resample = (input, fromRate, toRate) => {
+  if (fromRate === toRate) {
+    return input;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(input.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    if (ratio > 1) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(Math.floor((i + 1) * ratio), input.length);
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += input[j];
+      }
+      output[i] = sum / Math.max(end - start, 1);
+    } else {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, input.length - 1);
+      output[i] = input[index] + (input[next] - input[index]) * (position - index);
+    }
+  }
+  return output;
+};
+
+// Decode through ffmpeg; input goes through a file because M4A may keep its index at the end
+const transcode = async (buffer, format) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+  const input = path.join(workDir, `input.${format}`);
+
+  try {
+    await fs.writeFile(input, buffer);
+    const output = await run(process.env.FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', input,
+      '-ac', '1', '-ar', String(AUDIO_SAMPLE_RATE), '-c:a', 'pcm_s16le',
+      '-f', 'wav', 'pipe:1'
+    ]);
+
+    // WAV written to a pipe has no lengths in its header
+    const header = parseWavHeader(output);
+    if (!header) {
+      throw new AudioFormatError('Audio could not be decoded', 'MALFORMED_AUDIO');
+    }
+    const data = output.subarray(header.dataOffset);
+    return {
+      audio: Buffer.concat([createWavHeader({ sampleRate: AUDIO_SAMPLE_RATE, channels: 1, dataLength: data.length }), data]),
+      format: 'wav',
+      sampleRate: AUDIO_SAMPLE_RATE,
+      channels: 1
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+const run = (file, args) => new Promise((resolve, reject) => {
+  const options = {
+    encoding: 'buffer',
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT_MS) || 30000
+  };
+
+  execFile(file, args, options, (error, stdout, stderr) => {
+    if (!error) {
+      return resolve(stdout);
+    }
+    console.error('Audio transcode error:', stderr.toString() || error.message);
+    if (error.killed) {
+      return reject(new AudioFormatError('Audio decoding timeout', 'AUDIO_TRANSCODE_TIMEOUT', 504));
+    }
+    if (typeof error.code === 'string') {
+      // The binary couldn't be started (e.g. ENOENT)
+      return reject(new AudioFormatError('Audio decoder is not available', 'AUDIO_TRANSCODER_UNAVAILABLE', 503));
+    }
+    reject(new AudioFormatError('Audio could not be decoded', 'MALFORMED_AUDIO'));
+  });
+});
+
+module.exports = {
+  normalizeAudio
+};
@@ -0,0 +1,95 @@
+const {
+  VAD_ENERGY_THRESHOLD,
+  VAD_SILENCE_MS,
+  VAD_MIN_SPEECH_MS
+} = require('../../config/constants');
+
+const FRAME_MS = 30;
+
+/**
+ * Energy-based voice activity detection over raw PCM. Audio is cut into
+ * 30 ms frames; a frame is speech when its RMS level is above the threshold.
+ * The utterance ends once at least minSpeechMs of speech has been heard and
+ * is followed by silenceMs of continuous silence.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {Object} format - { sampleRate, channels, bitsPerSample, floatingPoint }
+   * @param {Object} options - { threshold (0-1 RMS), silenceMs, minSpeechMs }
+   */
+  constructor({ sampleRate, channels = 1, bitsPerSample = 16, floatingPoint = false }, options = {}) {
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.bytesPerSample = bitsPerSample / 8;
+    this.floatingPoint = floatingPoint;
+    this.threshold = options.threshold || parseFloat(process.env.VAD_ENERGY_THRESHOLD) || VAD_ENERGY_THRESHOLD;
+    this.silenceMs = options.silenceMs || parseInt(process.env.VAD_SILENCE_MS) || VAD_SILENCE_MS;
+    this.minSpeechMs = options.minSpeechMs || parseInt(process.env.VAD_MIN_SPEECH_MS) || VAD_MIN_SPEECH_MS;
+
+    this.frameBytes = Math.round(sampleRate * FRAME_MS / 1000) * channels * this.bytesPerSample;
+    this.remainder = Buffer.alloc(0);
+    this.speechMs = 0;
+    this.trailingSilenceMs = 0;
+    this.speechStarted = false;
+    this.speechEnded = false;
+  }
+
+  // 16-bit integer and 32-bit float PCM are supported
+  static supports({ sampleRate, channels, bitsPerSample, floatingPoint }) {
+    return sampleRate > 0 && channels > 0
+      && ((bitsPerSample === 16 && !floatingPoint) || (bitsPerSample === 32 && floatingPoint));
+  }
+
+  /**
+   * Feed the next PCM bytes
+   * @param {Buffer} pcm - Samples continuing from the previous call
+   * @returns {boolean} true once the end of the utterance has been detected
+   */
+  process(pcm) {
+    if (this.speechEnded) {
+      return true;
+    }
+
+    // Chunk boundaries can split frames (and samples), so carry the tail over
+    let buffer = this.remainder.length ? Buffer.concat([this.remainder, pcm]) : pcm;
+    let offset = 0;
+
+    while (offset + this.frameBytes <= buffer.length) {
+      const level = this.frameLevel(buffer, offset);
+      offset += this.frameBytes;
+
+      if (level >= this.threshold) {
+        this.speechMs += FRAME_MS;
+        this.trailingSilenceMs = 0;
+        if (this.speechMs >= this.minSpeechMs) {
+          this.speechStarted = true;
+        }
+      } else {
+        this.trailingSilenceMs += FRAME_MS;
+        if (this.speechStarted && this.trailingSilenceMs >= this.silenceMs) {
+          this.speechEnded = true;
+          break;
+        }
+      }
+    }
+
+    this.remainder = Buffer.from(buffer.subarray(offset));
+    return this.speechEnded;
+  }
+
+  // RMS level of one frame, normalized to 0-1
+  frameLevel(buffer, offset) {
+    const samples = this.frameBytes / this.bytesPerSample;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      const position = offset + i * this.bytesPerSample;
+      const value = this.floatingPoint
+        ? buffer.readFloatLE(position)
+        : buffer.readInt16LE(position) / 32768;
+      sum += value * value;
+    }
+    return Math.sqrt(sum / samples);
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,91 @@
+// WAVE_FORMAT_* codes from the fmt chunk
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_IEEE_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Parse a RIFF/WAVE header
+ * @param {Buffer} buffer - Start of the file (must reach the "data" chunk header)
+ * @returns {Object|null} { audioFormat, floatingPoint, channels, sampleRate, bitsPerSample,
+ *   dataOffset, dataLength } or null if the buffer isn't (yet) a complete WAV header.
+ *   dataLength is null when the header doesn't give one, as with streamed WAV.
+ */
+const parseWavHeader = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ') {
+      if (offset + 24 > buffer.length) {
+        return null;
+      }
+      let audioFormat = buffer.readUInt16LE(offset + 8);
+      // Extensible headers carry the real format in the sub-format GUID
+      if (audioFormat === WAV_FORMAT_EXTENSIBLE && size >= 40 && offset + 34 <= buffer.length) {
+        audioFormat = buffer.readUInt16LE(offset + 32);
+      }
+      format = {
+        audioFormat,
+        floatingPoint: audioFormat === WAV_FORMAT_IEEE_FLOAT,
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      if (!format) {
+        return null;
+      }
+      // Streaming encoders write 0 or 0xFFFFFFFF before the length is known
+      const known = size > 0 && size !== 0xFFFFFFFF;
+      return {
+        ...format,
+        dataOffset: offset + 8,
+        dataLength: known ? size : null
+      };
+    }
+
+    // Chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Build a 44-byte header for 16-bit PCM samples, e.g. to hand raw PCM to speech-to-text
+ * @param {Object} format - { sampleRate, channels, dataLength }
+ * @returns {Buffer}
+ */
+const createWavHeader = ({ sampleRate, channels = 1, dataLength }) => {
+  const bitsPerSample = 16;
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAV_FORMAT_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+};
+
+module.exports = {
+  parseWavHeader,
+  createWavHeader,
+  WAV_FORMAT_PCM,
+  WAV_FORMAT_IEEE_FLOAT
+};
@@ -0,0 +1,335 @@
+const {
+  MAX_AUDIO_SIZE,
+  AUDIO_SESSION_TIMEOUT,
+  AUDIO_REORDER_TIMEOUT,
+  PCM_SAMPLE_RATE
+} = require('../config/constants');
+const VoiceActivityDetector = require('./audio/voiceActivityDetector');
+const { parseWavHeader, createWavHeader } = require('./audio/wav');
+
+// Bounds the gap scan in missingSequences()
+const MAX_SEQUENCE = 100000;
+// Give up on finding a WAV header for voice activity detection after this many bytes
+const MAX_WAV_HEADER_BYTES = 4096;
+
+/**
+ * Error for a rejected audio_stream chunk; code is sent to the client.
+ */
+class AudioStreamError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AudioStreamError';
+    this.code = code;
+  }
+}
+
+/**
+ * Buffers the chunks of one streamed utterance. Chunks may arrive out of
+ * order and are assembled by sequence number; chunks without one are
+ * numbered in arrival order. The session is complete once the final chunk
+ * and every chunk before it have arrived, or once voice activity detection
+ * hears the speaker stop (WAV and raw 16-bit "pcm" streams only).
+ */
+class AudioStreamSession {
+  /**
+   * @param {string} sessionId - Client session ID
+   * @param {Object} options
+   * @param {Function} options.onTimeout - Called with (session, reason) when the
+   *   session is abandoned ("inactive") or late chunks never arrive ("missing_chunks")
+   * @param {number} options.maxBytes - Maximum assembled size (default MAX_AUDIO_SIZE)
+   * @param {Object|false} options.vad - Voice activity detection options
+   *   ({ silenceMs, minSpeechMs, threshold }), or false to wait for the final chunk
+   */
+  constructor(sessionId, { onTimeout, maxBytes = MAX_AUDIO_SIZE, vad = {} }) {
+    this.sessionId = sessionId;
+    this.onTimeout = onTimeout;
+    this.maxBytes = maxBytes;
+    this.vadOptions = vad;
+    // undefined until the stream's format is known, null when detection doesn't apply
+    this.vad = vad ? undefined : null;
+    this.vadSequence = -1;
+    this.vadSkipBytes = 0;
+    this.sampleRate = PCM_SAMPLE_RATE;
+    this.channels = 1;
+    this.chunks = new Map();
+    this.totalBytes = 0;
+    this.nextAutoSequence = 0;
+    this.finalSequence = null;
+    this.format = undefined;
+    this.language = undefined;
+    this.tts = undefined;
+    this.generation = {};
+    this.profileId = undefined;
+    this.context = undefined;
+    this.finalizing = false;
+    this.lastPartialAt = 0;
+    this.partialInFlight = false;
+    this.lastPartialSequence = -1;
+    this.timer = null;
+    this.touch();
+  }
+
+  /**
+   * Add a chunk
+   * @param {Object} chunk - { sequence, data (Buffer), isFinal }
+   * @returns {Object} { sequence, duplicate, complete }
+   * @throws {AudioStreamError} INVALID_SEQUENCE, AUDIO_TOO_LARGE
+   */
+  addChunk({ sequence, data, isFinal }) {
+    if (this.finalizing) {
+      throw new AudioStreamError('Audio session is already being processed', 'AUDIO_SESSION_CLOSED');
+    }
+
+    if (sequence === undefined || sequence === null) {
+      sequence = this.nextAutoSequence;
+    } else if (!Number.isInteger(sequence) || sequence < 0 || sequence > MAX_SEQUENCE) {
+      throw new AudioStreamError(`Chunk sequence must be an integer from 0 to ${MAX_SEQUENCE}`, 'INVALID_SEQUENCE');
+    }
+
+    if (this.finalSequence !== null && sequence > this.finalSequence) {
+      throw new AudioStreamError('Chunk sequence is after the final chunk', 'INVALID_SEQUENCE');
+    }
+    this.nextAutoSequence = Math.max(this.nextAutoSequence, sequence + 1);
+
+    // Resent chunks are acknowledged but not stored twice
+    if (this.chunks.has(sequence)) {
+      this.touch();
+      return { sequence, duplicate: true, complete: this.isComplete() };
+    }
+
+    if (this.totalBytes + data.length > this.maxBytes) {
+      throw new AudioStreamError(
+        `Audio stream exceeds the maximum size of ${Math.round(this.maxBytes / 1024 / 1024)}MB`,
+        'AUDIO_TOO_LARGE'
+      );
+    }
+
+    this.chunks.set(sequence, data);
+    this.totalBytes += data.length;
+
+    if (isFinal) {
+      this.finalSequence = sequence;
+    }
+
+    this.touch();
+    return { sequence, duplicate: false, complete: this.isComplete() };
+  }
+
+  isComplete() {
+    return this.finalSequence !== null && this.missingSequences().length === 0;
+  }
+
+  // Sequence numbers before the final (or highest) chunk that haven't arrived
+  missingSequences() {
+    const last = this.finalSequence !== null ? this.finalSequence : this.nextAutoSequence - 1;
+    const missing = [];
+    for (let sequence = 0; sequence <= last; sequence++) {
+      if (!this.chunks.has(sequence)) {
+        missing.push(sequence);
+      }
+    }
+    return missing;
+  }
+
+  // Sequence of the last chunk before the first gap (-1 when chunk 0 is missing)
+  contiguousEnd() {
+    let sequence = 0;
+    while (this.chunks.has(sequence)) {
+      sequence++;
+    }
+    return sequence - 1;
+  }
+
+  // Bytes start..end of the audio up to lastSequence, copying only that range
+  readRange(start, end, lastSequence) {
+    const parts = [];
+    let position = 0;
+    for (let sequence = 0; sequence <= lastSequence && position < end; sequence++) {
+      const data = this.chunks.get(sequence);
+      if (position + data.length > start) {
+        parts.push(data.subarray(Math.max(start - position, 0), Math.min(end - position, data.length)));
+      }
+      position += data.length;
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * The latest audio for a partial transcript. WAV and raw PCM streams are
+   * cut to their last windowSeconds, so a partial costs the same however long
+   * the speaker goes on; other formats can't be cut, so their partials stop
+   * once the audio outgrows maxBytes.
+   * @param {Object} limits - { windowSeconds, maxBytes }
+   * @returns {Object|null} { audio, format, lastSequence, windowStart (seconds
+   *   into the utterance) }, or null when there is nothing to transcribe
+   */
+  partialAudio({ windowSeconds, maxBytes }) {
+    const lastSequence = this.contiguousEnd();
+    let total = 0;
+    for (let sequence = 0; sequence <= lastSequence; sequence++) {
+      total += this.chunks.get(sequence).length;
+    }
+
+    let layout = null;
+    if (this.format === 'pcm') {
+      layout = { header: null, sampleRate: this.sampleRate, channels: this.channels, bitsPerSample: 16, dataOffset: 0 };
+    } else if (this.format === 'wav' || this.format === undefined) {
+      const header = parseWavHeader(this.readRange(0, Math.min(total, MAX_WAV_HEADER_BYTES), lastSequence));
+      if (header) {
+        layout = { header: this.readRange(0, header.dataOffset, lastSequence), ...header };
+      } else if (this.format === 'wav') {
+        return null;
+      }
+    }
+
+    if (!layout) {
+      return total > 0 && total <= maxBytes
+        ? { audio: this.readRange(0, total, lastSequence), format: this.format, lastSequence, windowStart: 0 }
+        : null;
+    }
+
+    const { sampleRate, channels, bitsPerSample, dataOffset } = layout;
+    const blockAlign = channels * bitsPerSample / 8;
+    const dataBytes = total - dataOffset;
+    if (!blockAlign || dataBytes <= 0) {
+      return null;
+    }
+    let skip = Math.max(dataBytes - Math.floor(windowSeconds * sampleRate) * blockAlign, 0);
+    skip -= skip % blockAlign;
+    const data = this.readRange(dataOffset + skip, total, lastSequence);
+
+    let header;
+    if (layout.header) {
+      // The stream's own header, with the lengths of the window
+      header = Buffer.from(layout.header);
+      header.writeUInt32LE(header.length - 8 + data.length, 4);
+      header.writeUInt32LE(data.length, dataOffset - 4);
+    } else {
+      header = createWavHeader({ sampleRate, channels, dataLength: data.length });
+    }
+    return {
+      audio: Buffer.concat([header, data]),
+      format: 'wav',
+      lastSequence,
+      windowStart: skip / (sampleRate * blockAlign)
+    };
+  }
+
+  /**
+   * Audio from the first chunk up to the first gap
+   * @returns {Object} { audio, lastSequence }
+   */
+  contiguousAudio() {
+    const parts = [];
+    let sequence = 0;
+    while (this.chunks.has(sequence)) {
+      parts.push(this.chunks.get(sequence));
+      sequence++;
+    }
+    return { audio: Buffer.concat(parts), lastSequence: sequence - 1 };
+  }
+
+  /**
+   * Audio up to the first gap, ready for speech-to-text: raw PCM is given a WAV header
+   * @returns {Object} { audio, format, lastSequence }
+   */
+  transcribableAudio() {
+    const { audio, lastSequence } = this.contiguousAudio();
+    if (this.format !== 'pcm' || audio.length === 0) {
+      return { audio, format: this.format, lastSequence };
+    }
+    const header = createWavHeader({ sampleRate: this.sampleRate, channels: this.channels, dataLength: audio.length });
+    return { audio: Buffer.concat([header, audio]), format: 'wav', lastSequence };
+  }
+
+  /**
+   * Feed chunks that became contiguous since the last call to voice activity
+   * detection. When the speaker has stopped, the chunk where that was heard
+   * becomes the final one and anything after it is dropped.
+   * @returns {boolean} true when the utterance ended
+   */
+  detectEndOfSpeech() {
+    if (this.vad === undefined) {
+      this.vad = this.createDetector();
+    }
+    if (!this.vad || this.finalSequence !== null) {
+      return false;
+    }
+
+    while (this.chunks.has(this.vadSequence + 1)) {
+      const sequence = ++this.vadSequence;
+      let data = this.chunks.get(sequence);
+
+      // Skip the WAV header
+      if (this.vadSkipBytes > 0) {
+        const skipped = Math.min(this.vadSkipBytes, data.length);
+        data = data.subarray(skipped);
+        this.vadSkipBytes -= skipped;
+      }
+
+      if (this.vad.process(data)) {
+        this.endAt(sequence);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Detector for the stream's format: null if it can't be analysed, undefined while the header is incomplete
+  createDetector() {
+    if (this.format === 'pcm') {
+      return new VoiceActivityDetector({ sampleRate: this.sampleRate, channels: this.channels }, this.vadOptions);
+    }
+    if (this.format && this.format !== 'wav') {
+      return null;
+    }
+    if (!this.chunks.has(0)) {
+      return undefined;
+    }
+
+    const { audio } = this.contiguousAudio();
+    const header = parseWavHeader(audio);
+    if (!header) {
+      // Keep waiting while this could still be the start of a WAV header
+      const prefix = audio.toString('ascii', 0, Math.min(audio.length, 4));
+      return audio.length < MAX_WAV_HEADER_BYTES && 'RIFF'.startsWith(prefix) ? undefined : null;
+    }
+    if (!VoiceActivityDetector.supports(header)) {
+      return null;
+    }
+    this.vadSkipBytes = header.dataOffset;
+    return new VoiceActivityDetector(header, this.vadOptions);
+  }
+
+  // Make sequence the final chunk, dropping any that arrived after it
+  endAt(sequence) {
+    this.finalSequence = sequence;
+    for (const [chunkSequence, data] of this.chunks) {
+      if (chunkSequence > sequence) {
+        this.chunks.delete(chunkSequence);
+        this.totalBytes -= data.length;
+      }
+    }
+  }
+
+  // Restart the inactivity timer; once the final chunk is in, only wait briefly for stragglers
+  touch() {
+    clearTimeout(this.timer);
+    const waitingForLateChunks = this.finalSequence !== null;
+    this.timer = setTimeout(
+      () => this.onTimeout(this, waitingForLateChunks ? 'missing_chunks' : 'inactive'),
+      waitingForLateChunks ? AUDIO_REORDER_TIMEOUT : AUDIO_SESSION_TIMEOUT
+    );
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.chunks.clear();
+    this.totalBytes = 0;
+  }
+}
+
+module.exports = {
+  AudioStreamSession,
+  AudioStreamError
+};
@@ -0,0 +1,14 @@
+/**
+ * Error raised while registering, logging in or checking a token. statusCode
+ * and code map directly onto the API error response.
+ */
+class AuthError extends Error {
+  constructor(message, code = 'UNAUTHORIZED', statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = AuthError;
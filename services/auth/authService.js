@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const AuthError = require('./authError');
+const { signToken, verifyToken } = require('./jwt');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { createUserStore } = require('../stores');
+const KeyedLock = require('../keyedLock');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  MAX_SESSIONS_PER_USER,
+  QUOTA_PLANS
+} = require('../../config/constants');
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_DEVICE_NAME_LENGTH = 100;
+const ROLES = ['user', 'admin'];
+
+// Besides the accounts (by user ID), the user store holds a record per
+// username pointing at its account, so signing in doesn't read every user.
+// These keys contain ":", which user IDs never do.
+const usernameKey = (username) => `username:${username}`;
+const USERNAME_INDEX_MARKER = 'index:usernames';
+const isUserKey = (key) => !key.includes(':');
+
+/**
+ * Users and their device sessions. Every login (or registration) opens a
+ * session for one device and returns a short-lived access token (a JWT sent
+ * as "Authorization: Bearer") plus a refresh token. Refresh tokens rotate on
+ * every use; presenting one that was already used revokes its session, since
+ * it has most likely been stolen.
+ * Everyone registers with the user role. The admin role is only granted by the
+ * operator (the ADMIN_USERNAME/ADMIN_PASSWORD account, see seedAdmin) or by
+ * an existing admin (setRole). Accounts are on the default quota plan until
+ * an admin puts them on another (setPlan).
+ * Emits session_ended { userId, sessionId } whenever a session stops being
+ * valid (signed out, revoked, replaced or evicted), so connections opened
+ * with its tokens can be closed.
+ */
+class AuthService extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - User store (see services/stores); defaults to STORE
+   * @param {string} [options.secret] - Token signing key; defaults to JWT_SECRET
+   * @param {string[]} [options.plans] - Quota plans accounts can be put on (see QuotaService.getPlanNames)
+   */
+  constructor({ store = createUserStore(), secret = process.env.JWT_SECRET, plans = Object.keys(QUOTA_PLANS) } = {}) {
+    super();
+    if (!secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+      }
+      console.warn('JWT_SECRET is not set; using a random key, so tokens will not survive a restart');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    this.store = store;
+    this.secret = secret;
+    this.plans = plans;
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || ACCESS_TOKEN_TTL;
+    this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || REFRESH_TOKEN_TTL;
+    this.locks = new KeyedLock();
+    this.usernameIndex = null;
+
+    console.log(`Auth Service initialized with ${this.store.name} storage`);
+  }
+
+  // Serialize changes per user (and per username while registering)
+  withLock(key, task) {
+    return this.locks.run(key, task);
+  }
+
+  normalizeCredentials({ username, password } = {}) {
+    const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new AuthError('username must be 3-32 letters, digits, dots, underscores or hyphens', 'INVALID_USERNAME', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new AuthError(
+        `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`,
+        'INVALID_PASSWORD',
+        400
+      );
+    }
+    return { username: name, password };
+  }
+
+  normalizeDevice({ deviceId, deviceName } = {}) {
+    if (deviceId !== undefined && deviceId !== null && (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId))) {
+      throw new AuthError('Invalid device ID', 'INVALID_DEVICE', 400);
+    }
+    if (deviceName !== undefined && deviceName !== null
+      && (typeof deviceName !== 'string' || deviceName.length > MAX_DEVICE_NAME_LENGTH)) {
+      throw new AuthError(`deviceName must be at most ${MAX_DEVICE_NAME_LENGTH} characters`, 'INVALID_DEVICE', 400);
+    }
+    return { deviceId: deviceId || null, deviceName: deviceName?.trim() || null };
+  }
+
+  async findUserByUsername(username) {
+    await this.ensureUsernameIndex();
+    const entry = await this.store.get(usernameKey(username));
+    const user = entry && await this.store.get(entry.userId);
+    // An index record whose account was never saved doesn't hold the name
+    return user ? { id: entry.userId, user } : null;
+  }
+
+  // Written before the account, so an account is never missing from the index
+  async indexUsername(username, userId) {
+    await this.store.save(usernameKey(username), { userId });
+  }
+
+  /**
+   * Index stores written before usernames were indexed, once; the marker
+   * record keeps later starts from reading every account again
+   */
+  ensureUsernameIndex() {
+    if (!this.usernameIndex) {
+      this.usernameIndex = (async () => {
+        if (await this.store.get(USERNAME_INDEX_MARKER)) {
+          return;
+        }
+        for (const [userId, user] of await this.userEntries()) {
+          if (!(await this.store.get(usernameKey(user.username)))) {
+            await this.indexUsername(user.username, userId);
+          }
+        }
+        await this.store.save(USERNAME_INDEX_MARKER, { createdAt: Date.now() });
+      })();
+      // Try again on the next lookup
+      this.usernameIndex.catch(() => {
+        this.usernameIndex = null;
+      });
+    }
+    return this.usernameIndex;
+  }
+
+  async userEntries() {
+    return (await this.store.entries()).filter(([key]) => isUserKey(key));
+  }
+
+  /**
+   * Create an account and log the device in
+   * @param {Object} input - { username, password, deviceId, deviceName }
+   * @returns {Promise<Object>} Tokens (see issueTokens)
+   * @throws {AuthError} INVALID_USERNAME, INVALID_PASSWORD, INVALID_DEVICE or USERNAME_TAKEN
+   */
+  async register(input) {
+    const { username, password } = this.normalizeCredentials(input);
+    const device = this.normalizeDevice(input);
+
+    return this.withLock(`username:${username}`, async () => {
+      if (await this.findUserByUsername(username)) {
+        throw new AuthError('Username is already taken', 'USERNAME_TAKEN', 409);
+      }
+
+      const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const user = {
+        username,
+        passwordHash: await hashPassword(password),
+        role: 'user',
+        sessions: [],
+        createdAt: Date.now()
+      };
+      const tokens = this.openSession(userId, user, device);
+      await this.indexUsername(username, userId);
+      await this.store.save(userId, user);
+
+      console.log(`Registered user ${username} (${userId})`);
+      return tokens;
+    });
+  }
+
+  /**
+   * Log a device in. Logging in again from the same deviceId replaces that
+   * device's session.
+   * @param {Object} input - { username, password, deviceId, deviceName }
+   * @returns {Promise<Object>} Tokens (see issueTokens)
+   * @throws {AuthError} INVALID_CREDENTIALS
+   */
+  async login(input) {
+    const invalid = new AuthError('Invalid username or password', 'INVALID_CREDENTIALS');
+    let credentials;
+    try {
+      credentials = this.normalizeCredentials(input);
+    } catch (error) {
+      throw invalid;
+    }
+    const device = this.normalizeDevice(input);
+
+    const found = await this.findUserByUsername(credentials.username);
+    if (!found || !(await verifyPassword(credentials.password, found.user.passwordHash))) {
+      throw invalid;
+    }
+
+    return this.withLock(found.id, async () => {
+      const user = await this.store.get(found.id);
+      if (!user) {
+        throw invalid;
+      }
+      const tokens = this.openSession(found.id, user, device);
+      await this.store.save(found.id, user);
+      return tokens;
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token
+   * @returns {Promise<Object>} Tokens (see issueTokens)
+   * @throws {AuthError} INVALID_TOKEN, TOKEN_EXPIRED, SESSION_REVOKED or REFRESH_TOKEN_REUSED
+   */
+  async refresh(refreshToken) {
+    const claims = verifyToken(refreshToken, this.secret);
+    if (claims.typ !== 'refresh') {
+      throw new AuthError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    return this.withLock(claims.sub, async () => {
+      const user = await this.store.get(claims.sub);
+      const session = user?.sessions.find(candidate => candidate.id === claims.sid);
+      if (!session) {
+        throw new AuthError('Session has been revoked', 'SESSION_REVOKED');
+      }
+
+      if (session.refreshId !== claims.jti) {
+        user.sessions = user.sessions.filter(candidate => candidate !== session);
+        await this.store.save(claims.sub, user);
+        this.emit('session_ended', { userId: claims.sub, sessionId: session.id });
+        console.warn(`Refresh token reused for session ${session.id} of ${user.username}; session revoked`);
+        throw new AuthError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+      }
+
+      const tokens = this.issueTokens(claims.sub, user, session);
+      await this.store.save(claims.sub, user);
+      return tokens;
+    });
+  }
+
+  /**
+   * Check an access token and that its session is still open
+   * @returns {Promise<Object>} { id, username, role, plan, sessionId, expiresAt }; plan is null
+   *   for the default plan, expiresAt is when the access token expires (ms since the epoch)
+   * @throws {AuthError} INVALID_TOKEN, TOKEN_EXPIRED or SESSION_REVOKED
+   */
+  async authenticate(accessToken) {
+    const claims = verifyToken(accessToken, this.secret);
+    if (claims.typ !== 'access') {
+      throw new AuthError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    const user = await this.store.get(claims.sub);
+    if (!user || !user.sessions.some(session => session.id === claims.sid)) {
+      throw new AuthError('Session has been revoked', 'SESSION_REVOKED');
+    }
+    return {
+      id: claims.sub,
+      username: user.username,
+      role: user.role || 'user',
+      plan: user.plan || null,
+      sessionId: claims.sid,
+      expiresAt: claims.exp * 1000
+    };
+  }
+
+  /**
+   * End one of a user's device sessions; its refresh token stops working at
+   * once and its access token on the next request (and session_ended closes
+   * its sockets)
+   * @returns {Promise<boolean>} false if there was no such session
+   */
+  async revokeSession(userId, sessionId) {
+    return this.withLock(userId, async () => {
+      const user = await this.store.get(userId);
+      if (!user || !user.sessions.some(session => session.id === sessionId)) {
+        return false;
+      }
+      user.sessions = user.sessions.filter(session => session.id !== sessionId);
+      await this.store.save(userId, user);
+      this.emit('session_ended', { userId, sessionId });
+      return true;
+    });
+  }
+
+  /**
+   * A user's account and device sessions
+   * @returns {Promise<Object|null>} { id, username, role, plan, createdAt, sessions }
+   */
+  async getAccount(userId) {
+    const user = await this.store.get(userId);
+    if (!user) {
+      return null;
+    }
+    return {
+      id: userId,
+      username: user.username,
+      role: user.role || 'user',
+      plan: user.plan || null,
+      createdAt: new Date(user.createdAt).toISOString(),
+      sessions: user.sessions.map(session => this.formatSession(session))
+    };
+  }
+
+  /**
+   * All accounts, oldest first, without their sessions
+   * @returns {Promise<Object[]>} { id, username, role, plan, createdAt, sessions (count) }
+   */
+  async listAccounts() {
+    return (await this.userEntries())
+      .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+      .map(([id, user]) => ({
+        id,
+        username: user.username,
+        role: user.role || 'user',
+        plan: user.plan || null,
+        createdAt: new Date(user.createdAt).toISOString(),
+        sessions: user.sessions.length
+      }));
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`role must be one of: ${ROLES.join(', ')}`, 'INVALID_ROLE', 400);
+    }
+  }
+
+  validatePlan(plan) {
+    if (plan !== null && !this.plans.includes(plan)) {
+      throw new AuthError(`plan must be null or one of: ${this.plans.join(', ')}`, 'INVALID_PLAN', 400);
+    }
+  }
+
+  /**
+   * Change a user's role; takes effect on their next request
+   * @param {string} userId
+   * @param {string} role - "user" or "admin"
+   * @returns {Promise<Object|null>} The account (see getAccount), or null if there is no such user
+   * @throws {AuthError} INVALID_ROLE
+   */
+  async setRole(userId, role) {
+    this.validateRole(role);
+    const changed = await this.withLock(userId, async () => {
+      const user = await this.store.get(userId);
+      if (!user) {
+        return false;
+      }
+      user.role = role;
+      await this.store.save(userId, user);
+      console.log(`Role of ${user.username} (${userId}) set to ${role}`);
+      return true;
+    });
+    return changed ? this.getAccount(userId) : null;
+  }
+
+  /**
+   * Put a user on a quota plan; takes effect on their next request
+   * @param {string} userId
+   * @param {string|null} plan - One of the configured plans, or null for the default plan
+   * @returns {Promise<Object|null>} The account (see getAccount), or null if there is no such user
+   * @throws {AuthError} INVALID_PLAN
+   */
+  async setPlan(userId, plan) {
+    this.validatePlan(plan);
+    const changed = await this.withLock(userId, async () => {
+      const user = await this.store.get(userId);
+      if (!user) {
+        return false;
+      }
+      user.plan = plan;
+      await this.store.save(userId, user);
+      console.log(`Plan of ${user.username} (${userId}) set to ${plan || 'the default'}`);
+      return true;
+    });
+    return changed ? this.getAccount(userId) : null;
+  }
+
+  /**
+   * Make sure the operator's admin account exists (ADMIN_USERNAME and
+   * ADMIN_PASSWORD). An account that already has the name is only promoted
+   * if it has the same password, so registering the name first gains nothing.
+   * @returns {Promise<string|null>} The admin's user ID, or null when not configured or refused
+   */
+  async seedAdmin({ username = process.env.ADMIN_USERNAME, password = process.env.ADMIN_PASSWORD } = {}) {
+    if (!username || !password) {
+      return null;
+    }
+    const credentials = this.normalizeCredentials({ username, password });
+
+    const seeded = await this.withLock(`username:${credentials.username}`, async () => {
+      const found = await this.findUserByUsername(credentials.username);
+      if (!found) {
+        const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        await this.indexUsername(credentials.username, userId);
+        await this.store.save(userId, {
+          username: credentials.username,
+          passwordHash: await hashPassword(credentials.password),
+          role: 'admin',
+          sessions: [],
+          createdAt: Date.now()
+        });
+        console.log(`Created admin account ${credentials.username} (${userId})`);
+        return { id: userId, promote: false };
+      }
+      if (!(await verifyPassword(credentials.password, found.user.passwordHash))) {
+        console.error(`Account ${credentials.username} exists with a different password; not granting it the admin role`);
+        return null;
+      }
+      return { id: found.id, promote: found.user.role !== 'admin' };
+    });
+
+    if (seeded?.promote) {
+      await this.setRole(seeded.id, 'admin');
+    }
+    return seeded ? seeded.id : null;
+  }
+
+  // Add a session to a loaded user (the caller saves it); the oldest goes once there are too many
+  openSession(userId, user, { deviceId, deviceName }) {
+    const now = Date.now();
+    const previous = user.sessions;
+    user.sessions = previous.filter(session => session.expiresAt > now && !(deviceId && session.deviceId === deviceId));
+    while (user.sessions.length >= MAX_SESSIONS_PER_USER) {
+      user.sessions.shift();
+    }
+    for (const session of previous.filter(candidate => !user.sessions.includes(candidate))) {
+      this.emit('session_ended', { userId, sessionId: session.id });
+    }
+
+    const session = {
+      id: `sess_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      deviceId,
+      deviceName,
+      createdAt: now
+    };
+    user.sessions.push(session);
+    return this.issueTokens(userId, user, session);
+  }
+
+  /**
+   * Sign a new token pair for a session, recording the refresh token's ID so
+   * the previous one stops working (the caller saves the user)
+   * @returns {Object} { accessToken, refreshToken, tokenType, expiresIn, refreshExpiresIn, user, session }
+   */
+  issueTokens(userId, user, session) {
+    session.refreshId = crypto.randomBytes(16).toString('base64url');
+    session.lastUsedAt = Date.now();
+    session.expiresAt = Date.now() + this.refreshTokenTtl * 1000;
+
+    return {
+      accessToken: signToken({ typ: 'access', sub: userId, sid: session.id }, this.secret, this.accessTokenTtl),
+      refreshToken: signToken(
+        { typ: 'refresh', sub: userId, sid: session.id, jti: session.refreshId },
+        this.secret,
+        this.refreshTokenTtl
+      ),
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl,
+      user: { id: userId, username: user.username, role: user.role || 'user' },
+      session: this.formatSession(session)
+    };
+  }
+
+  formatSession(session) {
+    return {
+      id: session.id,
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+}
+
+module.exports = AuthService;
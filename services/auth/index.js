@@ -0,0 +1,10 @@
+const AuthService = require('./authService');
+const AuthError = require('./authError');
+const { signToken, verifyToken } = require('./jwt');
+
+module.exports = {
+  AuthService,
+  AuthError,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,395 @@
+const {
+  DEFAULT_SYSTEM_PROMPT,
+  MAX_MESSAGE_LENGTH,
+  MAX_SYSTEM_PROMPT_LENGTH,
+  MAX_TOOL_ROUNDS
+} = require('../config/constants');
+const { ProfileError } = require('./profileService');
+const { renderTemplate, buildVariables } = require('./promptTemplate');
+
+/**
+ * One user turn of a conversation, shared by the REST routes and the socket
+ * handlers: resolve the conversation, build its context (see ContextBuilder),
+ * ask OpenRouter (running any tools it calls) and record the exchange once
+ * the reply is complete.
+ */
+class ChatService {
+  /**
+   * @param {Object} options
+   * @param {ConversationService} options.conversationService
+   * @param {ContextBuilder} options.contextBuilder
+   * @param {OpenRouterService} options.openRouterService
+   * @param {TextToSpeechService} options.textToSpeechService
+   * @param {ModelSettings} options.modelSettings - Allow-list for model, temperature and maxTokens
+   * @param {ToolRegistry} [options.toolRegistry] - Tools offered to the model (see services/tools)
+   * @param {ProfileService} [options.profileService] - Assistant profiles picked with profileId
+   * @param {QuotaService} [options.quotaService] - Counts each reply and its tokens against the owner's quotas
+   */
+  constructor({
+    conversationService,
+    contextBuilder,
+    openRouterService,
+    textToSpeechService,
+    modelSettings,
+    toolRegistry = null,
+    profileService = null,
+    quotaService = null
+  }) {
+    this.conversationService = conversationService;
+    this.contextBuilder = contextBuilder;
+    this.openRouterService = openRouterService;
+    this.textToSpeechService = textToSpeechService;
+    this.modelSettings = modelSettings;
+    this.toolRegistry = toolRegistry;
+    this.profileService = profileService;
+    this.quotaService = quotaService;
+    this.maxToolRounds = parseInt(process.env.MAX_TOOL_ROUNDS) || MAX_TOOL_ROUNDS;
+    // Operators can keep clients to the default system prompt; users' profiles are
+    // written by clients too, so their system prompts are covered by the same switch
+    this.allowClientSystemPrompt = process.env.ALLOW_CLIENT_SYSTEM_PROMPT !== 'false';
+  }
+
+  /**
+   * Check a user message before anything is stored, sent upstream or counted
+   * @returns {Object|null} null when valid, otherwise { error, code }
+   *   (INVALID_MESSAGE or MESSAGE_TOO_LONG)
+   */
+  validateMessage(message) {
+    if (!message || typeof message !== 'string') {
+      return { error: 'Message is required and must be a string', code: 'INVALID_MESSAGE' };
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`, code: 'MESSAGE_TOO_LONG' };
+    }
+    return null;
+  }
+
+  isValidSystemPrompt(systemPrompt) {
+    return systemPrompt === undefined || systemPrompt === null
+      || (typeof systemPrompt === 'string' && systemPrompt.length <= MAX_SYSTEM_PROMPT_LENGTH);
+  }
+
+  // A systemPrompt from the client (in a request or a profile), unless ALLOW_CLIENT_SYSTEM_PROMPT=false
+  isSystemPromptAllowed(systemPrompt) {
+    return this.allowClientSystemPrompt || systemPrompt === undefined || systemPrompt === null;
+  }
+
+  /**
+   * Look up the profile a request names
+   * @returns {Promise<Object|null>} The profile, or null when profileId is not given
+   * @throws {ProfileError} PROFILE_NOT_FOUND for unknown profiles and those of other users
+   */
+  async getProfile(profileId, ownerId) {
+    if (profileId === undefined || profileId === null) {
+      return null;
+    }
+    const profile = this.profileService && ownerId
+      ? await this.profileService.getProfile(profileId, ownerId)
+      : null;
+    if (!profile) {
+      throw new ProfileError('Profile not found', 'PROFILE_NOT_FOUND', 404);
+    }
+    return profile;
+  }
+
+  /**
+   * Refuse a reply the user has no quota left for
+   * @param {Object} user - Signed-in user ({ id, plan })
+   * @throws {QuotaError} QUOTA_EXCEEDED
+   */
+  async checkQuota(user) {
+    if (this.quotaService && user) {
+      await this.quotaService.check(user);
+    }
+  }
+
+  // Accounting failures are logged rather than failing a reply (or transcription) already paid for
+  async recordQuotaUsage(ownerId, record) {
+    if (!this.quotaService || !ownerId) {
+      return;
+    }
+    try {
+      await record(this.quotaService);
+    } catch (error) {
+      console.error(`Failed to record usage for ${ownerId}:`, error);
+    }
+  }
+
+  /**
+   * Resolve the conversation for a new user turn and build its context.
+   * An unknown or expired conversationId starts a fresh conversation under
+   * that ID (reported as newConversation); without an ID a new one is generated.
+   * The request's systemPrompt wins over the profile's; either is rendered as a
+   * template with the request's context (see normalizeContext in promptTemplate.js).
+   * With ALLOW_CLIENT_SYSTEM_PROMPT=false, users' profiles saved before the
+   * switch was turned off don't get to use their system prompt; shared
+   * profiles, written by admins, always do. Tokens spent summarizing
+   * older turns count against ownerId's quotas.
+   * @returns {Promise<Object>} { conversationId, newConversation, messages, generation }
+   */
+  async prepareTurn({ message, conversationId = null, systemPrompt = null, generation = null, profile = null, context = {}, ownerId = null }) {
+    const activeConversationId = conversationId || this.generateConversationId();
+    const conversation = await this.conversationService.getDetails(activeConversationId);
+    const settings = generation || await this.resolveGenerationSettings({}, conversationId, profile);
+    const variables = buildVariables({ context, conversation, profile, model: settings.model });
+    const profilePrompt = (this.allowClientSystemPrompt || profile?.shared) ? profile?.systemPrompt : null;
+
+    const { messages } = await this.contextBuilder.build({
+      conversationId: activeConversationId,
+      message,
+      systemPrompt: renderTemplate(systemPrompt || profilePrompt || DEFAULT_SYSTEM_PROMPT, variables),
+      model: settings.model,
+      onUsage: (model, usage) => this.recordQuotaUsage(ownerId, quota => quota.recordTokens(ownerId, model, usage))
+    });
+
+    return { conversationId: activeConversationId, newConversation: !conversation, messages, generation: settings };
+  }
+
+  /**
+   * Record a completed exchange. Turns are only recorded once OpenRouter has
+   * answered successfully; a newly created conversation is owned by ownerId.
+   */
+  async recordTurn(conversationId, message, reply, ownerId = null) {
+    await this.conversationService.addMessage(conversationId, 'user', message, ownerId);
+    await this.conversationService.addMessage(conversationId, 'assistant', reply, ownerId);
+  }
+
+  /**
+   * Get a complete reply with the conversation's prior turns as context.
+   * Tool calls from the model are run and answered until it replies in text;
+   * onToolCall gets each invocation as it completes. toolRegistry replaces the
+   * server's tools for this reply and toolContext is passed to every tool.
+   * profile (see getProfile) supplies the system prompt when none is given, and
+   * context fills in its template variables. The reply and the tokens of every
+   * model response count against ownerId's quotas (see checkQuota).
+   * @param {Object} options - { message, conversationId, systemPrompt, profile, context, generation, tools, toolRegistry, toolContext, ownerId, onToolCall }
+   * @returns {Promise<Object>} { response, conversationId, newConversation, usage, model, attempts, generation, toolCalls }
+   */
+  async reply({
+    message,
+    conversationId = null,
+    systemPrompt = null,
+    profile = null,
+    context,
+    generation = null,
+    tools = true,
+    toolRegistry,
+    toolContext,
+    ownerId = null,
+    onToolCall
+  }) {
+    const turn = await this.prepareTurn({ message, conversationId, systemPrompt, generation, profile, context, ownerId });
+    await this.recordQuotaUsage(ownerId, quota => quota.recordRequest(ownerId));
+
+    const result = await this.runToolLoop(turn, { tools, toolRegistry, toolContext, ownerId, onToolCall }, async (request) => {
+      const response = await this.openRouterService.sendMessage(request);
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      return response.data;
+    });
+
+    await this.recordTurn(turn.conversationId, message, result.response, ownerId);
+
+    return {
+      response: result.response,
+      conversationId: turn.conversationId,
+      newConversation: turn.newConversation,
+      usage: result.usage,
+      model: result.model,
+      attempts: result.attempts,
+      generation: turn.generation,
+      toolCalls: result.toolCalls
+    };
+  }
+
+  /**
+   * Stream a reply. onStart gets the turn once its context is built, onChunk
+   * each content delta and onToolCall each tool invocation. Aborting the signal
+   * rejects with code ERR_CANCELED, and a cancelled reply is not recorded.
+   * profile, context, toolRegistry and toolContext are as for reply().
+   * @param {Object} options - { message, conversationId, systemPrompt, profile, context, generation, tools, toolRegistry, toolContext, ownerId, signal, onStart, onChunk, onToolCall }
+   * @returns {Promise<Object>} { response, conversationId, newConversation, usage, model, attempts, generation, toolCalls, finishReason }
+   */
+  async streamReply({
+    message,
+    conversationId = null,
+    systemPrompt = null,
+    profile = null,
+    context,
+    generation = null,
+    tools = true,
+    toolRegistry,
+    toolContext,
+    ownerId = null,
+    signal,
+    onStart,
+    onChunk,
+    onToolCall
+  }) {
+    const turn = await this.prepareTurn({ message, conversationId, systemPrompt, generation, profile, context, ownerId });
+    await this.recordQuotaUsage(ownerId, quota => quota.recordRequest(ownerId));
+    if (onStart) {
+      onStart(turn);
+    }
+
+    const result = await this.runToolLoop(turn, { tools, toolRegistry, toolContext, ownerId, signal, onToolCall }, (request) => new Promise((resolve, reject) => {
+      this.openRouterService.streamMessage({
+        ...request,
+        signal,
+        onChunk,
+        onComplete: ({ fullResponse, ...rest }) => resolve({ response: fullResponse, ...rest }),
+        onError: reject
+      });
+    }));
+
+    await this.recordTurn(turn.conversationId, message, result.response, ownerId);
+
+    return {
+      response: result.response,
+      conversationId: turn.conversationId,
+      newConversation: turn.newConversation,
+      usage: result.usage,
+      model: result.model,
+      attempts: result.attempts,
+      generation: turn.generation,
+      toolCalls: result.toolCalls,
+      finishReason: result.finishReason
+    };
+  }
+
+  /**
+   * Ask the model, run the tools it calls and hand their results back until it
+   * answers in text. After MAX_TOOL_ROUNDS the tools stay listed but may not be
+   * called, so the model has to answer with what it has. Text from every round
+   * makes up the response, matching what was streamed. Each round's tokens are
+   * recorded against ownerId as soon as it completes.
+   * @param {Object} turn - prepareTurn() result
+   * @param {Object} options - { tools (false disables), toolRegistry, toolContext, ownerId, signal, onToolCall }
+   * @param {Function} send - Sends one request; resolves to { response, usage, model, attempts, toolCalls, finishReason }
+   * @returns {Promise<Object>} { response, usage, model, attempts, toolCalls, finishReason }
+   */
+  async runToolLoop(turn, { tools = true, toolRegistry, toolContext = {}, ownerId = null, signal, onToolCall }, send) {
+    const registry = toolRegistry || this.toolRegistry;
+    const definitions = tools !== false && registry ? registry.definitions() : [];
+    const messages = [...turn.messages];
+    const invocations = [];
+    let response = '';
+    let usage = {};
+    let attempts = 0;
+
+    for (let round = 0; ; round++) {
+      const result = await send({
+        messages,
+        conversationId: turn.conversationId,
+        ...turn.generation,
+        tools: definitions,
+        toolChoice: round < this.maxToolRounds ? 'auto' : 'none'
+      });
+
+      response += result.response || '';
+      usage = this.addUsage(usage, result.usage);
+      await this.recordQuotaUsage(ownerId, quota => quota.recordTokens(ownerId, result.model, result.usage));
+      attempts += result.attempts || 0;
+
+      const toolCalls = definitions.length ? result.toolCalls || [] : [];
+      if (toolCalls.length === 0) {
+        return {
+          response,
+          usage,
+          model: result.model,
+          attempts,
+          toolCalls: invocations,
+          finishReason: result.finishReason
+        };
+      }
+
+      messages.push({ role: 'assistant', content: result.response || null, tool_calls: toolCalls });
+      for (const call of toolCalls) {
+        const invocation = await registry.execute(call, { ...toolContext, conversationId: turn.conversationId, signal });
+        console.log(`Tool ${invocation.name} ${invocation.error ? `failed: ${invocation.error}` : 'completed'} in ${invocation.durationMs}ms`);
+        invocations.push(invocation);
+        messages.push(registry.resultMessage(invocation));
+        if (onToolCall) {
+          onToolCall(invocation);
+        }
+      }
+
+      if (signal?.aborted) {
+        const error = new Error('Stream cancelled');
+        error.code = 'ERR_CANCELED';
+        throw error;
+      }
+    }
+  }
+
+  // Token counts summed over the requests of one turn
+  addUsage(total, usage = {}) {
+    const sum = { ...total };
+    for (const [key, value] of Object.entries(usage || {})) {
+      if (typeof value === 'number') {
+        sum[key] = (sum[key] || 0) + value;
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * Speech settings for a reply: the request's `tts` wins (false turns speech off),
+   * otherwise the conversation's stored settings apply. The profile's voice is
+   * used when speech is on and no voice is chosen.
+   * Throws a TextToSpeechError (INVALID_TTS_OPTIONS) for malformed settings.
+   */
+  async resolveSpeechSettings(requestTts, conversationId, profile = null) {
+    const storedSettings = conversationId
+      ? await this.conversationService.getTtsSettings(conversationId)
+      : null;
+    const withVoice = (settings) => {
+      const isObject = settings && typeof settings === 'object' && !Array.isArray(settings);
+      if (!profile?.voice || !(settings === true || isObject) || settings.voice !== undefined) {
+        return settings;
+      }
+      return { ...(isObject ? settings : {}), voice: profile.voice };
+    };
+    return this.textToSpeechService.resolveSettings(withVoice(requestTts), withVoice(storedSettings));
+  }
+
+  /**
+   * Generation settings for a reply: the request's model, temperature and
+   * maxTokens win, otherwise the conversation's stored settings, then the
+   * profile's, then the defaults.
+   * Throws a ModelSettingsError for settings outside the allow-list.
+   * @returns {Promise<Object>} { model, temperature, maxTokens }
+   */
+  async resolveGenerationSettings(requestSettings, conversationId, profile = null) {
+    const storedSettings = conversationId
+      ? await this.conversationService.getGenerationSettings(conversationId)
+      : null;
+    const profileSettings = profile ? this.profileService.getGenerationSettings(profile) : {};
+    return this.modelSettings.resolveSettings(requestSettings, { ...profileSettings, ...storedSettings });
+  }
+
+  // Map an OpenRouter failure onto the status and message returned to clients
+  describeError(error) {
+    if (error.message.includes('API key')) {
+      return { statusCode: 401, errorMessage: 'Authentication failed' };
+    } else if (error.message.includes('Rate limit')) {
+      return { statusCode: 429, errorMessage: 'Service temporarily unavailable due to rate limiting' };
+    } else if (error.message.includes('timeout')) {
+      return { statusCode: 504, errorMessage: 'Service timeout' };
+    } else if (error.message.includes('temporarily unavailable')) {
+      return { statusCode: 503, errorMessage: 'Service temporarily unavailable' };
+    }
+    return { statusCode: 500, errorMessage: 'Internal server error' };
+  }
+
+  generateMessageId() {
+    return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  generateConversationId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = ChatService;
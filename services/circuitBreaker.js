@@ -0,0 +1,149 @@
+const {
+  CIRCUIT_WINDOW,
+  CIRCUIT_MIN_REQUESTS,
+  CIRCUIT_FAILURE_RATE,
+  CIRCUIT_OPEN_TIME
+} = require('../config/constants');
+
+// Outcomes kept per window, so a busy model can't grow the history without bound
+const MAX_SAMPLES = 1000;
+
+/**
+ * Rolling health of one upstream model. The circuit opens once the error rate
+ * over the last CIRCUIT_WINDOW reaches CIRCUIT_FAILURE_RATE (with at least
+ * CIRCUIT_MIN_REQUESTS requests), so callers fail fast or fall back instead of
+ * waiting on a model that is down. After CIRCUIT_OPEN_TIME it goes half-open
+ * and lets a single probe through: success closes it, failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - What the circuit protects (the model ID)
+   * @param {Object} [options] - { windowMs, minRequests, failureRate, openMs }; defaults from the environment
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowMs = options.windowMs || parseInt(process.env.CIRCUIT_WINDOW_MS) || CIRCUIT_WINDOW;
+    this.minRequests = options.minRequests || parseInt(process.env.CIRCUIT_MIN_REQUESTS) || CIRCUIT_MIN_REQUESTS;
+    this.failureRate = options.failureRate || parseFloat(process.env.CIRCUIT_FAILURE_RATE) || CIRCUIT_FAILURE_RATE;
+    this.openMs = options.openMs || parseInt(process.env.CIRCUIT_OPEN_MS) || CIRCUIT_OPEN_TIME;
+
+    this.state = 'closed';
+    this.samples = [];
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Whether a request may go out now. Moves an open circuit to half-open once
+   * its cooldown has passed; the caller that gets true then is the probe and
+   * must report back with recordSuccess, recordFailure or release.
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.openMs) {
+      this.state = 'half-open';
+      this.probeInFlight = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.probeInFlight) {
+        return false;
+      }
+      this.probeInFlight = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  recordSuccess(latency) {
+    if (this.state === 'half-open') {
+      console.log(`Circuit for ${this.name} closed`);
+      this.state = 'closed';
+      this.samples = [];
+      this.probeInFlight = false;
+    }
+    this.addSample(true, latency);
+  }
+
+  recordFailure(latency, error) {
+    this.lastFailure = {
+      message: error?.message || 'Unknown error',
+      status: error?.response?.status || null,
+      at: Date.now()
+    };
+    this.addSample(false, latency);
+
+    if (this.state === 'half-open') {
+      this.open();
+      return;
+    }
+
+    const { requests, failures } = this.getCounts();
+    if (this.state === 'closed' && requests >= this.minRequests && failures / requests >= this.failureRate) {
+      this.open();
+    }
+  }
+
+  // The request ended without saying anything about the model (e.g. cancelled, bad API key)
+  release() {
+    this.probeInFlight = false;
+  }
+
+  open() {
+    console.warn(`Circuit for ${this.name} opened`);
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.probeInFlight = false;
+  }
+
+  addSample(ok, latency) {
+    this.samples.push({ at: Date.now(), ok, latency });
+    this.prune();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    let start = 0;
+    while (start < this.samples.length && this.samples[start].at < cutoff) {
+      start++;
+    }
+    if (start > 0 || this.samples.length > MAX_SAMPLES) {
+      this.samples = this.samples.slice(Math.max(start, this.samples.length - MAX_SAMPLES));
+    }
+  }
+
+  getCounts() {
+    this.prune();
+    const failures = this.samples.filter(sample => !sample.ok).length;
+    return { requests: this.samples.length, failures };
+  }
+
+  /**
+   * State, error rate and latency over the window
+   * @returns {Object} { state, requests, failures, errorRate, latency: { average, p95 }, openedAt, retryAt, lastFailure }
+   */
+  getStatus() {
+    // Reading the status shouldn't use up the half-open probe
+    const state = this.state === 'open' && Date.now() - this.openedAt >= this.openMs ? 'half-open' : this.state;
+    const { requests, failures } = this.getCounts();
+    const latencies = this.samples.map(sample => sample.latency).sort((a, b) => a - b);
+
+    return {
+      state,
+      requests,
+      failures,
+      errorRate: requests ? Math.round((failures / requests) * 1000) / 1000 : 0,
+      latency: {
+        average: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        p95: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null
+      },
+      openedAt: this.state === 'closed' ? null : new Date(this.openedAt).toISOString(),
+      retryAt: state === 'open' ? new Date(this.openedAt + this.openMs).toISOString() : null,
+      lastFailure: this.lastFailure ? {
+        ...this.lastFailure,
+        at: new Date(this.lastFailure.at).toISOString()
+      } : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
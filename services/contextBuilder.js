@@ -0,0 +1,185 @@
+const {
+  CONTEXT_TOKEN_BUDGET,
+  MODEL_CONTEXT_BUDGETS,
+  CONTEXT_MAX_MESSAGES,
+  CONTEXT_RECENT_RATIO
+} = require('../config/constants');
+
+const SUMMARY_PROMPT = 'You maintain a running summary of a conversation between a user and an AI voice assistant. ' +
+  'Merge the previous summary with the new transcript into a single concise summary. ' +
+  'Keep names, facts, preferences, decisions and open questions. Reply with the summary only.';
+
+// Rough per-message overhead for role and formatting tokens
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+/**
+ * Builds the message list sent to OpenRouter for a conversation turn.
+ * History is fitted into a per-model token budget; when it does not fit,
+ * the oldest turns are folded into a rolling summary stored on the conversation.
+ */
+class ContextBuilder {
+  /**
+   * @param {Object} options
+   * @param {ConversationService} options.conversationService - Conversation storage
+   * @param {OpenRouterService} [options.openRouterService] - Used to generate summaries
+   */
+  constructor({ conversationService, openRouterService = null }) {
+    this.conversationService = conversationService;
+    this.openRouterService = openRouterService;
+    this.defaultBudget = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || CONTEXT_TOKEN_BUDGET;
+    this.modelBudgets = {
+      ...MODEL_CONTEXT_BUDGETS,
+      ...this.parseModelBudgets(process.env.CONTEXT_TOKEN_BUDGETS)
+    };
+  }
+
+  // CONTEXT_TOKEN_BUDGETS format: "model=tokens,model=tokens"
+  parseModelBudgets(value) {
+    const budgets = {};
+    if (!value) {
+      return budgets;
+    }
+    for (const entry of value.split(',')) {
+      const separator = entry.lastIndexOf('=');
+      const model = entry.slice(0, separator).trim();
+      const tokens = parseInt(entry.slice(separator + 1));
+      if (separator > 0 && model && tokens > 0) {
+        budgets[model] = tokens;
+      }
+    }
+    return budgets;
+  }
+
+  getBudget(model) {
+    return this.modelBudgets[model] || this.defaultBudget;
+  }
+
+  estimateTokens(message) {
+    return Math.ceil((message.content || '').length / 4) + MESSAGE_TOKEN_OVERHEAD;
+  }
+
+  estimateTotal(messages) {
+    return messages.reduce((total, message) => total + this.estimateTokens(message), 0);
+  }
+
+  summaryMessage(summary) {
+    return {
+      role: 'system',
+      content: `Summary of the earlier conversation: ${summary.text}`
+    };
+  }
+
+  /**
+   * Build the messages for a new user turn
+   * @param {Object} options
+   * @param {string} options.conversationId - Conversation to draw history from
+   * @param {string} options.message - The new user message
+   * @param {string} [options.systemPrompt] - System prompt placed first
+   * @param {string} [options.model] - Model used to pick the token budget
+   * @param {Function} [options.onUsage] - Gets (model, usage) of a summary completion
+   * @returns {Promise<Object>} { messages, estimatedTokens, summarized }
+   */
+  async build({ conversationId, message, systemPrompt, model, onUsage }) {
+    const budget = this.getBudget(model);
+    const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    const userMessage = { role: 'user', content: message };
+
+    let summary = await this.conversationService.getSummary(conversationId);
+    let history = await this.conversationService.getUnsummarizedMessages(conversationId);
+    let summarized = false;
+
+    const fixedTokens = () => this.estimateTotal([
+      ...systemMessages,
+      ...(summary ? [this.summaryMessage(summary)] : []),
+      userMessage
+    ]);
+
+    if (fixedTokens() + this.estimateTotal(history) > budget || history.length > CONTEXT_MAX_MESSAGES) {
+      const { folded, kept } = this.splitHistory(history, (budget - fixedTokens()) * CONTEXT_RECENT_RATIO);
+      if (folded.length > 0) {
+        const updated = await this.foldIntoSummary(conversationId, summary, folded, onUsage);
+        if (updated) {
+          summary = updated;
+          summarized = true;
+        }
+        // Without a fresh summary the folded turns still have to go to stay in budget
+        history = kept;
+      }
+    }
+
+    // Last resort when the summary itself crowds the budget: drop oldest verbatim turns
+    while (history.length > 0 && fixedTokens() + this.estimateTotal(history) > budget) {
+      history = history.slice(1);
+    }
+
+    const messages = [
+      ...systemMessages,
+      ...(summary ? [this.summaryMessage(summary)] : []),
+      ...history.map(({ role, content }) => ({ role, content })),
+      userMessage
+    ];
+
+    return {
+      messages,
+      estimatedTokens: this.estimateTotal(messages),
+      summarized
+    };
+  }
+
+  // Keep the newest messages that fit in keepTokens; everything older gets folded
+  splitHistory(history, keepTokens) {
+    let used = 0;
+    let start = history.length;
+    const maxKept = Math.floor(CONTEXT_MAX_MESSAGES * CONTEXT_RECENT_RATIO);
+
+    while (start > 0 && history.length - start < maxKept) {
+      const tokens = this.estimateTokens(history[start - 1]);
+      if (used + tokens > keepTokens) {
+        break;
+      }
+      used += tokens;
+      start--;
+    }
+
+    return {
+      folded: history.slice(0, start),
+      kept: history.slice(start)
+    };
+  }
+
+  async foldIntoSummary(conversationId, summary, folded, onUsage) {
+    if (!this.openRouterService) {
+      console.warn(`Cannot summarize conversation ${conversationId}: OpenRouter service unavailable`);
+      return null;
+    }
+
+    const transcript = folded
+      .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+      .join('\n');
+    const prompt = summary
+      ? `Previous summary:\n${summary.text}\n\nNew transcript:\n${transcript}`
+      : `Transcript:\n${transcript}`;
+
+    const response = await this.openRouterService.sendMessage({
+      message: prompt,
+      systemPrompt: SUMMARY_PROMPT
+    });
+
+    if (!response.success) {
+      console.warn(`Failed to summarize conversation ${conversationId}: ${response.error}`);
+      return null;
+    }
+    if (onUsage) {
+      await onUsage(response.data.model, response.data.usage);
+    }
+
+    return this.conversationService.setSummary(
+      conversationId,
+      response.data.response.trim(),
+      folded[folded.length - 1].id,
+      folded.length
+    );
+  }
+}
+
+module.exports = ContextBuilder;
@@ -1,78 +1,294 @@
+const { CONVERSATION_EXPIRY, MAX_CONVERSATION_MESSAGES } = require('../config/constants');
+const { createConversationStore } = require('./stores');
+const KeyedLock = require('./keyedLock');
+
+// Conversation IDs are client-supplied, so keep them to a safe, bounded charset
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
 class ConversationService {
-  constructor() {
-    this.conversations = new Map();
-    this.conversationExpiry = 30 * 60 * 1000; // 30 minutes
-    this.maxMessagesPerConversation = 50;
-    
-    // Clean up expired conversations every 5 minutes
-    setInterval(() => this.cleanupExpiredConversations(), 5 * 60 * 1000);
-    
-    console.log('Conversation Service initialized with in-memory storage');
-  }
-
-  createConversation(conversationId) {
-    if (!this.conversations.has(conversationId)) {
-      this.conversations.set(conversationId, {
-        messages: [],
-        createdAt: Date.now(),
-        lastAccessed: Date.now()
+  /**
+   * @param {Object} [store] - Conversation store (see services/stores); defaults to STORE
+   */
+  constructor(store = createConversationStore()) {
+    this.store = store;
+    this.conversationExpiry = CONVERSATION_EXPIRY;
+    this.maxMessagesPerConversation = MAX_CONVERSATION_MESSAGES;
+    this.locks = new KeyedLock();
+
+    // Clean up expired conversations every 5 minutes (without keeping the process alive)
+    setInterval(() => {
+      this.cleanupExpiredConversations().catch(error => {
+        console.error('Conversation cleanup error:', error);
       });
-      console.log(`Created new conversation: ${conversationId}`);
-    }
-    return this.getConversation(conversationId);
+    }, 5 * 60 * 1000).unref();
+
+    console.log(`Conversation Service initialized with ${this.store.name} storage`);
   }
 
-  getConversation(conversationId) {
-    const conversation = this.conversations.get(conversationId);
-    if (conversation) {
-      conversation.lastAccessed = Date.now();
-      return conversation.messages;
-    }
-    return null;
+  // Serialize read-modify-write per conversation so concurrent turns don't overwrite each other
+  withLock(conversationId, task) {
+    return this.locks.run(conversationId, task);
+  }
+
+  isValidConversationId(conversationId) {
+    return typeof conversationId === 'string' && CONVERSATION_ID_PATTERN.test(conversationId);
   }
 
-  addMessage(conversationId, role, content) {
-    let conversation = this.conversations.get(conversationId);
-    
+  isExpired(conversation, now = Date.now()) {
+    return now - conversation.lastAccessed > this.conversationExpiry;
+  }
+
+  // Expired conversations are treated as unknown even before the cleanup timer runs
+  async loadConversation(conversationId) {
+    const conversation = await this.store.get(conversationId);
     if (!conversation) {
-      conversation = this.createConversation(conversationId);
+      return null;
     }
+    if (this.isExpired(conversation)) {
+      await this.store.delete(conversationId);
+      return null;
+    }
+    return conversation;
+  }
 
-    const message = {
-      role,
-      content,
-      timestamp: Date.now(),
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  newConversation(ownerId = null) {
+    return {
+      ownerId,
+      title: null,
+      tts: null,
+      generation: null,
+      messages: [],
+      summary: null,
+      createdAt: Date.now(),
+      lastAccessed: Date.now()
     };
+  }
 
-    conversation.messages.push(message);
-    
-    // Limit the number of messages to prevent memory issues
-    if (conversation.messages.length > this.maxMessagesPerConversation) {
-      conversation.messages = conversation.messages.slice(-this.maxMessagesPerConversation);
+  // Messages newer than the rolling summary; these are replayed verbatim
+  async getUnsummarizedMessages(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    if (!conversation) {
+      return [];
+    }
+    const { messages, summary } = conversation;
+    if (!summary) {
+      return messages;
     }
+    // If the last summarized message was already trimmed, everything left is newer
+    const index = messages.findIndex(message => message.id === summary.lastMessageId);
+    return messages.slice(index + 1);
+  }
+
+  async getSummary(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    return conversation ? conversation.summary : null;
+  }
+
+  async setSummary(conversationId, text, lastMessageId, foldedCount) {
+    return this.withLock(conversationId, async () => {
+      const conversation = await this.loadConversation(conversationId);
+      if (!conversation) {
+        return null;
+      }
+      conversation.summary = {
+        text,
+        lastMessageId,
+        messageCount: (conversation.summary?.messageCount || 0) + foldedCount,
+        updatedAt: Date.now()
+      };
+      await this.store.save(conversationId, conversation);
+      console.log(`Updated summary for conversation ${conversationId} (${foldedCount} messages folded)`);
+      return conversation.summary;
+    });
+  }
+
+  /**
+   * Append a message, creating the conversation if needed
+   * @param {string} ownerId - User that owns a newly created conversation (optional)
+   */
+  async addMessage(conversationId, role, content, ownerId = null) {
+    return this.withLock(conversationId, async () => {
+      let conversation = await this.loadConversation(conversationId);
+
+      if (!conversation) {
+        conversation = this.newConversation(ownerId);
+        console.log(`Created new conversation: ${conversationId}`);
+      }
+
+      const message = {
+        role,
+        content,
+        timestamp: Date.now(),
+        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      };
+
+      conversation.messages.push(message);
+
+      // Limit the number of messages to prevent memory issues
+      if (conversation.messages.length > this.maxMessagesPerConversation) {
+        conversation.messages = conversation.messages.slice(-this.maxMessagesPerConversation);
+      }
+
+      conversation.lastAccessed = Date.now();
+      await this.store.save(conversationId, conversation);
 
-    conversation.lastAccessed = Date.now();
-    
-    console.log(`Added ${role} message to conversation ${conversationId}`);
-    return message;
+      console.log(`Added ${role} message to conversation ${conversationId}`);
+      return message;
+    });
   }
 
-  deleteConversation(conversationId) {
-    const deleted = this.conversations.delete(conversationId);
-    if (deleted) {
-      console.log(`Deleted conversation: ${conversationId}`);
+  async deleteConversation(conversationId) {
+    return this.withLock(conversationId, async () => {
+      const deleted = await this.store.delete(conversationId);
+      if (deleted) {
+        console.log(`Deleted conversation: ${conversationId}`);
+      }
+      return deleted;
+    });
+  }
+
+  // Conversations without an owner (from before sign-in existed) must be claimed first
+  isOwnedBy(conversation, ownerId) {
+    return Boolean(ownerId) && conversation.ownerId === ownerId;
+  }
+
+  // Unknown conversations are accessible: the caller will create them
+  async canAccess(conversationId, ownerId) {
+    const conversation = await this.loadConversation(conversationId);
+    return !conversation || this.isOwnedBy(conversation, ownerId);
+  }
+
+  /**
+   * Take ownership of a conversation that has no owner
+   * @returns {Promise<Object|null>} API representation, or null if it doesn't
+   *   exist or belongs to someone else
+   */
+  async claimConversation(conversationId, ownerId) {
+    return this.withLock(conversationId, async () => {
+      const conversation = await this.loadConversation(conversationId);
+      if (!conversation || (conversation.ownerId && conversation.ownerId !== ownerId)) {
+        return null;
+      }
+      if (!conversation.ownerId) {
+        conversation.ownerId = ownerId;
+        await this.store.save(conversationId, conversation);
+        console.log(`Conversation ${conversationId} claimed by ${ownerId}`);
+      }
+      return this.formatConversation(conversationId, conversation);
+    });
+  }
+
+  /**
+   * Get a conversation only if it belongs to the given user
+   * @returns {Promise<Object|null>} API representation including all messages
+   */
+  async getOwnedConversation(conversationId, ownerId) {
+    const conversation = await this.loadConversation(conversationId);
+    if (!conversation || conversation.ownerId !== ownerId) {
+      return null;
     }
-    return deleted;
+    return this.formatConversation(conversationId, conversation, { includeMessages: true });
+  }
+
+  /**
+   * List a user's conversations, most recently used first
+   * @param {string} ownerId - User whose conversations to list
+   * @param {Object} options - { offset, limit }
+   * @returns {Promise<Object>} { conversations, total }
+   */
+  async listConversations(ownerId, { offset = 0, limit = 20 } = {}) {
+    const owned = (await this.liveEntries())
+      .filter(([, conversation]) => conversation.ownerId === ownerId)
+      .sort(([, a], [, b]) => b.lastAccessed - a.lastAccessed);
+
+    return {
+      conversations: owned
+        .slice(offset, offset + limit)
+        .map(([id, conversation]) => this.formatConversation(id, conversation)),
+      total: owned.length
+    };
+  }
+
+  /**
+   * Update client-editable fields of a conversation owned by the given user
+   * @param {Object} updates - Any of { title, tts, generation } (null clears a field)
+   * @returns {Promise<Object|null>} Updated representation, or null if not found
+   */
+  async updateConversation(conversationId, ownerId, updates) {
+    return this.withLock(conversationId, async () => {
+      const conversation = await this.loadConversation(conversationId);
+      if (!conversation || conversation.ownerId !== ownerId) {
+        return null;
+      }
+      for (const field of ['title', 'tts', 'generation']) {
+        if (field in updates) {
+          conversation[field] = updates[field];
+        }
+      }
+      await this.store.save(conversationId, conversation);
+      return this.formatConversation(conversationId, conversation);
+    });
+  }
+
+  // Summary fields (title, messageCount, ...) of a conversation, or null if unknown
+  async getDetails(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    return conversation ? this.formatConversation(conversationId, conversation) : null;
+  }
+
+  // Speech settings stored on the conversation, used when a request doesn't specify any
+  async getTtsSettings(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    return conversation ? conversation.tts || null : null;
+  }
+
+  // Model, temperature and maxTokens stored on the conversation, used when a request doesn't specify them
+  async getGenerationSettings(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    return conversation ? conversation.generation || null : null;
+  }
+
+  formatConversation(id, conversation, { includeMessages = false } = {}) {
+    const lastMessage = conversation.messages[conversation.messages.length - 1];
+    return {
+      id,
+      title: conversation.title || null,
+      tts: conversation.tts || null,
+      generation: conversation.generation || null,
+      messageCount: conversation.messages.length,
+      createdAt: new Date(conversation.createdAt).toISOString(),
+      lastAccessed: new Date(conversation.lastAccessed).toISOString(),
+      summary: conversation.summary ? {
+        text: conversation.summary.text,
+        messageCount: conversation.summary.messageCount,
+        updatedAt: new Date(conversation.summary.updatedAt).toISOString()
+      } : null,
+      ...(includeMessages ? {
+        messages: conversation.messages.map(message => ({
+          id: message.id,
+          role: message.role,
+          content: message.content,
+          timestamp: new Date(message.timestamp).toISOString()
+        }))
+      } : {
+        lastMessage: lastMessage ? lastMessage.content.substring(0, 100) : null
+      })
+    };
+  }
+
+  // Unexpired conversations, read through the store so every backend agrees
+  async liveEntries() {
+    const now = Date.now();
+    return (await this.store.entries()).filter(([, conversation]) => !this.isExpired(conversation, now));
   }
 
-  cleanupExpiredConversations() {
+  async cleanupExpiredConversations() {
     const now = Date.now();
     let deletedCount = 0;
 
-    for (const [conversationId, conversation] of this.conversations.entries()) {
-      if (now - conversation.lastAccessed > this.conversationExpiry) {
-        this.conversations.delete(conversationId);
+    for (const [conversationId, conversation] of await this.store.entries()) {
+      if (this.isExpired(conversation, now)) {
+        await this.store.delete(conversationId);
         deletedCount++;
       }
     }
@@ -80,27 +296,34 @@ class ConversationService {
     if (deletedCount > 0) {
       console.log(`Cleaned up ${deletedCount} expired conversations`);
     }
+    return deletedCount;
   }
 
   // Get conversation statistics
-  getStats() {
+  async getStats() {
+    const entries = await this.liveEntries();
     return {
-      totalConversations: this.conversations.size,
-      totalMessages: Array.from(this.conversations.values()).reduce(
-        (total, conv) => total + conv.messages.length, 0
+      storage: this.store.name,
+      totalConversations: entries.length,
+      totalMessages: entries.reduce(
+        (total, [, conv]) => total + conv.messages.length, 0
       ),
       memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
     };
   }
 
   // Get all conversations (for debugging/admin purposes)
-  getAllConversations() {
+  async getAllConversations() {
     const result = {};
-    for (const [id, conversation] of this.conversations.entries()) {
+    for (const [id, conversation] of await this.liveEntries()) {
+      const { title, messageCount, createdAt, lastAccessed, summary } = this.formatConversation(id, conversation);
       result[id] = {
-        messageCount: conversation.messages.length,
-        createdAt: new Date(conversation.createdAt).toISOString(),
-        lastAccessed: new Date(conversation.lastAccessed).toISOString(),
+        title,
+        messageCount,
+        createdAt,
+        lastAccessed,
+        summary,
+        ownerId: conversation.ownerId || null,
         messages: conversation.messages.slice(-5) // Last 5 messages
       };
     }
@@ -108,4 +331,4 @@ class ConversationService {
   }
 }
 
-module.exports = ConversationService;
\ No newline at end of file
+module.exports = ConversationService;
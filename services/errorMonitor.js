@@ -0,0 +1,118 @@
+const { ERROR_RATE_WINDOW, MAX_RECENT_FAILURES } = require('../config/constants');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Outcomes of HTTP requests and socket replies for the admin API: error rates
+ * per source ("http", "socket:chat_message", ...) over the last
+ * ERROR_RATE_WINDOW, counted per minute so memory stays flat under load, and
+ * the most recent failures with what is known about them.
+ */
+class ErrorMonitor {
+  constructor() {
+    this.window = parseInt(process.env.ERROR_RATE_WINDOW_MS) || ERROR_RATE_WINDOW;
+    this.maxFailures = MAX_RECENT_FAILURES;
+    // Per source: Map of minute start to { requests, failures }
+    this.counts = new Map();
+    this.failures = [];
+  }
+
+  count(source, failed) {
+    const minute = Math.floor(Date.now() / MINUTE) * MINUTE;
+    if (!this.counts.has(source)) {
+      this.counts.set(source, new Map());
+    }
+    const minutes = this.counts.get(source);
+    const entry = minutes.get(minute) || { requests: 0, failures: 0 };
+    entry.requests += 1;
+    entry.failures += failed ? 1 : 0;
+    minutes.set(minute, entry);
+    this.prune(minutes);
+  }
+
+  prune(minutes) {
+    const cutoff = Date.now() - this.window;
+    for (const minute of minutes.keys()) {
+      if (minute + MINUTE <= cutoff) {
+        minutes.delete(minute);
+      }
+    }
+  }
+
+  recordSuccess(source) {
+    this.count(source, false);
+  }
+
+  /**
+   * @param {string} source
+   * @param {Object} details - { error (Error or message), code, status, userId, ... }
+   */
+  recordFailure(source, { error, ...details } = {}) {
+    this.count(source, true);
+    this.failures.push({
+      source,
+      ...details,
+      error: error instanceof Error ? error.message : error || null,
+      code: details.code || error?.code || null,
+      at: new Date().toISOString()
+    });
+    if (this.failures.length > this.maxFailures) {
+      this.failures.shift();
+    }
+  }
+
+  /**
+   * Express middleware recording every response under /api; 5xx responses
+   * are failures. Handlers that record a failure themselves (a stream that
+   * fails after its 200 status was sent) set res.locals.failureRecorded.
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        if (res.locals.failureRecorded) {
+          return;
+        }
+        if (res.statusCode >= 500) {
+          this.recordFailure('http', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            userId: req.userId || null
+          });
+        } else {
+          this.recordSuccess('http');
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * @returns {Object} { windowMs, sources: { [source]: { requests, failures, errorRate } } }
+   */
+  getErrorRates() {
+    const sources = {};
+    for (const [source, minutes] of this.counts) {
+      this.prune(minutes);
+      let requests = 0;
+      let failures = 0;
+      for (const entry of minutes.values()) {
+        requests += entry.requests;
+        failures += entry.failures;
+      }
+      sources[source] = {
+        requests,
+        failures,
+        errorRate: requests ? Math.round((failures / requests) * 1000) / 1000 : 0
+      };
+    }
+    return { windowMs: this.window, sources };
+  }
+
+  // Newest first
+  getRecentFailures(limit = this.maxFailures) {
+    return this.failures.slice(-limit).reverse();
+  }
+}
+
+module.exports = ErrorMonitor;
@@ -0,0 +1,31 @@
+/**
+ * Serializes async tasks per key: a task starts once every earlier task with
+ * the same key has settled, while tasks on other keys run freely. Used for
+ * read-modify-write on stored records so concurrent requests don't overwrite
+ * each other.
+ */
+class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {Function} task - Returns a value or a promise
+   * @returns {Promise} Settles like the task
+   */
+  run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = KeyedLock;
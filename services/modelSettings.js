@@ -0,0 +1,151 @@
+const {
+  DEFAULT_AI_MODEL,
+  MAX_TOKENS,
+  TEMPERATURE,
+  MIN_TEMPERATURE,
+  MAX_TEMPERATURE,
+  ALLOWED_MODELS
+} = require('../config/constants');
+
+class ModelSettingsError extends Error {
+  constructor(message, code = 'INVALID_MODEL_SETTINGS', statusCode = 400) {
+    super(message);
+    this.name = 'ModelSettingsError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Generation settings (model, temperature, maxTokens) for a reply. Clients
+ * may choose them per request or store them on a conversation; the model must
+ * be on the operator's allow-list and maxTokens within that model's limit.
+ *
+ * The allow-list defaults to ALLOWED_MODELS and is replaced by the
+ * ALLOWED_MODELS environment variable ("model=maxTokens,model", where a model
+ * without a limit gets the default MAX_TOKENS). OPENROUTER_MODEL picks the
+ * default model and is always allowed.
+ */
+class ModelSettings {
+  constructor() {
+    this.defaultModel = process.env.OPENROUTER_MODEL || DEFAULT_AI_MODEL;
+    this.models = process.env.ALLOWED_MODELS
+      ? this.parseAllowedModels(process.env.ALLOWED_MODELS)
+      : { ...ALLOWED_MODELS };
+
+    if (!this.models[this.defaultModel]) {
+      this.models[this.defaultModel] = MAX_TOKENS;
+    }
+  }
+
+  parseAllowedModels(value) {
+    const models = {};
+    for (const entry of value.split(',')) {
+      const separator = entry.lastIndexOf('=');
+      const model = (separator > 0 ? entry.slice(0, separator) : entry).trim();
+      const maxTokens = separator > 0 ? parseInt(entry.slice(separator + 1)) : MAX_TOKENS;
+      if (model && maxTokens > 0) {
+        models[model] = maxTokens;
+      }
+    }
+    return models;
+  }
+
+  isAllowed(model) {
+    return Object.prototype.hasOwnProperty.call(this.models, model);
+  }
+
+  getMaxTokens(model) {
+    return this.models[model];
+  }
+
+  // Allow-list and defaults as reported to clients
+  describe() {
+    return {
+      defaults: {
+        model: this.defaultModel,
+        temperature: TEMPERATURE,
+        maxTokens: Math.min(MAX_TOKENS, this.getMaxTokens(this.defaultModel))
+      },
+      temperature: { min: MIN_TEMPERATURE, max: MAX_TEMPERATURE },
+      models: Object.entries(this.models).map(([id, maxTokens]) => ({ id, maxTokens }))
+    };
+  }
+
+  /**
+   * Validate settings given by a client. Only the fields present are returned,
+   * so stored settings can leave the rest to the defaults.
+   * @param {Object} settings - Any of { model, temperature, maxTokens }
+   * @param {string} [fallbackModel] - Model whose limit applies when settings name none
+   * @returns {Object} The validated fields
+   * @throws {ModelSettingsError} INVALID_MODEL_SETTINGS, MODEL_NOT_ALLOWED or MAX_TOKENS_EXCEEDED
+   */
+  normalizeSettings(settings, fallbackModel = this.defaultModel) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new ModelSettingsError('Model settings must be an object');
+    }
+
+    const { model, temperature, maxTokens } = settings;
+    const normalized = {};
+
+    if (model !== undefined && model !== null) {
+      if (typeof model !== 'string') {
+        throw new ModelSettingsError('model must be a string');
+      }
+      if (!this.isAllowed(model)) {
+        throw new ModelSettingsError(`Model ${model} is not available on this server`, 'MODEL_NOT_ALLOWED');
+      }
+      normalized.model = model;
+    }
+
+    if (temperature !== undefined && temperature !== null) {
+      if (typeof temperature !== 'number' || !(temperature >= MIN_TEMPERATURE && temperature <= MAX_TEMPERATURE)) {
+        throw new ModelSettingsError(`temperature must be a number between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE}`);
+      }
+      normalized.temperature = temperature;
+    }
+
+    if (maxTokens !== undefined && maxTokens !== null) {
+      if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+        throw new ModelSettingsError('maxTokens must be a positive integer');
+      }
+      const limitModel = normalized.model || fallbackModel;
+      const limit = this.getMaxTokens(limitModel);
+      if (maxTokens > limit) {
+        throw new ModelSettingsError(`maxTokens exceeds the limit of ${limit} for ${limitModel}`, 'MAX_TOKENS_EXCEEDED');
+      }
+      normalized.maxTokens = maxTokens;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Pick the settings for a reply: request fields win over the conversation's
+   * stored settings, which win over the defaults. A stored model that has since
+   * left the allow-list falls back to the default, and a stored maxTokens is
+   * capped at the limit of the model in use.
+   * @param {Object} requestSettings - { model, temperature, maxTokens } from the request
+   * @param {Object} [conversationSettings] - Stored on the conversation
+   * @returns {Object} { model, temperature, maxTokens }
+   * @throws {ModelSettingsError} For invalid request settings
+   */
+  resolveSettings(requestSettings = {}, conversationSettings = null) {
+    const stored = conversationSettings || {};
+    const storedModel = this.isAllowed(stored.model) ? stored.model : this.defaultModel;
+    const requested = this.normalizeSettings(requestSettings || {}, storedModel);
+    const model = requested.model || storedModel;
+    const limit = this.getMaxTokens(model);
+
+    return {
+      model,
+      temperature: requested.temperature ?? stored.temperature ?? TEMPERATURE,
+      maxTokens: requested.maxTokens ?? Math.min(stored.maxTokens || MAX_TOKENS, limit)
+    };
+  }
+}
+
+module.exports = {
+  ModelSettings,
+  ModelSettingsError
+};
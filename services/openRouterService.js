@@ -1,4 +1,18 @@
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const CircuitBreaker = require('./circuitBreaker');
+const { ModelSettings } = require('./modelSettings');
+const {
+    DEFAULT_AI_MODEL,
+    MAX_TOKENS,
+    TEMPERATURE,
+    OPENROUTER_MAX_RETRIES,
+    OPENROUTER_RETRY_BASE_DELAY,
+    OPENROUTER_RETRY_MAX_DELAY
+} = require('../config/constants');
+
+// Network failures worth another attempt (no HTTP response was received)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_NETWORK'];
 
 /**
  * OpenRouter Service for AI Voice Assistant
@@ -10,13 +24,41 @@ const axios = require('axios');
  */
 
 class OpenRouterService {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {ModelSettings} [options.modelSettings] - Allow-list the fallback models must be on,
+     *   and their maxTokens limits
+     */
+    constructor({ modelSettings = new ModelSettings() } = {}) {
+        this.modelSettings = modelSettings;
         this.apiKey = process.env.OPENROUTER_API_KEY;
         this.baseURL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
-        this.model = process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo';
-        
+        this.model = process.env.OPENROUTER_MODEL || DEFAULT_AI_MODEL;
+
+        // Retries per model, then the fallback models in order (OPENROUTER_FALLBACK_MODELS="model,model")
+        this.maxRetries = parseInt(process.env.OPENROUTER_MAX_RETRIES) >= 0
+            ? parseInt(process.env.OPENROUTER_MAX_RETRIES)
+            : OPENROUTER_MAX_RETRIES;
+        this.retryBaseDelay = parseInt(process.env.OPENROUTER_RETRY_BASE_DELAY_MS) || OPENROUTER_RETRY_BASE_DELAY;
+        this.retryMaxDelay = parseInt(process.env.OPENROUTER_RETRY_MAX_DELAY_MS) || OPENROUTER_RETRY_MAX_DELAY;
+        this.fallbackModels = (process.env.OPENROUTER_FALLBACK_MODELS || '')
+            .split(',')
+            .map(model => model.trim())
+            .filter(Boolean)
+            .filter((model) => {
+                if (this.modelSettings.isAllowed(model)) {
+                    return true;
+                }
+                console.warn(`Fallback model ${model} is not in ALLOWED_MODELS and will not be used`);
+                return false;
+            });
+
+        // Per-model circuit breakers, created on first use
+        this.circuits = new Map();
+
+        // The server still starts without a key; requests then fail with "API key not configured"
         if (!this.apiKey) {
-            throw new Error('OPENROUTER_API_KEY is required in environment variables');
+            console.warn('OPENROUTER_API_KEY is not set; AI requests will fail until it is configured');
         }
 
         // Developer information for API attribution
@@ -43,57 +85,241 @@ class OpenRouterService {
         console.log('OpenRouterService initialized successfully');
     }
 
+    /**
+     * Run a request against the model, retrying 408, 429, 5xx and network
+     * failures with jittered exponential backoff (or the server's Retry-After),
+     * then moving on to each fallback model in turn. A Retry-After longer than
+     * the maximum delay, or a 404 for the model, skips straight to the next one,
+     * as does an open circuit (see CircuitBreaker). Other failures are thrown at
+     * once. The error thrown once every model has failed carries the number of
+     * attempts made. Only fallback models on the allow-list are tried, and the
+     * request should cap maxTokens for each model (see maxTokensFor).
+     * @param {string} model - Requested model
+     * @param {Function} request - Called with the model to try; returns a promise
+     * @param {AbortSignal} signal - Stops retrying (optional)
+     * @returns {Promise<Object>} { result, model, attempts }
+     */
+    async withRetries(model, request, signal) {
+        const models = [model, ...this.fallbackModels.filter(fallback => fallback !== model)];
+        let attempts = 0;
+        let lastError = null;
+
+        for (const [index, candidate] of models.entries()) {
+            const circuit = this.getCircuit(candidate);
+
+            for (let retry = 0; retry <= this.maxRetries; retry++) {
+                if (!circuit.allowRequest()) {
+                    console.warn(`OpenRouter circuit for ${candidate} is open, skipping it`);
+                    break;
+                }
+
+                attempts++;
+                const startedAt = Date.now();
+                try {
+                    const result = await request(candidate);
+                    circuit.recordSuccess(Date.now() - startedAt);
+                    return { result, model: candidate, attempts };
+                } catch (error) {
+                    lastError = error;
+                    // An error response to a streamed request still holds its connection open
+                    if (typeof error.response?.data?.resume === 'function') {
+                        error.response.data.resume();
+                    }
+                    if (signal?.aborted || axios.isCancel(error) || !this.isRetryable(error)) {
+                        circuit.release();
+                        error.attempts = attempts;
+                        throw error;
+                    }
+                    circuit.recordFailure(Date.now() - startedAt, error);
+
+                    const delay = retry < this.maxRetries ? this.getRetryDelay(error, retry) : null;
+                    if (delay === null) {
+                        break;
+                    }
+                    console.warn(`OpenRouter ${candidate} failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+                    await this.wait(delay, signal);
+                }
+            }
+
+            if (index < models.length - 1) {
+                console.warn(`OpenRouter ${candidate} unavailable, falling back to ${models[index + 1]}`);
+            }
+        }
+
+        const error = lastError || new Error('Open Router temporarily unavailable: every model circuit is open');
+        if (!lastError) {
+            error.code = 'CIRCUIT_OPEN';
+        }
+        error.attempts = attempts;
+        throw error;
+    }
+
+    // maxTokens within the limit of the model being tried, which may be a fallback with a lower one
+    maxTokensFor(model, maxTokens) {
+        const limit = this.modelSettings.getMaxTokens(model);
+        return limit ? Math.min(maxTokens, limit) : maxTokens;
+    }
+
+    // Request fields that offer tools to the model
+    toolOptions(tools, toolChoice) {
+        if (!tools || tools.length === 0) {
+            return {};
+        }
+        return { tools, tool_choice: toolChoice || 'auto' };
+    }
+
+    getCircuit(model) {
+        if (!this.circuits.has(model)) {
+            this.circuits.set(model, new CircuitBreaker(model));
+        }
+        return this.circuits.get(model);
+    }
+
+    /**
+     * Upstream health from the circuits of the models used so far. Degraded
+     * while any circuit is not closed, unavailable when none would take a request.
+     * @returns {Object} { status, models: { [model]: circuit status } }
+     */
+    getHealth() {
+        const models = {};
+        for (const [model, circuit] of this.circuits) {
+            models[model] = circuit.getStatus();
+        }
+
+        const states = [this.model, ...this.fallbackModels].map(model => models[model]?.state || 'closed');
+        let status = 'healthy';
+        if (states.every(state => state === 'open')) {
+            status = 'unavailable';
+        } else if (Object.values(models).some(circuit => circuit.state !== 'closed')) {
+            status = 'degraded';
+        }
+
+        return { status, models };
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (status) {
+            return status === 404 || status === 408 || status === 429 || status >= 500;
+        }
+        return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * Delay before retrying the same model, or null to move on to the next one
+     * @param {Error} error - Failed attempt
+     * @param {number} retry - Retries already made for this model
+     * @returns {number|null} Milliseconds
+     */
+    getRetryDelay(error, retry) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+
+        const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (retryAfter !== null) {
+            return retryAfter <= this.retryMaxDelay ? retryAfter : null;
+        }
+
+        // "Equal jitter": half the backoff is fixed, the other half random
+        const backoff = Math.min(this.retryBaseDelay * 2 ** retry, this.retryMaxDelay);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, Math.round(seconds * 1000));
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(new axios.CanceledError());
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new axios.CanceledError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
     /**
      * Send a message to OpenRouter and get AI response
      * @param {Object} options - Message options
      * @param {string} options.message - The user message
+     * @param {Array} options.messages - Full message list to send instead of message (optional)
      * @param {string} options.conversationId - Conversation ID for context
-     * @param {string} options.systemPrompt - System prompt (optional)
+     * @param {string} options.systemPrompt - System prompt used with message (optional)
+     * @param {string} options.model - Model to use (default: OPENROUTER_MODEL)
+     * @param {number} options.temperature - Sampling temperature (default: TEMPERATURE)
+     * @param {number} options.maxTokens - Reply length limit (default: MAX_TOKENS)
+     * @param {Array} options.tools - Tool definitions in OpenAI format (optional)
+     * @param {string} options.toolChoice - "auto" (default with tools) or "none" (optional)
      * @param {boolean} options.stream - Whether to stream response (default: false)
-     * @returns {Promise<Object>} AI response
+     * @returns {Promise<Object>} AI response, with the model that answered, the attempts made
+     *   and any toolCalls the model wants run before it answers
      */
     async sendMessage(options) {
         try {
-            const { message, conversationId, systemPrompt, stream = false } = options;
+            const {
+                message,
+                conversationId,
+                systemPrompt,
+                model = this.model,
+                temperature = TEMPERATURE,
+                maxTokens = MAX_TOKENS,
+                tools,
+                toolChoice,
+                stream = false
+            } = options;
+
+            if (!this.apiKey) {
+                throw new Error('OpenRouter API key not configured');
+            }
 
-            if (!message || typeof message !== 'string') {
-                throw new Error('Message is required and must be a string');
+            let messages = options.messages;
+            if (!messages) {
+                if (!message || typeof message !== 'string') {
+                    throw new Error('Message is required and must be a string');
+                }
+                messages = [
+                    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+                    { role: 'user', content: message }
+                ];
             }
 
-            // Build messages array
-            const messages = [];
+            console.log(`Sending request to OpenRouter: ${messages[messages.length - 1].content.substring(0, 100)}...`);
 
-            // Add system prompt if provided
-            if (systemPrompt) {
-                messages.push({
-                    role: 'system',
-                    content: systemPrompt
+            const { result: response, model: answeredBy, attempts } = await this.withRetries(model, (candidate) => {
+                return this.client.post('/chat/completions', {
+                    model: candidate,
+                    messages: messages,
+                    max_tokens: this.maxTokensFor(candidate, maxTokens),
+                    temperature: temperature,
+                    ...this.toolOptions(tools, toolChoice),
+                    stream: stream
                 });
-            }
-
-            // Add user message
-            messages.push({
-                role: 'user',
-                content: message
             });
 
-            const requestBody = {
-                model: this.model,
-                messages: messages,
-                max_tokens: 1000,
-                temperature: 0.7,
-                stream: stream
-            };
-
-            console.log(`Sending request to OpenRouter: ${message.substring(0, 100)}...`);
-
-            const response = await this.client.post('/chat/completions', requestBody);
-
             if (!response.data || !response.data.choices || !response.data.choices[0]) {
                 throw new Error('Invalid response format from OpenRouter');
             }
 
-            const aiResponse = response.data.choices[0].message.content;
+            const choice = response.data.choices[0];
+            const aiResponse = choice.message.content || '';
 
             return {
                 success: true,
@@ -101,7 +327,10 @@ class OpenRouterService {
                     response: aiResponse,
                     conversationId: conversationId || this.generateConversationId(),
                     usage: response.data.usage || {},
-                    model: response.data.model,
+                    model: response.data.model || answeredBy,
+                    attempts,
+                    toolCalls: choice.message.tool_calls || [],
+                    finishReason: choice.finish_reason || null,
                     timestamp: new Date().toISOString()
                 }
             };
@@ -121,155 +350,243 @@ class OpenRouterService {
             } else if (error.code === 'ECONNABORTED') {
                 errorMessage = 'Open Router request timeout';
                 statusCode = 504;
+            } else if (error.code === 'CIRCUIT_OPEN') {
+                errorMessage = error.message;
+                statusCode = 503;
             } else if (error.response?.data?.error?.message) {
                 errorMessage = error.response.data.error.message;
+            } else if (!error.isAxiosError) {
+                // Raised before any request was made (missing key or message)
+                errorMessage = error.message;
             }
 
             return {
                 success: false,
                 error: errorMessage,
-                code: `OPENROUTER_${statusCode}`
+                code: `OPENROUTER_${statusCode}`,
+                attempts: error.attempts ?? 1
             };
         }
     }
 
     /**
      * Stream response from OpenRouter (for real-time responses)
+     * Exactly one of onComplete or onError is called once the stream settles.
      * @param {Object} options - Stream options
      * @param {string} options.message - The user message
+     * @param {Array} options.messages - Full message list to send instead of message (optional)
+     * @param {string} options.systemPrompt - System prompt used with message (optional)
      * @param {string} options.conversationId - Conversation ID
-     * @param {Function} options.onChunk - Callback for each chunk
-     * @param {Function} options.onComplete - Callback when complete
-     * @param {Function} options.onError - Callback for errors
+     * @param {string} options.model - Model to use (default: OPENROUTER_MODEL)
+     * @param {number} options.temperature - Sampling temperature (default: TEMPERATURE)
+     * @param {number} options.maxTokens - Reply length limit (default: MAX_TOKENS)
+     * @param {Array} options.tools - Tool definitions in OpenAI format (optional)
+     * @param {string} options.toolChoice - "auto" (default with tools) or "none" (optional)
+     * @param {AbortSignal} options.signal - Aborts the upstream request (optional)
+     * @param {Function} options.onChunk - Callback for each content delta
+     * @param {Function} options.onComplete - Callback with { fullResponse, conversationId, usage, model, attempts, toolCalls, finishReason }
+     * @param {Function} options.onError - Callback for errors; cancellation reports code ERR_CANCELED
+     * @returns {Promise<void>} Resolves once the stream has settled
      */
     async streamMessage(options) {
-        try {
-            const { message, conversationId, onChunk, onComplete, onError } = options;
-
-            if (!message) {
-                throw new Error('Message is required for streaming');
-            }
-
-            const messages = [{
-                role: 'user',
-                content: message
-            }];
-
-            const requestBody = {
-                model: this.model,
-                messages: messages,
-                max_tokens: 1000,
-                temperature: 0.7,
-                stream: true
+        const { message, systemPrompt, conversationId, signal, onChunk, onComplete, onError } = options;
+        const { model: requestModel = this.model, temperature = TEMPERATURE, maxTokens = MAX_TOKENS, tools, toolChoice } = options;
+
+        return new Promise((resolve) => {
+            let settled = false;
+            const settle = (callback, value) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (callback) {
+                    callback(value);
+                }
+                resolve();
+            };
+            const fail = (error) => settle(onError, error);
+            const cancelled = () => {
+                const error = new Error('Stream cancelled');
+                error.code = 'ERR_CANCELED';
+                return error;
             };
 
-            const response = await this.client.post('/chat/completions', requestBody, {
-                responseType: 'stream'
-            });
-
-            let fullResponse = '';
+            (async () => {
+                if (!this.apiKey) {
+                    throw new Error('OpenRouter API key not configured');
+                }
 
-            response.data.on('data', (chunk) => {
-                try {
-                    const lines = chunk.toString().split('\n');
-                    
-                    for (const line of lines) {
-                        if (line.startsWith('data: ') && !line.includes('[DONE]')) {
-                            try {
-                                const data = JSON.parse(line.slice(6));
-                                const content = data.choices[0]?.delta?.content;
-                                
-                                if (content) {
-                                    fullResponse += content;
-                                    if (onChunk) {
-                                        onChunk(content);
-                                    }
-                                }
-                            } catch (parseError) {
-                                // Ignore parsing errors for incomplete chunks
-                            }
-                        }
+                let messages = options.messages;
+                if (!messages) {
+                    if (!message) {
+                        throw new Error('Message is required for streaming');
                     }
-                } catch (chunkError) {
-                    console.error('Error processing stream chunk:', chunkError);
+                    messages = [
+                        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+                        { role: 'user', content: message }
+                    ];
                 }
-            });
 
-            response.data.on('end', () => {
-                if (onComplete) {
-                    onComplete({
-                        fullResponse,
-                        conversationId: conversationId || this.generateConversationId()
+                // Only opening the stream is retried; once content flows a failure is final
+                const { result: response, model: answeredBy, attempts } = await this.withRetries(requestModel, (candidate) => {
+                    return this.client.post('/chat/completions', {
+                        model: candidate,
+                        messages: messages,
+                        max_tokens: this.maxTokensFor(candidate, maxTokens),
+                        temperature: temperature,
+                        ...this.toolOptions(tools, toolChoice),
+                        stream: true,
+                        usage: { include: true }
+                    }, {
+                        responseType: 'stream',
+                        signal
                     });
-                }
-            });
+                }, signal);
+                const stream = response.data;
+
+                let fullResponse = '';
+                let usage = {};
+                let model = answeredBy;
+                let finishReason = null;
+                // Tool calls arrive in fragments keyed by index; arguments are streamed as text
+                const toolCalls = [];
+                // SSE lines can be split across network chunks, so keep the unfinished tail
+                let buffer = '';
+                const decoder = new StringDecoder('utf8');
+
+                const processLine = (line) => {
+                    if (!line.startsWith('data:')) {
+                        return; // blank separators and ": keep-alive" comments
+                    }
+                    const payload = line.slice(5).trim();
+                    if (!payload || payload === '[DONE]') {
+                        return;
+                    }
 
-            response.data.on('error', (error) => {
-                console.error('Stream error:', error);
-                if (onError) {
-                    onError(error);
-                }
-            });
+                    let data;
+                    try {
+                        data = JSON.parse(payload);
+                    } catch (parseError) {
+                        console.error('Unparseable stream event:', payload.substring(0, 100));
+                        return;
+                    }
 
-        } catch (error) {
-            console.error('Stream initialization error:', error);
-            if (onError) {
-                onError(error);
-            }
-        }
-    }
+                    if (data.error) {
+                        throw new Error(data.error.message || 'Open Router stream error');
+                    }
+                    if (data.model) {
+                        model = data.model;
+                    }
+                    if (data.usage) {
+                        usage = data.usage;
+                    }
 
-    /**
-     * Process audio transcription and get AI response
-     * @param {Object} options - Audio processing options
-     * @param {string} options.audioData - Base64 encoded audio data
-     * @param {string} options.sessionId - Session ID for tracking
-     * @returns {Promise<Object>} AI response with transcription
-     */
-    async processAudio(options) {
-        try {
-            const { audioData, sessionId } = options;
+                    const choice = data.choices?.[0];
+                    if (choice?.finish_reason) {
+                        finishReason = choice.finish_reason;
+                    }
+                    for (const fragment of choice?.delta?.tool_calls || []) {
+                        const index = fragment.index ?? toolCalls.length;
+                        const call = toolCalls[index] || (toolCalls[index] = {
+                            id: null,
+                            type: 'function',
+                            function: { name: '', arguments: '' }
+                        });
+                        if (fragment.id) {
+                            call.id = fragment.id;
+                        }
+                        if (fragment.function?.name) {
+                            call.function.name += fragment.function.name;
+                        }
+                        if (fragment.function?.arguments) {
+                            call.function.arguments += fragment.function.arguments;
+                        }
+                    }
 
-            if (!audioData) {
-                throw new Error('Audio data is required');
-            }
+                    const content = choice?.delta?.content;
+                    if (content) {
+                        fullResponse += content;
+                        if (onChunk) {
+                            onChunk(content);
+                        }
+                    }
+                };
 
-            // Note: OpenRouter doesn't directly process audio
-            // You would need to use a speech-to-text service first
-            // This is a placeholder for the complete flow
-            
-            console.log(`Processing audio for session: ${sessionId}, data length: ${audioData.length}`);
+                const processText = (text) => {
+                    buffer += text;
+                    const lines = buffer.split(/\r?\n/);
+                    buffer = lines.pop();
+                    for (const line of lines) {
+                        processLine(line);
+                    }
+                };
 
-            // For now, we'll simulate speech-to-text and then get AI response
-            // In production, integrate with a speech-to-text service like:
-            // Google Speech-to-Text, AWS Transcribe, or OpenAI Whisper
-            
-            const simulatedTranscription = "This is a simulated transcription of the audio input. In a real implementation, this would be the actual transcribed text from the audio.";
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        stream.destroy();
+                        fail(cancelled());
+                    }, { once: true });
+                }
 
-            // Get AI response for the transcribed text
-            const aiResponse = await this.sendMessage({
-                message: simulatedTranscription,
-                conversationId: sessionId
-            });
+                stream.on('data', (chunk) => {
+                    try {
+                        processText(decoder.write(chunk));
+                    } catch (streamError) {
+                        stream.destroy();
+                        fail(streamError);
+                    }
+                });
 
-            return {
-                success: true,
-                data: {
-                    transcribedText: simulatedTranscription,
-                    response: aiResponse.success ? aiResponse.data.response : 'Error processing audio',
-                    sessionId: sessionId,
-                    timestamp: new Date().toISOString()
-                }
-            };
+                stream.on('end', () => {
+                    try {
+                        processText(decoder.end());
+                        if (buffer) {
+                            processLine(buffer);
+                        }
+                    } catch (streamError) {
+                        return fail(streamError);
+                    }
+                    settle(onComplete, {
+                        fullResponse,
+                        conversationId: conversationId || this.generateConversationId(),
+                        usage,
+                        model,
+                        attempts,
+                        toolCalls: toolCalls.filter(Boolean),
+                        finishReason
+                    });
+                });
 
-        } catch (error) {
-            console.error('Audio processing error:', error);
-            return {
-                success: false,
-                error: 'Failed to process audio: ' + error.message,
-                code: 'AUDIO_PROCESSING_ERROR'
-            };
-        }
+                stream.on('error', (error) => {
+                    if (signal?.aborted) {
+                        return fail(cancelled());
+                    }
+                    console.error('Stream error:', error.message);
+                    fail(error);
+                });
+
+                // Destroyed without end/error (e.g. upstream connection dropped)
+                stream.on('close', () => {
+                    fail(signal?.aborted ? cancelled() : new Error('Open Router stream closed unexpectedly'));
+                });
+            })().catch((error) => {
+                if (signal?.aborted || axios.isCancel(error)) {
+                    return fail(cancelled());
+                }
+                console.error('Stream initialization error:', error.message);
+
+                let failure = error;
+                if (error.response?.status === 401) {
+                    failure = new Error('Invalid Open Router API key');
+                } else if (error.response?.status === 429) {
+                    failure = new Error('Rate limit exceeded for Open Router');
+                } else if (error.code === 'ECONNABORTED') {
+                    failure = new Error('Open Router request timeout');
+                }
+                failure.attempts = error.attempts ?? 1;
+                fail(failure);
+            });
+        });
     }
 
     /**
@@ -311,6 +628,8 @@ class OpenRouterService {
             github: this.developerInfo.github,
             repository: this.developerInfo.repository,
             model: this.model,
+            fallbackModels: this.fallbackModels,
+            maxRetries: this.maxRetries,
             status: 'active',
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,234 @@
+const { MAX_SYSTEM_PROMPT_LENGTH, MAX_PROFILES_PER_USER } = require('../config/constants');
+const { createProfileStore } = require('./stores');
+const { findUnknownVariables } = require('./promptTemplate');
+
+const PROFILE_ID_PATTERN = /^prof_[A-Za-z0-9_]{1,64}$/;
+// ISO-639-1 code with an optional region, e.g. "en" or "pt-BR"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const PROFILE_FIELDS = ['name', 'description', 'systemPrompt', 'model', 'temperature', 'maxTokens', 'voice', 'language'];
+
+class ProfileError extends Error {
+  constructor(message, code = 'INVALID_PROFILE', statusCode = 400) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Named assistant profiles (personas): a system prompt, model settings, TTS
+ * voice and transcription language that requests pick with profileId instead
+ * of sending them each time. Profiles belong to the user that created them,
+ * except shared profiles (ownerId null), which admins manage and every user
+ * can pick. The system prompt is a template (see promptTemplate.js), checked
+ * for unknown variables when the profile is saved.
+ */
+class ProfileService {
+  /**
+   * @param {Object} options
+   * @param {ModelSettings} options.modelSettings - Validates model, temperature and maxTokens
+   * @param {TextToSpeechService} options.textToSpeechService - Validates the voice
+   * @param {Object} [options.store] - Profile store (see services/stores); defaults to STORE
+   */
+  constructor({ modelSettings, textToSpeechService, store = createProfileStore() }) {
+    this.modelSettings = modelSettings;
+    this.textToSpeechService = textToSpeechService;
+    this.store = store;
+
+    console.log(`Profile Service initialized with ${this.store.name} storage`);
+  }
+
+  isValidProfileId(profileId) {
+    return typeof profileId === 'string' && PROFILE_ID_PATTERN.test(profileId);
+  }
+
+  /**
+   * Validate a complete profile (a new one, or an existing one with updates applied).
+   * Fields set to null are cleared; only name is required.
+   * @returns {Object} The profile fields
+   * @throws {ProfileError|ModelSettingsError|TextToSpeechError} UNKNOWN_TEMPLATE_VARIABLES when
+   *   the system prompt uses variables the server doesn't provide
+   */
+  normalizeProfile(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ProfileError('Profile must be an object');
+    }
+
+    const { name, description, systemPrompt, model, temperature, maxTokens, voice, language } = input;
+    const optionalString = (value, field, maxLength) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      if (typeof value !== 'string' || value.length > maxLength) {
+        throw new ProfileError(`${field} must be a string of at most ${maxLength} characters`);
+      }
+      return value.trim() || null;
+    };
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new ProfileError(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (language !== undefined && language !== null && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+      throw new ProfileError('language must be a language code such as "en" or "pt-BR"');
+    }
+
+    const prompt = optionalString(systemPrompt, 'systemPrompt', MAX_SYSTEM_PROMPT_LENGTH);
+    const unknown = prompt ? findUnknownVariables(prompt) : [];
+    if (unknown.length) {
+      throw new ProfileError(
+        `Unknown template variables in systemPrompt: ${unknown.map(name => `{{${name}}}`).join(', ')}`,
+        'UNKNOWN_TEMPLATE_VARIABLES'
+      );
+    }
+
+    const generation = this.modelSettings.normalizeSettings({ model, temperature, maxTokens });
+    if (voice !== undefined && voice !== null) {
+      this.textToSpeechService.normalizeSettings({ voice });
+    }
+
+    return {
+      name: name.trim(),
+      description: optionalString(description, 'description', MAX_DESCRIPTION_LENGTH),
+      systemPrompt: prompt,
+      model: generation.model ?? null,
+      temperature: generation.temperature ?? null,
+      maxTokens: generation.maxTokens ?? null,
+      voice: voice ?? null,
+      language: language ?? null
+    };
+  }
+
+  async ownedProfiles(ownerId) {
+    return (await this.store.entries()).filter(([, profile]) => profile.ownerId === ownerId);
+  }
+
+  // Users see their own profiles and the shared ones
+  isVisibleTo(profile, ownerId) {
+    return profile.ownerId === ownerId || profile.ownerId === null;
+  }
+
+  /**
+   * List the profiles a user can pick by name: their own and the shared ones
+   * (only the shared ones for ownerId null)
+   * @returns {Promise<Array>}
+   */
+  async listProfiles(ownerId) {
+    return (await this.store.entries())
+      .filter(([, profile]) => this.isVisibleTo(profile, ownerId))
+      .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+      .map(([id, profile]) => this.formatProfile(id, profile));
+  }
+
+  async loadProfile(profileId) {
+    return this.isValidProfileId(profileId) ? this.store.get(profileId) : null;
+  }
+
+  /**
+   * Get a profile the user owns, or a shared one
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(profileId, ownerId) {
+    const profile = await this.loadProfile(profileId);
+    if (!profile || !this.isVisibleTo(profile, ownerId)) {
+      return null;
+    }
+    return this.formatProfile(profileId, profile);
+  }
+
+  /**
+   * @param {string|null} ownerId - User creating the profile, or null for a shared profile
+   * @param {Object} input - { name, description, systemPrompt, model, temperature, maxTokens, voice, language }
+   * @returns {Promise<Object>} The created profile
+   * @throws {ProfileError} INVALID_PROFILE or PROFILE_LIMIT_REACHED, or a settings error
+   */
+  async createProfile(ownerId, input) {
+    const fields = this.normalizeProfile(input);
+
+    if ((await this.ownedProfiles(ownerId)).length >= MAX_PROFILES_PER_USER) {
+      throw new ProfileError(`At most ${MAX_PROFILES_PER_USER} profiles per user`, 'PROFILE_LIMIT_REACHED', 409);
+    }
+
+    const profileId = `prof_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const profile = { ownerId, ...fields, createdAt: Date.now(), updatedAt: Date.now() };
+    await this.store.save(profileId, profile);
+
+    console.log(`Created profile ${profileId} (${fields.name})`);
+    return this.formatProfile(profileId, profile);
+  }
+
+  /**
+   * Update some fields of a user's profile, or of a shared one for ownerId
+   * null (null clears a field)
+   * @returns {Promise<Object|null>} Updated profile, or null if not found
+   */
+  async updateProfile(profileId, ownerId, updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw new ProfileError('Profile must be an object');
+    }
+    const stored = await this.loadProfile(profileId);
+    if (!stored || stored.ownerId !== ownerId) {
+      return null;
+    }
+
+    const existing = this.formatProfile(profileId, stored);
+    const merged = { ...existing };
+    for (const field of PROFILE_FIELDS) {
+      if (field in updates) {
+        merged[field] = updates[field];
+      }
+    }
+
+    const profile = {
+      ownerId,
+      ...this.normalizeProfile(merged),
+      createdAt: Date.parse(existing.createdAt),
+      updatedAt: Date.now()
+    };
+    await this.store.save(profileId, profile);
+    return this.formatProfile(profileId, profile);
+  }
+
+  // Only the owner deletes a profile; shared ones with ownerId null
+  async deleteProfile(profileId, ownerId) {
+    const profile = await this.loadProfile(profileId);
+    if (!profile || profile.ownerId !== ownerId) {
+      return false;
+    }
+    await this.store.delete(profileId);
+    console.log(`Deleted profile ${profileId}`);
+    return true;
+  }
+
+  // The generation fields the profile sets, in the shape stored on conversations
+  getGenerationSettings(profile) {
+    const settings = {};
+    for (const field of ['model', 'temperature', 'maxTokens']) {
+      if (profile[field] !== null && profile[field] !== undefined) {
+        settings[field] = profile[field];
+      }
+    }
+    return settings;
+  }
+
+  formatProfile(id, profile) {
+    const fields = {};
+    for (const field of PROFILE_FIELDS) {
+      fields[field] = profile[field] ?? null;
+    }
+    return {
+      id,
+      ...fields,
+      shared: profile.ownerId === null,
+      createdAt: new Date(profile.createdAt).toISOString(),
+      updatedAt: new Date(profile.updatedAt).toISOString()
+    };
+  }
+}
+
+module.exports = {
+  ProfileService,
+  ProfileError
+};
@@ -0,0 +1,181 @@
+/**
+ * System prompt templates. A template is plain text with {{variable}} or
+ * {{variable|fallback}} placeholders, filled in for every reply from the
+ * request's context, the conversation and the profile in use. Placeholders
+ * with no value (and no fallback) render as an empty string.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]*?)\s*(?:\|([^{}]*))?\}\}/g;
+// BCP 47 tag such as "en", "en-US" or "zh-Hant-TW"
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,3}$/;
+const MAX_CONTEXT_VALUE_LENGTH = 100;
+
+// Variables templates may use, with what they hold
+const TEMPLATE_VARIABLES = {
+  userName: 'The user\'s name (context.userName)',
+  locale: 'The user\'s locale, e.g. en-US (context.locale or Accept-Language)',
+  timezone: 'The user\'s IANA timezone, e.g. Europe/Paris (context.timezone, default UTC)',
+  localTime: 'Current time in the user\'s timezone (HH:MM, 24-hour)',
+  localDate: 'Current date in the user\'s timezone (YYYY-MM-DD)',
+  dayOfWeek: 'Current day of the week in the user\'s timezone',
+  deviceModel: 'Device model (context.device.model)',
+  deviceOs: 'Device operating system (context.device.os)',
+  appVersion: 'App version (context.device.appVersion)',
+  conversationTitle: 'Title of the conversation',
+  messageCount: 'Messages in the conversation before this one',
+  profileName: 'Name of the profile in use',
+  model: 'Model answering the request'
+};
+
+class PromptTemplateError extends Error {
+  constructor(message, code = 'INVALID_TEMPLATE', statusCode = 400) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Names of the variables a template uses, in order of first use
+ * @param {string} template
+ * @returns {string[]}
+ */
+const findVariables = (template) => {
+  const names = new Set();
+  for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(name);
+  }
+  return [...names];
+};
+
+/**
+ * Variables a template uses that the server does not provide
+ * @param {string} template
+ * @returns {string[]} Empty when the template is valid
+ */
+const findUnknownVariables = (template) => findVariables(template)
+  .filter(name => !Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name));
+
+/**
+ * Fill in a template's placeholders. Unknown variables are left as written,
+ * so a prompt that merely contains braces is not mangled.
+ * @param {string} template
+ * @param {Object} values - Variable values; null or undefined means no value
+ * @returns {string}
+ */
+const renderTemplate = (template, values) => template.replace(PLACEHOLDER_PATTERN, (placeholder, name, fallback) => {
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)) {
+    return placeholder;
+  }
+  const value = values[name];
+  return value === undefined || value === null || value === '' ? (fallback ?? '').trim() : String(value);
+});
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate the context a client sends with a request
+ * @param {Object} context - { userName, locale, timezone, device: { model, os, appVersion } }
+ * @param {Object} [defaults] - { locale } taken from request headers
+ * @returns {Object} The validated fields
+ * @throws {PromptTemplateError} INVALID_CONTEXT
+ */
+const normalizeContext = (context, { locale: defaultLocale } = {}) => {
+  const invalid = (message) => new PromptTemplateError(message, 'INVALID_CONTEXT');
+
+  if (context === undefined || context === null) {
+    context = {};
+  }
+  if (typeof context !== 'object' || Array.isArray(context)) {
+    throw invalid('context must be an object');
+  }
+
+  const text = (value, field) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_CONTEXT_VALUE_LENGTH) {
+      throw invalid(`${field} must be a string of at most ${MAX_CONTEXT_VALUE_LENGTH} characters`);
+    }
+    return value.trim() || null;
+  };
+
+  const { userName, locale, timezone, device } = context;
+  if (locale !== undefined && locale !== null && (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale))) {
+    throw invalid('context.locale must be a locale such as "en-US"');
+  }
+  if (timezone !== undefined && timezone !== null && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    throw invalid('context.timezone must be an IANA timezone such as "Europe/Paris"');
+  }
+  if (device !== undefined && device !== null && (typeof device !== 'object' || Array.isArray(device))) {
+    throw invalid('context.device must be an object');
+  }
+
+  return {
+    userName: text(userName, 'context.userName'),
+    locale: locale || (LOCALE_PATTERN.test(defaultLocale || '') ? defaultLocale : null),
+    timezone: timezone || null,
+    device: {
+      model: text(device?.model, 'context.device.model'),
+      os: text(device?.os, 'context.device.os'),
+      appVersion: text(device?.appVersion, 'context.device.appVersion')
+    }
+  };
+};
+
+// First language of an Accept-Language header ("fr-CH, fr;q=0.9" -> "fr-CH")
+const localeFromHeader = (header) => {
+  const first = typeof header === 'string' ? header.split(',')[0].split(';')[0].trim() : '';
+  return first && first !== '*' ? first : null;
+};
+
+/**
+ * Template values for one reply
+ * @param {Object} options
+ * @param {Object} [options.context] - normalizeContext() result
+ * @param {Object} [options.conversation] - { title, messageCount } of an existing conversation
+ * @param {Object} [options.profile] - Profile in use
+ * @param {string} [options.model] - Model answering
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+const buildVariables = ({ context = {}, conversation = null, profile = null, model = null, now = new Date() }) => {
+  const timezone = context.timezone || 'UTC';
+  const part = (options) => new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...options }).format(now);
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  return {
+    userName: context.userName,
+    locale: context.locale,
+    timezone,
+    localTime: part({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    localDate: date.format(now),
+    dayOfWeek: part({ weekday: 'long' }),
+    deviceModel: context.device?.model,
+    deviceOs: context.device?.os,
+    appVersion: context.device?.appVersion,
+    conversationTitle: conversation?.title,
+    messageCount: conversation ? conversation.messageCount : 0,
+    profileName: profile?.name,
+    model
+  };
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  PromptTemplateError,
+  findVariables,
+  findUnknownVariables,
+  renderTemplate,
+  normalizeContext,
+  localeFromHeader,
+  buildVariables
+};
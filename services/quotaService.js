@@ -0,0 +1,201 @@
+const { DEFAULT_PLAN, QUOTA_PLANS } = require('../config/constants');
+const { createUsageStore } = require('./stores');
+const KeyedLock = require('./keyedLock');
+
+const PERIODS = ['daily', 'monthly'];
+
+class QuotaError extends Error {
+  constructor(message, retryAfter, code = 'QUOTA_EXCEEDED', statusCode = 429) {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter; // seconds until the exhausted period resets
+  }
+}
+
+/**
+ * Per-user quotas on AI replies (and transcriptions, which count as
+ * requests) and the OpenRouter tokens they use, counted
+ * per UTC day and month. Limits come from the user's plan (QUOTA_PLANS, or the
+ * QUOTA_PLANS environment variable as JSON), which an admin sets on the
+ * account. Quotas are kept per user only: the static API keys they were also
+ * meant to cover are gone, and all of a user's devices share one quota.
+ * A request is counted when the
+ * reply starts and tokens as each model response reports its usage, so a
+ * long prompt costs more than a short one. Replies are refused once either
+ * count has reached its limit.
+ */
+class QuotaService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Usage store (see services/stores); defaults to STORE
+   */
+  constructor({ store = createUsageStore() } = {}) {
+    this.store = store;
+    this.plans = process.env.QUOTA_PLANS ? JSON.parse(process.env.QUOTA_PLANS) : QUOTA_PLANS;
+    this.defaultPlan = process.env.DEFAULT_PLAN || DEFAULT_PLAN;
+    this.locks = new KeyedLock();
+
+    if (!this.plans[this.defaultPlan]) {
+      throw new Error(`Default plan ${this.defaultPlan} is not defined in QUOTA_PLANS`);
+    }
+    console.log(`Quota Service initialized with plans: ${Object.keys(this.plans).join(', ')}`);
+  }
+
+  // Serialize read-modify-write per user so concurrent replies don't lose counts
+  withLock(userId, task) {
+    return this.locks.run(userId, task);
+  }
+
+  getPlanNames() {
+    return Object.keys(this.plans);
+  }
+
+  getPlanName(user) {
+    return this.plans[user?.plan] ? user.plan : this.defaultPlan;
+  }
+
+  // "2026-10-19" or "2026-10" (UTC)
+  periodKey(period, now = new Date()) {
+    return now.toISOString().slice(0, period === 'daily' ? 10 : 7);
+  }
+
+  periodEnd(period, now = new Date()) {
+    return period === 'daily'
+      ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+      : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  }
+
+  // The user's counters, with periods that have ended started afresh
+  async loadUsage(userId, now = new Date()) {
+    const usage = (await this.store.get(userId)) || {};
+    for (const period of PERIODS) {
+      const key = this.periodKey(period, now);
+      if (usage[period]?.period !== key) {
+        usage[period] = { period: key, requests: 0, tokens: 0, byModel: {} };
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * Refuse a reply when the user has used up a daily or monthly limit
+   * @param {Object} user - { id, plan }
+   * @throws {QuotaError} QUOTA_EXCEEDED, with retryAfter in seconds
+   */
+  async check(user) {
+    const now = new Date();
+    const plan = this.plans[this.getPlanName(user)];
+    const usage = await this.loadUsage(user.id, now);
+
+    for (const period of PERIODS) {
+      const limits = plan[period] || {};
+      for (const field of ['requests', 'tokens']) {
+        const limit = limits[field];
+        if (limit !== null && limit !== undefined && usage[period][field] >= limit) {
+          const retryAfter = Math.ceil((this.periodEnd(period, now) - now.getTime()) / 1000);
+          throw new QuotaError(`${period === 'daily' ? 'Daily' : 'Monthly'} ${field === 'tokens' ? 'token' : 'request'} quota exceeded`, retryAfter);
+        }
+      }
+    }
+  }
+
+  // Count one AI reply or transcription against the user's quotas
+  async recordRequest(userId) {
+    return this.record(userId, (entry) => {
+      entry.requests += 1;
+    });
+  }
+
+  /**
+   * Add the tokens of one model response
+   * @param {string} userId
+   * @param {string} model - Model that answered
+   * @param {Object} usage - OpenRouter usage ({ prompt_tokens, completion_tokens, total_tokens })
+   */
+  async recordTokens(userId, model, usage) {
+    const tokens = usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+    if (!tokens) {
+      return;
+    }
+    return this.record(userId, (entry) => {
+      entry.tokens += tokens;
+      const byModel = entry.byModel[model || 'unknown'] ||= { requests: 0, tokens: 0 };
+      byModel.requests += 1;
+      byModel.tokens += tokens;
+    });
+  }
+
+  async record(userId, update) {
+    return this.withLock(userId, async () => {
+      const usage = await this.loadUsage(userId);
+      PERIODS.forEach(period => update(usage[period]));
+      await this.store.save(userId, usage);
+    });
+  }
+
+  /**
+   * Consumption and limits for the usage endpoint
+   * @param {Object} user - { id, plan }
+   * @returns {Promise<Object>} { plan, daily, monthly }, each period with
+   *   { period, requests, tokens, limits, remaining, resetsAt, byModel }
+   */
+  async getUsage(user) {
+    const now = new Date();
+    const planName = this.getPlanName(user);
+    const usage = await this.loadUsage(user.id, now);
+    const report = { plan: planName };
+
+    for (const period of PERIODS) {
+      const limits = this.plans[planName][period] || {};
+      const remaining = (field) => (limits[field] === null || limits[field] === undefined
+        ? null
+        : Math.max(limits[field] - usage[period][field], 0));
+
+      report[period] = {
+        period: usage[period].period,
+        requests: usage[period].requests,
+        tokens: usage[period].tokens,
+        limits: { requests: limits.requests ?? null, tokens: limits.tokens ?? null },
+        remaining: { requests: remaining('requests'), tokens: remaining('tokens') },
+        resetsAt: new Date(this.periodEnd(period, now)).toISOString(),
+        byModel: usage[period].byModel
+      };
+    }
+    return report;
+  }
+
+  /**
+   * Requests and tokens of all users today and this month, by model
+   * @returns {Promise<Object>} { daily, monthly }, each { period, tokens, byModel }
+   */
+  async getModelUsage() {
+    const now = new Date();
+    const report = {};
+    for (const period of PERIODS) {
+      report[period] = { period: this.periodKey(period, now), tokens: 0, byModel: {} };
+    }
+
+    for (const [, usage] of await this.store.entries()) {
+      for (const period of PERIODS) {
+        const entry = usage[period];
+        if (entry?.period !== report[period].period) {
+          continue;
+        }
+        report[period].tokens += entry.tokens;
+        for (const [model, counts] of Object.entries(entry.byModel)) {
+          const total = report[period].byModel[model] ||= { requests: 0, tokens: 0 };
+          total.requests += counts.requests;
+          total.tokens += counts.tokens;
+        }
+      }
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  QuotaService,
+  QuotaError
+};
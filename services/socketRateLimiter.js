@@ -0,0 +1,147 @@
+const {
+  SOCKET_RATE_LIMITS,
+  SOCKET_ABUSE_WINDOW,
+  SOCKET_ABUSE_MAX_VIOLATIONS
+} = require('../config/constants');
+
+// Socket events that spend a budget, by budget name
+const LIMITED_EVENTS = {
+  chat_message: 'chat',
+  audio_stream: 'audio'
+};
+
+/**
+ * A bucket of up to `capacity` tokens, refilled continuously at
+ * `refillPerSecond`; each event takes one
+ */
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  isFull() {
+    return this.tokens >= this.capacity;
+  }
+
+  // Milliseconds until a token is available (0 when one is)
+  waitTime() {
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Rate limits for socket events, which the HTTP limiter never sees. Each
+ * limited event spends a token from its budget on the socket and on the user
+ * (shared by all of their devices), so opening more sockets doesn't buy more
+ * throughput. Chat and audio have separate budgets (SOCKET_RATE_LIMITS).
+ * A socket that keeps going over its limits, SOCKET_ABUSE_MAX_VIOLATIONS times
+ * within SOCKET_ABUSE_WINDOW, should be disconnected.
+ */
+class SocketRateLimiter {
+  constructor() {
+    this.limits = process.env.SOCKET_RATE_LIMITS ? JSON.parse(process.env.SOCKET_RATE_LIMITS) : SOCKET_RATE_LIMITS;
+    this.abuseWindow = parseInt(process.env.SOCKET_ABUSE_WINDOW_MS) || SOCKET_ABUSE_WINDOW;
+    this.maxViolations = parseInt(process.env.SOCKET_ABUSE_MAX_VIOLATIONS) || SOCKET_ABUSE_MAX_VIOLATIONS;
+    // Per socket: { buckets: Map of budget to TokenBucket, violations: [timestamps] }
+    this.sockets = new Map();
+    // Per user and budget ("userId:budget"), shared by the user's sockets
+    this.userBuckets = new Map();
+  }
+
+  // The budget an event spends, or null when it is not limited
+  budgetFor(event) {
+    const budget = LIMITED_EVENTS[event];
+    return budget && this.limits[budget] ? budget : null;
+  }
+
+  socketState(socketId) {
+    if (!this.sockets.has(socketId)) {
+      this.sockets.set(socketId, { buckets: new Map(), violations: [] });
+    }
+    return this.sockets.get(socketId);
+  }
+
+  bucket(buckets, key, settings) {
+    if (!buckets.has(key)) {
+      buckets.set(key, new TokenBucket(settings));
+    }
+    return buckets.get(key);
+  }
+
+  /**
+   * Spend a token for one event from the socket's and the user's budgets.
+   * Nothing is spent unless both have one.
+   * @param {string} socketId
+   * @param {string} userId
+   * @param {string} event - Event name
+   * @returns {Object|null} null when allowed, otherwise
+   *   { budget, scope ('socket' or 'user'), retryAfterMs, violations, disconnect }
+   */
+  consume(socketId, userId, event) {
+    const budget = this.budgetFor(event);
+    if (!budget) {
+      return null;
+    }
+
+    const now = Date.now();
+    const state = this.socketState(socketId);
+    const { socket: socketLimit, user: userLimit } = this.limits[budget];
+    const checks = [
+      socketLimit && { scope: 'socket', bucket: this.bucket(state.buckets, budget, socketLimit) },
+      userLimit && { scope: 'user', bucket: this.bucket(this.userBuckets, `${userId}:${budget}`, userLimit) }
+    ].filter(Boolean);
+
+    checks.forEach(({ bucket }) => bucket.refill(now));
+    const exhausted = checks
+      .filter(({ bucket }) => bucket.waitTime() > 0)
+      .sort((a, b) => b.bucket.waitTime() - a.bucket.waitTime())[0];
+
+    if (!exhausted) {
+      checks.forEach(({ bucket }) => bucket.take());
+      return null;
+    }
+
+    state.violations = state.violations.filter(time => now - time < this.abuseWindow);
+    state.violations.push(now);
+    return {
+      budget,
+      scope: exhausted.scope,
+      retryAfterMs: exhausted.bucket.waitTime(),
+      violations: state.violations.length,
+      disconnect: state.violations.length >= this.maxViolations
+    };
+  }
+
+  /**
+   * Forget a disconnected socket, and user budgets that have refilled
+   * (a full bucket is the same as a new one)
+   */
+  release(socketId) {
+    this.sockets.delete(socketId);
+
+    const now = Date.now();
+    for (const [key, bucket] of this.userBuckets) {
+      bucket.refill(now);
+      if (bucket.isFull()) {
+        this.userBuckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  SocketRateLimiter,
+  TokenBucket
+};
@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File-backed store: one JSON document per record.
+ * Writes go to a temporary file and are renamed into place, so a crash or a
+ * second instance sharing the directory never sees a half-written file.
+ */
+class FileStore {
+  /**
+   * @param {string} directory - Directory holding the record files
+   */
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+    this.ready = null;
+  }
+
+  // Created on first use, so a failure rejects that call rather than going
+  // unhandled; the next call tries again
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true }).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  // IDs are client-supplied, so encode them rather than using them as file names
+  filePath(id) {
+    return path.join(this.directory, `${Buffer.from(id).toString('base64url')}.json`);
+  }
+
+  async get(id) {
+    await this.ensureDirectory();
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(id, record) {
+    await this.ensureDirectory();
+    const target = this.filePath(id);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record));
+    await fs.rename(temp, target);
+  }
+
+  async delete(id) {
+    await this.ensureDirectory();
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async entries() {
+    await this.ensureDirectory();
+    const result = [];
+
+    for (const file of await fs.readdir(this.directory)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      const id = Buffer.from(file.slice(0, -'.json'.length), 'base64url').toString();
+      const record = await this.get(id);
+      // Deleted by another instance between readdir and read
+      if (record) {
+        result.push([id, record]);
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,55 @@
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+// Where each kind of record lives with the file backend: environment variable and default directory
+const STORE_PATHS = {
+  conversation: ['CONVERSATION_STORE_PATH', './data/conversations'],
+  profile: ['PROFILE_STORE_PATH', './data/profiles'],
+  user: ['USER_STORE_PATH', './data/users'],
+  usage: ['USAGE_STORE_PATH', './data/usage']
+};
+
+// Backend for every kind of record. CONVERSATION_STORE is its name from
+// when only conversations were stored, still read if STORE isn't set.
+const defaultStoreType = () => process.env.STORE || process.env.CONVERSATION_STORE || 'memory';
+
+/**
+ * Create a store for one kind of record, on the backend selected by STORE
+ * ("memory" by default, or "file" under the kind's path).
+ * @param {string} kind - "conversation", "profile", "user" or "usage"
+ * @param {string} [type] - Backend; defaults to STORE
+ */
+const createStore = (kind, type = defaultStoreType()) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file': {
+      const [pathVariable, defaultPath] = STORE_PATHS[kind];
+      return new FileStore(process.env[pathVariable] || defaultPath);
+    }
+    default:
+      throw new Error(`Unknown ${kind} store: ${type}`);
+  }
+};
+
+// Conversations (CONVERSATION_STORE_PATH)
+const createConversationStore = (type) => createStore('conversation', type);
+
+// Assistant profiles (PROFILE_STORE_PATH)
+const createProfileStore = (type) => createStore('profile', type);
+
+// User accounts and their device sessions (USER_STORE_PATH)
+const createUserStore = (type) => createStore('user', type);
+
+// Per-user quota usage (USAGE_STORE_PATH)
+const createUsageStore = (type) => createStore('usage', type);
+
+module.exports = {
+  createStore,
+  createConversationStore,
+  createProfileStore,
+  createUserStore,
+  createUsageStore,
+  MemoryStore,
+  FileStore
+};
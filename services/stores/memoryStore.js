@@ -0,0 +1,38 @@
+/**
+ * In-memory store. Records are lost on restart.
+ *
+ * Every store implements the same async interface, used by the services for
+ * conversations, profiles, users and usage alike:
+ *   get(id) -> record | null
+ *   save(id, record)
+ *   delete(id) -> boolean
+ *   entries() -> Array<[id, record]>
+ *
+ * Stored objects are copied on the way in and out so callers see the same
+ * semantics as with a persistent backend (changes only stick once saved).
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async save(id, record) {
+    this.records.set(id, structuredClone(record));
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async entries() {
+    return Array.from(this.records.entries(), ([id, record]) => [id, structuredClone(record)]);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,131 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const SpeechToTextError = require('./speechToTextError');
+const { buildTranscript } = require('./transcript');
+
+/**
+ * Speech-to-text through a local command-line engine such as whisper.cpp or Vosk.
+ *
+ * STT_COMMAND is split on whitespace and run without a shell. "{input}" is
+ * replaced with the audio file path and "{output}" with an output base path.
+ * The result is read from "{output}.json" if the engine wrote it, else from stdout.
+ * Example: "whisper-cli -m models/ggml-base.bin -l auto -oj -of {output} -f {input}"
+ */
+class CommandProvider {
+  constructor() {
+    this.name = 'command';
+    this.command = (process.env.STT_COMMAND || '').trim().split(/\s+/).filter(Boolean);
+    this.timeout = parseInt(process.env.STT_COMMAND_TIMEOUT_MS) || 60000;
+  }
+
+  async transcribe(audio, { format = 'wav', language } = {}) {
+    if (this.command.length === 0) {
+      throw new SpeechToTextError('STT_COMMAND is not configured', 'STT_NOT_CONFIGURED', 503);
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    const input = path.join(workDir, `audio.${format}`);
+    const output = path.join(workDir, 'transcript');
+
+    try {
+      await fs.writeFile(input, audio);
+
+      const [file, ...args] = this.command.map(part => part
+        .replace('{input}', input)
+        .replace('{output}', output));
+      const stdout = await this.run(file, args);
+
+      let raw = stdout;
+      try {
+        raw = await fs.readFile(`${output}.json`, 'utf8');
+      } catch (error) {
+        // Engine printed its result instead of writing a file
+      }
+
+      return this.parse(raw, language);
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  run(file, args) {
+    return new Promise((resolve, reject) => {
+      execFile(file, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('STT command error:', stderr || error.message);
+          if (error.killed) {
+            return reject(new SpeechToTextError('Speech-to-text command timeout', 'STT_TIMEOUT', 504));
+          }
+          return reject(new SpeechToTextError(`Speech-to-text command failed: ${error.message}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // Accepts whisper.cpp JSON, Vosk JSON, OpenAI-style verbose JSON, or plain text
+  parse(raw, language) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      return buildTranscript({ text: raw, language: language || null, provider: this.name });
+    }
+
+    // whisper.cpp: { result: { language }, transcription: [{ offsets: { from, to } (ms), text }] }
+    if (Array.isArray(data.transcription)) {
+      return buildTranscript({
+        language: data.result?.language || language || null,
+        segments: data.transcription.map(segment => ({
+          start: segment.offsets.from / 1000,
+          end: segment.offsets.to / 1000,
+          text: segment.text,
+          confidence: this.meanTokenProbability(segment.tokens)
+        })),
+        provider: this.name
+      });
+    }
+
+    // Vosk: { text, result: [{ word, start, end, conf }] }
+    if (Array.isArray(data.result)) {
+      return buildTranscript({
+        text: data.text,
+        language: language || null,
+        segments: data.result.map(word => ({
+          start: word.start,
+          end: word.end,
+          text: word.word,
+          confidence: word.conf
+        })),
+        provider: this.name
+      });
+    }
+
+    // OpenAI-style: { text, language, segments: [{ start, end, text, avg_logprob }] }
+    return buildTranscript({
+      text: data.text,
+      language: data.language || language || null,
+      duration: data.duration,
+      segments: (data.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text,
+        confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null
+      })),
+      provider: this.name
+    });
+  }
+
+  meanTokenProbability(tokens) {
+    const probabilities = (tokens || []).map(token => token.p).filter(p => typeof p === 'number');
+    if (probabilities.length === 0) {
+      return null;
+    }
+    return probabilities.reduce((total, p) => total + p, 0) / probabilities.length;
+  }
+}
+
+module.exports = CommandProvider;
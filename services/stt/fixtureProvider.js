@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { buildTranscript } = require('./transcript');
+
+// Assumed speaking rate used to lay out fixture segment timestamps
+const SECONDS_PER_WORD = 0.4;
+
+/**
+ * Deterministic speech-to-text for tests and local development.
+ * Audio is looked up by SHA-256 in the STT_FIXTURES_PATH JSON file
+ * ({ "<sha256>": { "text": "...", "language": "en" } }); anything else
+ * transcribes to STT_FIXTURE_TEXT.
+ */
+class FixtureProvider {
+  constructor() {
+    this.name = 'fixture';
+    this.defaultText = process.env.STT_FIXTURE_TEXT || 'This is a fixture transcription.';
+    this.fixtures = process.env.STT_FIXTURES_PATH
+      ? JSON.parse(fs.readFileSync(process.env.STT_FIXTURES_PATH, 'utf8'))
+      : {};
+  }
+
+  async transcribe(audio, { language } = {}) {
+    const hash = crypto.createHash('sha256').update(audio).digest('hex');
+    const fixture = this.fixtures[hash] || { text: this.defaultText };
+
+    let offset = 0;
+    const segments = (fixture.text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => {
+      const start = offset;
+      offset += sentence.trim().split(/\s+/).length * SECONDS_PER_WORD;
+      return { start, end: offset, text: sentence, confidence: fixture.confidence ?? 1 };
+    });
+
+    return buildTranscript({
+      text: fixture.text,
+      language: fixture.language || language || 'en',
+      segments,
+      provider: this.name
+    });
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,33 @@
+const WhisperProvider = require('./whisperProvider');
+const CommandProvider = require('./commandProvider');
+const FixtureProvider = require('./fixtureProvider');
+const SpeechToTextError = require('./speechToTextError');
+
+/**
+ * Create the speech-to-text provider selected by STT_PROVIDER:
+ * "whisper" (default), "command" or "fixture".
+ *
+ * Every provider implements transcribe(audioBuffer, { format, language })
+ * and resolves to { text, language, confidence, duration, segments, provider },
+ * rejecting with a SpeechToTextError.
+ */
+const createSpeechToTextProvider = (type = process.env.STT_PROVIDER || 'whisper') => {
+  switch (type) {
+    case 'whisper':
+      return new WhisperProvider();
+    case 'command':
+      return new CommandProvider();
+    case 'fixture':
+      return new FixtureProvider();
+    default:
+      throw new Error(`Unknown speech-to-text provider: ${type}`);
+  }
+};
+
+module.exports = {
+  createSpeechToTextProvider,
+  SpeechToTextError,
+  WhisperProvider,
+  CommandProvider,
+  FixtureProvider
+};
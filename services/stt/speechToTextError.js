@@ -0,0 +1,14 @@
+/**
+ * Error raised by speech-to-text providers. statusCode and code map directly
+ * onto the API error response.
+ */
+class SpeechToTextError extends Error {
+  constructor(message, code = 'STT_ERROR', statusCode = 502) {
+    super(message);
+    this.name = 'SpeechToTextError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = SpeechToTextError;
@@ -0,0 +1,39 @@
+/**
+ * Build the transcription result shared by every provider:
+ * { text, language, confidence, duration, segments: [{ start, end, text, confidence }], provider }
+ * Times are in seconds. Overall confidence is the duration-weighted mean of the segments.
+ */
+const buildTranscript = ({ text, language = null, segments = [], duration = null, provider }) => {
+  const normalized = segments
+    .filter(segment => segment.text && segment.text.trim())
+    .map(segment => ({
+      start: round(segment.start),
+      end: round(segment.end),
+      text: segment.text.trim(),
+      confidence: segment.confidence == null ? null : round(clamp(segment.confidence))
+    }));
+
+  const scored = normalized.filter(segment => segment.confidence !== null);
+  const weight = segment => Math.max(segment.end - segment.start, 0.01);
+  const totalWeight = scored.reduce((total, segment) => total + weight(segment), 0);
+  const confidence = totalWeight > 0
+    ? round(scored.reduce((total, segment) => total + segment.confidence * weight(segment), 0) / totalWeight)
+    : null;
+
+  return {
+    text: (text != null ? text : normalized.map(segment => segment.text).join(' ')).trim(),
+    language,
+    confidence,
+    duration: duration != null ? round(duration) : (normalized.length ? normalized[normalized.length - 1].end : null),
+    segments: normalized,
+    provider
+  };
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+module.exports = {
+  buildTranscript
+};
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const SpeechToTextError = require('./speechToTextError');
+const { buildTranscript } = require('./transcript');
+
+/**
+ * Speech-to-text through a Whisper-compatible HTTP API
+ * (OpenAI /audio/transcriptions, or a self-hosted server with the same contract).
+ */
+class WhisperProvider {
+  constructor() {
+    this.name = 'whisper';
+    this.apiKey = process.env.STT_API_KEY || process.env.OPENAI_API_KEY;
+    this.baseURL = process.env.STT_API_URL || 'https://api.openai.com/v1';
+    this.model = process.env.STT_MODEL || 'whisper-1';
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: parseInt(process.env.STT_TIMEOUT_MS) || 30000
+    });
+  }
+
+  /**
+   * Transcribe audio
+   * @param {Buffer} audio - Raw audio bytes
+   * @param {Object} options
+   * @param {string} options.format - Container format, used for the upload file name
+   * @param {string} options.language - ISO-639-1 hint (optional)
+   * @returns {Promise<Object>} Transcript (see transcript.js)
+   */
+  async transcribe(audio, { format = 'wav', language } = {}) {
+    if (!this.apiKey) {
+      throw new SpeechToTextError('Speech-to-text API key not configured', 'STT_NOT_CONFIGURED', 503);
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([audio]), `audio.${format}`);
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    if (language) {
+      form.append('language', language);
+    }
+
+    try {
+      const response = await this.client.post('/audio/transcriptions', form, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}` }
+      });
+      const data = response.data;
+
+      return buildTranscript({
+        text: data.text,
+        language: data.language || language || null,
+        duration: data.duration,
+        segments: (data.segments || []).map(segment => ({
+          start: segment.start,
+          end: segment.end,
+          text: segment.text,
+          // avg_logprob is the mean token log-probability of the segment
+          confidence: typeof segment.avg_logprob === 'number'
+            ? Math.exp(segment.avg_logprob) * (1 - (segment.no_speech_prob || 0))
+            : null
+        })),
+        provider: this.name
+      });
+
+    } catch (error) {
+      console.error('Whisper API Error:', error.response?.data || error.message);
+
+      if (error.response?.status === 401) {
+        throw new SpeechToTextError('Invalid speech-to-text API key', 'STT_AUTH_FAILED', 502);
+      } else if (error.response?.status === 400) {
+        throw new SpeechToTextError('Audio could not be transcribed', 'STT_INVALID_AUDIO', 422);
+      } else if (error.response?.status === 429) {
+        throw new SpeechToTextError('Speech-to-text rate limit exceeded', 'STT_RATE_LIMITED', 429);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new SpeechToTextError('Speech-to-text request timeout', 'STT_TIMEOUT', 504);
+      }
+      throw new SpeechToTextError(`Speech-to-text service error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = WhisperProvider;
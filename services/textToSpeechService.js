@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { createTextToSpeechProvider, TextToSpeechError } = require('./tts');
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav'
+};
+const VOICE_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const DELIVERY_MODES = ['base64', 'url'];
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+/**
+ * Optional speech stage for assistant replies. Settings come per request or
+ * per conversation; audio is returned inline as base64 or kept for a while
+ * and served from /api/v1/tts/:clipId.
+ */
+class TextToSpeechService {
+  /**
+   * @param {Object} [provider] - Text-to-speech provider (see services/tts); defaults to TTS_PROVIDER
+   */
+  constructor(provider = createTextToSpeechProvider()) {
+    this.provider = provider;
+    this.defaultVoice = process.env.TTS_DEFAULT_VOICE || provider.defaultVoice;
+    this.clipExpiry = parseInt(process.env.TTS_URL_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+    this.maxClips = 200;
+    this.clips = new Map();
+
+    // Drop expired clips every minute
+    setInterval(() => this.cleanupExpiredClips(), 60 * 1000).unref();
+
+    console.log(`Text-to-speech service initialized with ${provider.name} provider`);
+  }
+
+  /**
+   * Validate and fill in TTS settings
+   * @param {boolean|Object} settings - true for defaults, or { voice, speed, format, delivery }
+   * @returns {Object} { voice, speed, format, delivery }
+   * @throws {TextToSpeechError} INVALID_TTS_OPTIONS
+   */
+  normalizeSettings(settings) {
+    const invalid = (message) => new TextToSpeechError(message, 'INVALID_TTS_OPTIONS', 400);
+
+    if (settings !== true && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+      throw invalid('tts must be true, false or an object');
+    }
+
+    const { voice, speed, format, delivery } = settings === true ? {} : settings;
+    if (voice !== undefined && (typeof voice !== 'string' || !VOICE_PATTERN.test(voice))) {
+      throw invalid('Invalid voice name');
+    }
+    if (speed !== undefined && (typeof speed !== 'number' || speed < MIN_SPEED || speed > MAX_SPEED)) {
+      throw invalid(`Speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}`);
+    }
+    if (format !== undefined && !this.provider.formats.includes(format)) {
+      throw invalid(`Format must be one of: ${this.provider.formats.join(', ')}`);
+    }
+    if (delivery !== undefined && !DELIVERY_MODES.includes(delivery)) {
+      throw invalid(`Delivery must be one of: ${DELIVERY_MODES.join(', ')}`);
+    }
+
+    return {
+      voice: voice || this.defaultVoice,
+      speed: speed || 1,
+      format: format || this.provider.defaultFormat,
+      delivery: delivery || 'base64'
+    };
+  }
+
+  /**
+   * Pick the settings for a reply: request settings win and `false` turns
+   * speech off; otherwise the conversation's stored settings apply.
+   * @returns {Object|null} Normalized settings, or null when no speech is wanted
+   */
+  resolveSettings(requestSettings, conversationSettings = null) {
+    if (requestSettings === false) {
+      return null;
+    }
+    if (requestSettings !== undefined && requestSettings !== null) {
+      return this.normalizeSettings(requestSettings);
+    }
+    return conversationSettings ? this.normalizeSettings(conversationSettings) : null;
+  }
+
+  /**
+   * Synthesize text with normalized settings
+   * @returns {Promise<Object>} { format, mimeType, voice, speed, provider, audio | url + expiresAt }
+   */
+  async synthesize(text, settings) {
+    if (text.length > this.provider.maxTextLength) {
+      throw new TextToSpeechError(
+        `Text too long for speech. Maximum ${this.provider.maxTextLength} characters allowed.`,
+        'TTS_TEXT_TOO_LONG',
+        422
+      );
+    }
+
+    const { voice, speed, format, delivery } = settings;
+    const audio = await this.provider.synthesize(text, { voice, speed, format });
+    const speech = {
+      format,
+      mimeType: MIME_TYPES[format],
+      voice,
+      speed,
+      provider: this.provider.name
+    };
+
+    if (delivery === 'url') {
+      const clip = this.storeClip(audio, speech.mimeType);
+      return {
+        ...speech,
+        url: `${process.env.SERVER_URL || ''}/api/v1/tts/${clip.id}`,
+        expiresAt: new Date(clip.expiresAt).toISOString()
+      };
+    }
+
+    return {
+      ...speech,
+      audio: audio.toString('base64')
+    };
+  }
+
+  /**
+   * Best-effort synthesis for chat replies: the text answer is still delivered
+   * when speech fails, with the failure reported alongside it.
+   * @returns {Promise<Object>} { speech, speechError }
+   */
+  async speak(text, settings) {
+    if (!settings) {
+      return { speech: null, speechError: null };
+    }
+    try {
+      return { speech: await this.synthesize(text, settings), speechError: null };
+    } catch (error) {
+      console.error('Text-to-speech error:', error.message);
+      return {
+        speech: null,
+        speechError: {
+          error: error instanceof TextToSpeechError ? error.message : 'Speech synthesis failed',
+          code: error instanceof TextToSpeechError ? error.code : 'TTS_ERROR'
+        }
+      };
+    }
+  }
+
+  storeClip(audio, mimeType) {
+    // Evict the oldest clip once the cache is full (Map keeps insertion order)
+    if (this.clips.size >= this.maxClips) {
+      this.clips.delete(this.clips.keys().next().value);
+    }
+    const clip = {
+      id: crypto.randomUUID(),
+      audio,
+      mimeType,
+      expiresAt: Date.now() + this.clipExpiry
+    };
+    this.clips.set(clip.id, clip);
+    return clip;
+  }
+
+  getClip(clipId) {
+    const clip = this.clips.get(clipId);
+    if (!clip || clip.expiresAt < Date.now()) {
+      return null;
+    }
+    return clip;
+  }
+
+  cleanupExpiredClips() {
+    const now = Date.now();
+    for (const [clipId, clip] of this.clips.entries()) {
+      if (clip.expiresAt < now) {
+        this.clips.delete(clipId);
+      }
+    }
+  }
+}
+
+module.exports = TextToSpeechService;
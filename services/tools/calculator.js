@@ -0,0 +1,198 @@
+const ToolError = require('./toolError');
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// name: [function, minimum arguments, maximum arguments]
+const FUNCTIONS = {
+  sqrt: [Math.sqrt, 1, 1],
+  cbrt: [Math.cbrt, 1, 1],
+  abs: [Math.abs, 1, 1],
+  round: [Math.round, 1, 1],
+  floor: [Math.floor, 1, 1],
+  ceil: [Math.ceil, 1, 1],
+  sin: [Math.sin, 1, 1],
+  cos: [Math.cos, 1, 1],
+  tan: [Math.tan, 1, 1],
+  asin: [Math.asin, 1, 1],
+  acos: [Math.acos, 1, 1],
+  atan: [Math.atan, 1, 1],
+  ln: [Math.log, 1, 1],
+  log: [Math.log10, 1, 1],
+  exp: [Math.exp, 1, 1],
+  pow: [Math.pow, 2, 2],
+  min: [Math.min, 1, 20],
+  max: [Math.max, 1, 20]
+};
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]+)|(\*\*|[-+*/%^(),]))/iy;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      throw new ToolError(`Unexpected character "${expression.slice(start).trim()[0]}"`, 'INVALID_ARGUMENTS');
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Recursive descent evaluation; nothing is passed to eval or Function.
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/" | "%") unary)*
+ *   unary      := ("-" | "+") unary | power
+ *   power      := primary ("^" unary)?
+ *   primary    := number | constant | function "(" arguments ")" | "(" expression ")"
+ */
+const evaluate = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new ToolError(`Expected "${value}"`, 'INVALID_ARGUMENTS');
+    }
+    position++;
+  };
+
+  const expression = () => {
+    let value = term();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[position++].value;
+      value = operator === '+' ? value + term() : value - term();
+    }
+    return value;
+  };
+
+  const term = () => {
+    let value = unary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[position++].value;
+      const right = unary();
+      if ((operator === '/' || operator === '%') && right === 0) {
+        throw new ToolError('Division by zero', 'INVALID_ARGUMENTS');
+      }
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const unary = () => {
+    if (isOperator('-')) {
+      position++;
+      return -unary();
+    }
+    if (isOperator('+')) {
+      position++;
+      return unary();
+    }
+    return power();
+  };
+
+  const power = () => {
+    const base = primary();
+    if (isOperator('^')) {
+      position++;
+      return Math.pow(base, unary());
+    }
+    return base;
+  };
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new ToolError('Unexpected end of expression', 'INVALID_ARGUMENTS');
+    }
+    if (token.type === 'number') {
+      return token.value;
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const value = expression();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        throw new ToolError(`Unknown name "${token.value}"`, 'INVALID_ARGUMENTS');
+      }
+      const [fn, minArgs, maxArgs] = FUNCTIONS[token.value];
+      expect('(');
+      const args = [expression()];
+      while (isOperator(',')) {
+        position++;
+        args.push(expression());
+      }
+      expect(')');
+      if (args.length < minArgs || args.length > maxArgs) {
+        throw new ToolError(`${token.value} takes ${minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`} argument(s)`, 'INVALID_ARGUMENTS');
+      }
+      return fn(...args);
+    }
+    throw new ToolError(`Unexpected "${token.value}"`, 'INVALID_ARGUMENTS');
+  };
+
+  const value = expression();
+  if (position < tokens.length) {
+    throw new ToolError(`Unexpected "${tokens[position].value}"`, 'INVALID_ARGUMENTS');
+  }
+  return value;
+};
+
+/**
+ * Arithmetic on an expression string
+ */
+module.exports = {
+  name: 'calculate',
+  description: 'Evaluate an arithmetic expression exactly instead of doing mental math. ' +
+    'Supports + - * / % ^, parentheses, pi, e and the functions ' + Object.keys(FUNCTIONS).join(', ') +
+    ' (log is base 10, ln is natural, trigonometry uses radians).',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'Expression to evaluate, e.g. "(17.5 * 3) / 4" or "sqrt(2) ^ 3"'
+      }
+    },
+    required: ['expression'],
+    additionalProperties: false
+  },
+
+  async execute({ expression }) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new ToolError('expression must be a non-empty string', 'INVALID_ARGUMENTS');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new ToolError(`expression must be at most ${MAX_EXPRESSION_LENGTH} characters`, 'INVALID_ARGUMENTS');
+    }
+
+    const value = evaluate(tokenize(expression));
+    if (!Number.isFinite(value)) {
+      throw new ToolError('The result is not a finite number', 'INVALID_ARGUMENTS');
+    }
+
+    // Trim floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+    return { expression, result: Number(value.toPrecision(12)) };
+  }
+};
@@ -0,0 +1,69 @@
+const ToolError = require('./toolError');
+const { MAX_CLIENT_TOOLS } = require('../../config/constants');
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_PARAMETERS_SIZE = 8 * 1024;
+
+/**
+ * Validate tool definitions registered by a client (device actions such as
+ * opening an app or setting an alarm). Names taken by server tools are refused
+ * so a client cannot replace them.
+ * @param {Array} definitions - [{ name, description, parameters }]
+ * @param {ToolRegistry} serverTools - Tools that run on the server
+ * @returns {Array} The definitions, with an empty parameters schema filled in
+ * @throws {ToolError} INVALID_CLIENT_TOOLS
+ */
+const validateClientTools = (definitions, serverTools) => {
+  const invalid = (message) => new ToolError(message, 'INVALID_CLIENT_TOOLS');
+
+  if (!Array.isArray(definitions)) {
+    throw invalid('tools must be an array');
+  }
+  if (definitions.length > MAX_CLIENT_TOOLS) {
+    throw invalid(`At most ${MAX_CLIENT_TOOLS} tools can be registered`);
+  }
+
+  const names = new Set();
+  return definitions.map((definition) => {
+    const { name, description, parameters } = definition || {};
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw invalid('Tool names must be 1-64 letters, digits, underscores or hyphens');
+    }
+    if (names.has(name) || serverTools.has(name)) {
+      throw invalid(`Tool name ${name} is already taken`);
+    }
+    if (typeof description !== 'string' || !description.trim() || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw invalid(`Tool ${name} needs a description of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (parameters !== undefined && (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)
+      || parameters.type !== 'object' || JSON.stringify(parameters).length > MAX_PARAMETERS_SIZE)) {
+      throw invalid(`Tool ${name} parameters must be a JSON Schema object of at most ${MAX_PARAMETERS_SIZE} bytes`);
+    }
+    names.add(name);
+
+    return {
+      name,
+      description: description.trim(),
+      parameters: parameters || { type: 'object', properties: {} }
+    };
+  });
+};
+
+/**
+ * A tool that runs on the client. execute() hands the call to delegate, which
+ * forwards it to the device and resolves with the device's result.
+ * @param {Object} definition - Validated { name, description, parameters }
+ * @param {Function} delegate - (name, args, context) => Promise<result>
+ * @returns {Object} Tool for ToolRegistry.register
+ */
+const createClientTool = (definition, delegate) => ({
+  ...definition,
+  executedBy: 'client',
+  execute: (args, context) => delegate(definition.name, args, context)
+});
+
+module.exports = {
+  validateClientTools,
+  createClientTool
+};
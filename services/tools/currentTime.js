@@ -0,0 +1,44 @@
+const ToolError = require('./toolError');
+
+/**
+ * Current date and time, optionally in an IANA time zone
+ */
+module.exports = {
+  name: 'get_current_time',
+  description: 'Get the current date and time. Use this whenever the user asks about the time, date or day of the week.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone such as "Europe/London" or "America/New_York". Defaults to UTC.'
+      }
+    },
+    additionalProperties: false
+  },
+
+  async execute({ timezone = 'UTC' }) {
+    if (typeof timezone !== 'string') {
+      throw new ToolError('timezone must be a string', 'INVALID_ARGUMENTS');
+    }
+
+    let format;
+    try {
+      format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      });
+    } catch (error) {
+      throw new ToolError(`Unknown time zone: ${timezone}`, 'INVALID_ARGUMENTS');
+    }
+
+    const now = new Date();
+    return {
+      timezone: format.resolvedOptions().timeZone,
+      local: format.format(now),
+      iso: now.toISOString(),
+      unix: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
@@ -0,0 +1,29 @@
+const ToolRegistry = require('./toolRegistry');
+const ToolError = require('./toolError');
+const { validateClientTools, createClientTool } = require('./clientTools');
+const currentTime = require('./currentTime');
+const calculator = require('./calculator');
+const unitConversion = require('./unitConversion');
+
+const BUILTIN_TOOLS = [currentTime, calculator, unitConversion];
+
+/**
+ * Create the tool registry offered to the model: the built-in tools (current
+ * time, calculator, unit conversion), or none when TOOLS_ENABLED is "false".
+ */
+const createToolRegistry = () => {
+  const registry = new ToolRegistry();
+  if (process.env.TOOLS_ENABLED !== 'false') {
+    BUILTIN_TOOLS.forEach(tool => registry.register(tool));
+  }
+  return registry;
+};
+
+module.exports = {
+  createToolRegistry,
+  ToolRegistry,
+  ToolError,
+  BUILTIN_TOOLS,
+  validateClientTools,
+  createClientTool
+};
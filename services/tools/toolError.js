@@ -0,0 +1,13 @@
+/**
+ * Error raised by a tool. The message is handed back to the model as the
+ * tool's result, so it should say what was wrong with the arguments.
+ */
+class ToolError extends Error {
+  constructor(message, code = 'TOOL_ERROR') {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+  }
+}
+
+module.exports = ToolError;
@@ -0,0 +1,104 @@
+const ToolError = require('./toolError');
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// Keep tool output from crowding the model's context
+const MAX_RESULT_LENGTH = 4000;
+
+/**
+ * Tools the assistant may call. A tool is { name, description, parameters, execute }
+ * where parameters is a JSON Schema object and execute(args, context) resolves
+ * to a JSON-serializable result or rejects with a ToolError. Tools that run on
+ * the client set executedBy: 'client'.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool || !NAME_PATTERN.test(tool.name) || typeof tool.execute !== 'function') {
+      throw new Error(`Invalid tool definition: ${tool && tool.name}`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  // A new registry with these tools plus the given ones (e.g. a client's device tools)
+  extend(tools) {
+    const registry = new ToolRegistry();
+    this.tools.forEach(tool => registry.register(tool));
+    tools.forEach(tool => registry.register(tool));
+    return registry;
+  }
+
+  /**
+   * Tool list in the OpenAI-compatible `tools` request format
+   * @returns {Array} [{ type: 'function', function: { name, description, parameters } }]
+   */
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Run one tool call from the model. Failures are reported in the invocation
+   * rather than thrown, so the model can read the error and recover.
+   * @param {Object} call - { id, function: { name, arguments } } as returned by the model
+   * @param {Object} [context] - Passed to the tool, e.g. { messageId, signal }
+   * @returns {Promise<Object>} { id, name, arguments, executedBy, result | error, durationMs }
+   */
+  async execute(call, context = {}) {
+    const name = call.function?.name;
+    const startedAt = Date.now();
+    const invocation = { id: call.id, name, arguments: null, executedBy: 'server' };
+
+    try {
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new ToolError(`Unknown tool: ${name}`, 'UNKNOWN_TOOL');
+      }
+      invocation.executedBy = tool.executedBy || 'server';
+
+      try {
+        invocation.arguments = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+      } catch (error) {
+        throw new ToolError('Tool arguments are not valid JSON', 'INVALID_ARGUMENTS');
+      }
+      if (!invocation.arguments || typeof invocation.arguments !== 'object' || Array.isArray(invocation.arguments)) {
+        throw new ToolError('Tool arguments must be a JSON object', 'INVALID_ARGUMENTS');
+      }
+
+      invocation.result = await tool.execute(invocation.arguments, context);
+    } catch (error) {
+      if (!(error instanceof ToolError)) {
+        console.error(`Tool ${name} failed:`, error);
+      }
+      invocation.error = error instanceof ToolError ? error.message : 'Tool failed';
+    }
+
+    invocation.durationMs = Date.now() - startedAt;
+    return invocation;
+  }
+
+  // Message handing an invocation's outcome back to the model
+  resultMessage(invocation) {
+    const content = JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result ?? null);
+    return {
+      role: 'tool',
+      tool_call_id: invocation.id,
+      content: content.length > MAX_RESULT_LENGTH ? `${content.substring(0, MAX_RESULT_LENGTH)}…` : content
+    };
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,116 @@
+const ToolError = require('./toolError');
+
+// Factors to each category's base unit (metre, kilogram, litre, metre per second, second, byte)
+const UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852
+  },
+  mass: {
+    mg: 0.000001, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, dl: 0.1, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+    cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+  },
+  speed: {
+    'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444444
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800
+  },
+  data: {
+    b: 1, kb: 1000, mb: 1e6, gb: 1e9, tb: 1e12,
+    kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+  }
+};
+
+// Temperatures don't share a zero, so they convert through Celsius
+const TEMPERATURE = {
+  c: { toCelsius: (value) => value, fromCelsius: (value) => value },
+  f: { toCelsius: (value) => (value - 32) * 5 / 9, fromCelsius: (value) => value * 9 / 5 + 32 },
+  k: { toCelsius: (value) => value - 273.15, fromCelsius: (value) => value + 273.15 }
+};
+
+const ALIASES = {
+  millimeter: 'mm', millimetre: 'mm', centimeter: 'cm', centimetre: 'cm', meter: 'm', metre: 'm',
+  kilometer: 'km', kilometre: 'km', inch: 'in', foot: 'ft', feet: 'ft', yard: 'yd', mile: 'mi',
+  milligram: 'mg', gram: 'g', kilogram: 'kg', tonne: 't', ounce: 'oz', pound: 'lb', lbs: 'lb', stone: 'st',
+  milliliter: 'ml', millilitre: 'ml', liter: 'l', litre: 'l', teaspoon: 'tsp', tablespoon: 'tbsp',
+  'fl oz': 'floz', pint: 'pt', quart: 'qt', gallon: 'gal',
+  kph: 'km/h', kmh: 'km/h', knot: 'kn', knots: 'kn', mps: 'm/s',
+  millisecond: 'ms', second: 's', sec: 's', minute: 'min', hour: 'h', hr: 'h', days: 'day', weeks: 'week',
+  byte: 'b', bytes: 'b', kilobyte: 'kb', megabyte: 'mb', gigabyte: 'gb', terabyte: 'tb',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const findCategory = (unit) => Object.keys(UNITS).find(category => has(UNITS[category], unit));
+
+const isTemperature = (unit) => has(TEMPERATURE, unit);
+
+const normalizeUnit = (unit) => {
+  const key = unit.trim().toLowerCase();
+  if (has(ALIASES, key)) {
+    return ALIASES[key];
+  }
+  if (isTemperature(key) || findCategory(key)) {
+    return key;
+  }
+  // Plurals such as "miles", "kilograms" or "mins"
+  const singular = key.replace(/s$/, '');
+  return has(ALIASES, singular) ? ALIASES[singular] : singular;
+};
+
+/**
+ * Conversion between units of length, mass, volume, speed, time, data and temperature
+ */
+module.exports = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, volume, speed, time, digital storage or temperature. ' +
+    'Use US customary sizes for cups, pints, quarts and gallons.',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'Amount to convert' },
+      from: { type: 'string', description: 'Unit to convert from, e.g. "km", "lb", "°F", "cup"' },
+      to: { type: 'string', description: 'Unit to convert to, e.g. "mi", "kg", "°C", "ml"' }
+    },
+    required: ['value', 'from', 'to'],
+    additionalProperties: false
+  },
+
+  async execute({ value, from, to }) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new ToolError('value must be a number', 'INVALID_ARGUMENTS');
+    }
+    if (typeof from !== 'string' || typeof to !== 'string') {
+      throw new ToolError('from and to must be unit names', 'INVALID_ARGUMENTS');
+    }
+
+    const source = normalizeUnit(from);
+    const target = normalizeUnit(to);
+    let result;
+
+    if (isTemperature(source) || isTemperature(target)) {
+      if (!(isTemperature(source) && isTemperature(target))) {
+        throw new ToolError(`Cannot convert ${from} to ${to}`, 'INVALID_ARGUMENTS');
+      }
+      result = TEMPERATURE[target].fromCelsius(TEMPERATURE[source].toCelsius(value));
+    } else {
+      const category = findCategory(source);
+      if (!category) {
+        throw new ToolError(`Unknown unit: ${from}`, 'INVALID_ARGUMENTS');
+      }
+      if (!has(UNITS[category], target)) {
+        throw new ToolError(findCategory(target) ? `Cannot convert ${from} to ${to}` : `Unknown unit: ${to}`, 'INVALID_ARGUMENTS');
+      }
+      result = value * UNITS[category][source] / UNITS[category][target];
+    }
+
+    return { value, from, to, result: Number(result.toPrecision(10)) };
+  }
+};
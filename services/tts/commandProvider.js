@@ -0,0 +1,86 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const TextToSpeechError = require('./textToSpeechError');
+
+// espeak's default speaking rate in words per minute, scaled by speed
+const BASE_WORDS_PER_MINUTE = 175;
+
+/**
+ * Text-to-speech through a local engine such as piper or espeak-ng, producing WAV.
+ *
+ * TTS_COMMAND is split on whitespace and run without a shell. Placeholders:
+ * {output} (WAV file to write), {voice}, {speed} and {rate} (words per
+ * minute). The text is always written to the command's stdin, never put in
+ * its arguments, where a reply starting with "-" would be read as an option.
+ * Examples:
+ *   "piper --model voices/{voice}.onnx --length_scale {speed} --output_file {output}"
+ *   "espeak-ng -v {voice} -s {rate} -w {output} --stdin"
+ */
+class CommandProvider {
+  constructor() {
+    this.name = 'command';
+    this.command = (process.env.TTS_COMMAND || '').trim().split(/\s+/).filter(Boolean);
+    this.timeout = parseInt(process.env.TTS_COMMAND_TIMEOUT_MS) || 60000;
+    this.formats = ['wav'];
+    this.defaultFormat = 'wav';
+    this.defaultVoice = 'en';
+    this.maxTextLength = 4096;
+  }
+
+  async synthesize(text, { voice, speed }) {
+    if (this.command.length === 0) {
+      throw new TextToSpeechError('TTS_COMMAND is not configured', 'TTS_NOT_CONFIGURED', 503);
+    }
+    if (this.command.some(part => part.includes('{text}'))) {
+      throw new TextToSpeechError('TTS_COMMAND must read the text from stdin; remove {text}', 'TTS_NOT_CONFIGURED', 503);
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-'));
+    const output = path.join(workDir, 'speech.wav');
+
+    try {
+      const values = {
+        '{output}': output,
+        '{voice}': voice,
+        '{speed}': String(speed),
+        '{rate}': String(Math.round(BASE_WORDS_PER_MINUTE * speed))
+      };
+      const [file, ...args] = this.command.map(part => part.replace(/\{(output|voice|speed|rate)\}/g, key => values[key]));
+
+      await this.run(file, args, text);
+      return await fs.readFile(output);
+
+    } catch (error) {
+      if (error instanceof TextToSpeechError) {
+        throw error;
+      }
+      throw new TextToSpeechError(`Text-to-speech command produced no audio: ${error.message}`);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  run(file, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(file, args, { timeout: this.timeout }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('TTS command error:', stderr || error.message);
+          if (error.killed) {
+            return reject(new TextToSpeechError('Text-to-speech command timeout', 'TTS_TIMEOUT', 504));
+          }
+          return reject(new TextToSpeechError(`Text-to-speech command failed: ${error.message}`));
+        }
+        resolve();
+      });
+
+      child.stdin.on('error', () => {
+        // Engine exited without reading stdin; the exit callback reports it
+      });
+      child.stdin.end(input);
+    });
+  }
+}
+
+module.exports = CommandProvider;
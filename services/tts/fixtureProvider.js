@@ -0,0 +1,46 @@
+// Assumed speaking rate used to size fixture audio
+const SECONDS_PER_WORD = 0.4;
+const SAMPLE_RATE = 16000;
+
+/**
+ * Deterministic text-to-speech for tests and local development: a short
+ * 16 kHz mono WAV tone whose length follows the word count and speed.
+ */
+class FixtureProvider {
+  constructor() {
+    this.name = 'fixture';
+    this.formats = ['wav'];
+    this.defaultFormat = 'wav';
+    this.defaultVoice = 'fixture';
+    this.maxTextLength = 4096;
+  }
+
+  async synthesize(text, { speed }) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    const seconds = Math.min(Math.max(words, 1) * SECONDS_PER_WORD / speed, 30);
+    const sampleCount = Math.round(seconds * SAMPLE_RATE);
+
+    const buffer = Buffer.alloc(44 + sampleCount * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(sampleCount * 2, 40);
+
+    for (let i = 0; i < sampleCount; i++) {
+      buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 3000), 44 + i * 2);
+    }
+
+    return buffer;
+  }
+}
+
+module.exports = FixtureProvider;
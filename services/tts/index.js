@@ -0,0 +1,33 @@
+const OpenAIProvider = require('./openaiProvider');
+const CommandProvider = require('./commandProvider');
+const FixtureProvider = require('./fixtureProvider');
+const TextToSpeechError = require('./textToSpeechError');
+
+/**
+ * Create the text-to-speech provider selected by TTS_PROVIDER:
+ * "openai" (default), "command" or "fixture".
+ *
+ * Every provider exposes name, formats, defaultFormat, defaultVoice and
+ * maxTextLength, and implements synthesize(text, { voice, speed, format })
+ * resolving to a Buffer of encoded audio or rejecting with a TextToSpeechError.
+ */
+const createTextToSpeechProvider = (type = process.env.TTS_PROVIDER || 'openai') => {
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider();
+    case 'command':
+      return new CommandProvider();
+    case 'fixture':
+      return new FixtureProvider();
+    default:
+      throw new Error(`Unknown text-to-speech provider: ${type}`);
+  }
+};
+
+module.exports = {
+  createTextToSpeechProvider,
+  TextToSpeechError,
+  OpenAIProvider,
+  CommandProvider,
+  FixtureProvider
+};
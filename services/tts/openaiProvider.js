@@ -0,0 +1,66 @@
+const axios = require('axios');
+const TextToSpeechError = require('./textToSpeechError');
+
+/**
+ * Text-to-speech through an OpenAI-compatible /audio/speech API.
+ */
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.apiKey = process.env.TTS_API_KEY || process.env.OPENAI_API_KEY;
+    this.baseURL = process.env.TTS_API_URL || 'https://api.openai.com/v1';
+    this.model = process.env.TTS_MODEL || 'tts-1';
+    this.formats = ['mp3', 'opus', 'aac', 'flac', 'wav'];
+    this.defaultFormat = 'mp3';
+    this.defaultVoice = 'alloy';
+    this.maxTextLength = 4096;
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: parseInt(process.env.TTS_TIMEOUT_MS) || 30000
+    });
+  }
+
+  /**
+   * Synthesize speech
+   * @param {string} text - Text to speak
+   * @param {Object} options - { voice, speed, format }
+   * @returns {Promise<Buffer>} Encoded audio
+   */
+  async synthesize(text, { voice, speed, format }) {
+    if (!this.apiKey) {
+      throw new TextToSpeechError('Text-to-speech API key not configured', 'TTS_NOT_CONFIGURED', 503);
+    }
+
+    try {
+      const response = await this.client.post('/audio/speech', {
+        model: this.model,
+        input: text,
+        voice,
+        speed,
+        response_format: format
+      }, {
+        headers: { 'Authorization': `Bearer ${this.apiKey}` },
+        responseType: 'arraybuffer'
+      });
+
+      return Buffer.from(response.data);
+
+    } catch (error) {
+      console.error('TTS API Error:', error.response?.status || error.message);
+
+      if (error.response?.status === 401) {
+        throw new TextToSpeechError('Invalid text-to-speech API key', 'TTS_AUTH_FAILED', 502);
+      } else if (error.response?.status === 400) {
+        throw new TextToSpeechError('Text-to-speech request rejected', 'TTS_INVALID_REQUEST', 422);
+      } else if (error.response?.status === 429) {
+        throw new TextToSpeechError('Text-to-speech rate limit exceeded', 'TTS_RATE_LIMITED', 429);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new TextToSpeechError('Text-to-speech request timeout', 'TTS_TIMEOUT', 504);
+      }
+      throw new TextToSpeechError(`Text-to-speech service error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,14 @@
+/**
+ * Error raised by text-to-speech providers. statusCode and code map directly
+ * onto the API error response.
+ */
+class TextToSpeechError extends Error {
+  constructor(message, code = 'TTS_ERROR', statusCode = 502) {
+    super(message);
+    this.name = 'TextToSpeechError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = TextToSpeechError;
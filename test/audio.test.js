@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { silentWav } = require('./helpers');
+const { prepareAudio } = require('../services/audio');
+const { MAX_AUDIO_SIZE } = require('../config/constants');
+
+test('an upload saved to disk is read by prepareAudio', async (t) => {
+  const file = path.join(os.tmpdir(), `upload-test-${process.pid}.wav`);
+  t.after(() => fs.rm(file, { force: true }));
+  const wav = Buffer.from(silentWav(), 'base64');
+  await fs.writeFile(file, wav);
+
+  const audio = await prepareAudio({ path: file, size: wav.length });
+  assert.strictEqual(audio.format, 'wav');
+  assert.strictEqual(audio.original.size, wav.length);
+});
+
+test('an oversized upload is rejected before it is read', async () => {
+  await assert.rejects(
+    prepareAudio({ path: path.join(os.tmpdir(), 'upload-test-missing'), size: MAX_AUDIO_SIZE + 1 }),
+    { code: 'AUDIO_TOO_LARGE' }
+  );
+});
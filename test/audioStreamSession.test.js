@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AudioStreamSession } = require('../services/audioStreamSession');
+const { parseWavHeader, createWavHeader } = require('../services/audio/wav');
+
+const limits = { windowSeconds: 2, maxBytes: 1000 };
+
+const createSession = (format) => {
+  const session = new AudioStreamSession('session', { onTimeout: () => {}, vad: false });
+  session.format = format;
+  return session;
+};
+
+// One second of 16 kHz mono 16-bit PCM per chunk, each filled with its index
+const pcmSecond = (index) => Buffer.alloc(32000, index);
+
+test('partials of a PCM stream cover only the last window', (t) => {
+  const session = createSession('pcm');
+  t.after(() => session.close());
+  for (let sequence = 0; sequence < 5; sequence++) {
+    session.addChunk({ sequence, data: pcmSecond(sequence) });
+  }
+
+  const partial = session.partialAudio(limits);
+  const header = parseWavHeader(partial.audio);
+  const data = partial.audio.subarray(header.dataOffset);
+
+  assert.strictEqual(partial.format, 'wav');
+  assert.strictEqual(partial.lastSequence, 4);
+  assert.strictEqual(partial.windowStart, 3);
+  assert.strictEqual(header.dataLength, 64000);
+  assert.deepStrictEqual(data, Buffer.concat([pcmSecond(3), pcmSecond(4)]));
+});
+
+test('partials of a WAV stream keep its header with the window lengths', (t) => {
+  const session = createSession('wav');
+  t.after(() => session.close());
+  // Streamed WAV: the header has no lengths yet
+  session.addChunk({ sequence: 0, data: Buffer.concat([createWavHeader({ sampleRate: 16000, dataLength: 0 }), pcmSecond(0)]) });
+  session.addChunk({ sequence: 1, data: pcmSecond(1) });
+  session.addChunk({ sequence: 2, data: pcmSecond(2) });
+  // After a gap, so not transcribed yet
+  session.addChunk({ sequence: 4, data: pcmSecond(4) });
+
+  const partial = session.partialAudio({ windowSeconds: 1.5, maxBytes: 0 });
+  const header = parseWavHeader(partial.audio);
+
+  assert.strictEqual(partial.lastSequence, 2);
+  assert.strictEqual(partial.windowStart, 1.5);
+  assert.strictEqual(header.dataLength, 48000);
+  assert.strictEqual(partial.audio.readUInt32LE(4), partial.audio.length - 8);
+  assert.deepStrictEqual(partial.audio.subarray(header.dataOffset), Buffer.concat([pcmSecond(1).subarray(16000), pcmSecond(2)]));
+});
+
+test('partials of formats that cannot be cut stop past the byte limit', (t) => {
+  const session = createSession('mp3');
+  t.after(() => session.close());
+  session.addChunk({ sequence: 0, data: Buffer.alloc(600, 1) });
+
+  const partial = session.partialAudio(limits);
+  assert.strictEqual(partial.format, 'mp3');
+  assert.strictEqual(partial.audio.length, 600);
+
+  session.addChunk({ sequence: 1, data: Buffer.alloc(600, 2) });
+  assert.strictEqual(session.partialAudio(limits), null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, silentWav } = require('./helpers');
+const { QuotaService } = require('../services/quotaService');
+
+test('/audio/transcribe counts against the quota and is refused once it is used up', async (t) => {
+  const quotaService = new QuotaService();
+  quotaService.plans = { ...quotaService.plans, free: { daily: { requests: 1 }, monthly: {} } };
+  const server = await startServer({ quotaService });
+  t.after(() => server.close());
+  const token = await server.register('alice');
+  const transcribe = () => server.request('POST', '/api/v1/audio/transcribe', {
+    token,
+    body: { audioData: silentWav() }
+  });
+
+  const [status, body] = await transcribe();
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.transcribedText, 'This is a fixture transcription.');
+
+  const [refusedStatus, refused] = await transcribe();
+  assert.strictEqual(refusedStatus, 429);
+  assert.strictEqual(refused.code, 'QUOTA_EXCEEDED');
+  assert.ok(refused.retryAfter > 0);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, silentWav } = require('./helpers');
+
+test('/audio/upload transcribes a raw audio body', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const token = await server.register('alice');
+
+  const response = await fetch(`${server.base}/api/v1/audio/upload`, {
+    method: 'POST',
+    headers: { 'content-type': 'audio/wav', authorization: `Bearer ${token}` },
+    body: Buffer.from(silentWav(), 'base64')
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.data.transcribedText, 'This is a fixture transcription.');
+  assert.strictEqual(body.data.response, 'reply 1');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthService } = require('../services/auth');
+const { MemoryStore } = require('../services/stores');
+const { hashPassword } = require('../services/auth/passwords');
+
+const createService = () => new AuthService({
+  store: new MemoryStore(),
+  secret: 'test-secret',
+  plans: ['free', 'pro']
+});
+
+const register = async (service, username) => (await service.register({ username, password: 'password123' })).user.id;
+
+test('setPlan puts an account on a configured plan and back on the default', async () => {
+  const service = createService();
+  const userId = await register(service, 'alice');
+
+  assert.strictEqual((await service.getAccount(userId)).plan, null);
+  assert.strictEqual((await service.setPlan(userId, 'pro')).plan, 'pro');
+
+  const { accessToken } = await service.login({ username: 'alice', password: 'password123' });
+  assert.strictEqual((await service.authenticate(accessToken)).plan, 'pro');
+  assert.strictEqual((await service.setPlan(userId, null)).plan, null);
+});
+
+test('setPlan rejects plans that are not configured', async () => {
+  const service = createService();
+  const userId = await register(service, 'alice');
+
+  await assert.rejects(service.setPlan(userId, 'enterprise'), { code: 'INVALID_PLAN', statusCode: 400 });
+  await assert.rejects(service.setPlan(userId, undefined), { code: 'INVALID_PLAN' });
+  assert.strictEqual((await service.getAccount(userId)).plan, null);
+});
+
+test('setPlan returns null for an unknown user', async () => {
+  assert.strictEqual(await createService().setPlan('user_missing', 'pro'), null);
+});
+
+test('sign-in looks the username up without reading every account', async () => {
+  const service = createService();
+  await register(service, 'alice');
+  await register(service, 'bob');
+  let scans = 0;
+  const entries = service.store.entries.bind(service.store);
+  service.store.entries = () => {
+    scans++;
+    return entries();
+  };
+
+  await service.login({ username: 'bob', password: 'password123' });
+  await assert.rejects(service.register({ username: 'alice', password: 'password123' }), { code: 'USERNAME_TAKEN' });
+  await assert.rejects(service.login({ username: 'carol', password: 'password123' }), { code: 'INVALID_CREDENTIALS' });
+  assert.strictEqual(scans, 0);
+});
+
+test('accounts stored before usernames were indexed are indexed once', async () => {
+  const store = new MemoryStore();
+  await store.save('user_1', { username: 'alice', passwordHash: await hashPassword('password123'), role: 'user', sessions: [], createdAt: 1 });
+  const service = new AuthService({ store, secret: 'test-secret', plans: ['free'] });
+
+  const { user } = await service.login({ username: 'alice', password: 'password123' });
+  assert.strictEqual(user.id, 'user_1');
+  assert.deepStrictEqual((await service.listAccounts()).map(account => account.username), ['alice']);
+
+  const restarted = new AuthService({ store, secret: 'test-secret', plans: ['free'] });
+  let scans = 0;
+  store.entries = async () => {
+    scans++;
+    return [];
+  };
+  await restarted.login({ username: 'alice', password: 'password123' });
+  assert.strictEqual(scans, 0);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calculator = require('../services/tools/calculator');
+
+const calculate = async (expression) => (await calculator.execute({ expression })).result;
+
+test('operator precedence and associativity', async () => {
+  assert.strictEqual(await calculate('1 + 2 * 3'), 7);
+  assert.strictEqual(await calculate('(1 + 2) * 3'), 9);
+  assert.strictEqual(await calculate('10 - 4 - 3'), 3);
+  assert.strictEqual(await calculate('24 / 4 / 2'), 3);
+  assert.strictEqual(await calculate('7 % 4'), 3);
+  assert.strictEqual(await calculate('2 ^ 3 ^ 2'), 512);
+  assert.strictEqual(await calculate('2 ** 10'), 1024);
+});
+
+test('unary minus binds looser than powers', async () => {
+  assert.strictEqual(await calculate('-2 ^ 2'), -4);
+  assert.strictEqual(await calculate('(-2) ^ 2'), 4);
+  assert.strictEqual(await calculate('2 ^ -1'), 0.5);
+  assert.strictEqual(await calculate('--3'), 3);
+});
+
+test('numbers, constants and functions', async () => {
+  assert.strictEqual(await calculate('1.5e3 + .5'), 1500.5);
+  assert.strictEqual(await calculate('round(PI * 100)'), 314);
+  assert.strictEqual(await calculate('sqrt(16) + log(1000) + ln(e)'), 8);
+  assert.strictEqual(await calculate('max(1, 5, 3) - min(4, 2)'), 3);
+  assert.strictEqual(await calculate('pow(2, 8)'), 256);
+});
+
+test('floating point noise is trimmed', async () => {
+  assert.strictEqual(await calculate('0.1 + 0.2'), 0.3);
+});
+
+test('invalid expressions are rejected', async () => {
+  for (const expression of ['', '1 +', '(1 + 2', '1 + 2)', '2 3', 'foo(1)', 'pow(2)', 'sqrt 4', '1 / 0', '5 % 0', 'sqrt(-1)', '1; process.exit()', 'x'.repeat(201)]) {
+    await assert.rejects(calculator.execute({ expression }), { code: 'INVALID_ARGUMENTS' }, expression);
+  }
+  await assert.rejects(calculator.execute({ expression: 42 }), { code: 'INVALID_ARGUMENTS' });
+});
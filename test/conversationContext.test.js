@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent, silentWav } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  token = await server.register('alice');
+});
+
+test.after(() => server.close());
+
+const chat = (body, as = token) => server.request('POST', '/api/v1/chat/message', { token: as, body });
+
+test('REST replies replay the earlier turns of the conversation', async () => {
+  const [, first] = await chat({ message: 'My name is Alice' });
+  assert.strictEqual(first.data.newConversation, true);
+  const { conversationId } = first.data;
+
+  const [status, second] = await chat({ message: 'What is my name?', conversationId });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(second.data.conversationId, conversationId);
+  assert.strictEqual(second.data.newConversation, false);
+  assert.deepStrictEqual(server.openRouter.transcript(server.openRouter.requests.length), [
+    ['user', 'My name is Alice'],
+    ['assistant', first.data.response],
+    ['user', 'What is my name?']
+  ]);
+});
+
+test('an unknown conversationId starts a new conversation under that ID', async () => {
+  const [status, body] = await chat({ message: 'Hello', conversationId: 'conv_client_chosen' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.conversationId, 'conv_client_chosen');
+  assert.strictEqual(body.data.newConversation, true);
+  assert.deepStrictEqual(server.openRouter.transcript(server.openRouter.requests.length), [['user', 'Hello']]);
+});
+
+test('an expired conversation starts afresh without its old turns', async () => {
+  const [, first] = await chat({ message: 'Remember this' });
+  const { conversationId } = first.data;
+  const { store } = server.app.conversationService;
+  const stored = await store.get(conversationId);
+  await store.save(conversationId, { ...stored, lastAccessed: Date.now() - 24 * 60 * 60 * 1000 });
+
+  const [, second] = await chat({ message: 'Do you remember?', conversationId });
+  assert.strictEqual(second.data.newConversation, true);
+  assert.deepStrictEqual(server.openRouter.transcript(server.openRouter.requests.length), [['user', 'Do you remember?']]);
+});
+
+test("another user's conversation is not found", async () => {
+  const [, first] = await chat({ message: 'Private' });
+  const bob = await server.register('bob');
+
+  const [status, body] = await chat({ message: 'Let me in', conversationId: first.data.conversationId }, bob);
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.code, 'CONVERSATION_NOT_FOUND');
+});
+
+test('socket chat_message continues a conversation started over REST', async () => {
+  const [, first] = await chat({ message: 'I live in Lisbon' });
+  const { conversationId } = first.data;
+  const socket = await server.connect(token);
+
+  const reply = nextEvent(socket, 'chat_response', 'error');
+  socket.emit('chat_message', { message: 'Where do I live?', conversationId });
+  const [event, data] = await reply;
+
+  assert.strictEqual(event, 'chat_response');
+  assert.strictEqual(data.conversationId, conversationId);
+  assert.strictEqual(data.newConversation, false);
+  assert.deepStrictEqual(server.openRouter.transcript(server.openRouter.requests.length), [
+    ['user', 'I live in Lisbon'],
+    ['assistant', first.data.response],
+    ['user', 'Where do I live?']
+  ]);
+});
+
+test('socket chat_message with an unknown conversationId starts it', async () => {
+  const socket = await server.connect(token);
+
+  const reply = nextEvent(socket, 'chat_response', 'error');
+  socket.emit('chat_message', { message: 'Hi', conversationId: 'conv_socket_new' });
+  const [event, data] = await reply;
+
+  assert.strictEqual(event, 'chat_response');
+  assert.strictEqual(data.conversationId, 'conv_socket_new');
+  assert.strictEqual(data.newConversation, true);
+});
+
+test('/audio/process answers the transcript with the conversation as context', async () => {
+  const [, first] = await chat({ message: 'Call me Al' });
+  const { conversationId } = first.data;
+
+  const [status, body] = await server.request('POST', '/api/v1/audio/process', {
+    token,
+    body: { audioData: silentWav(), conversationId }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.conversationId, conversationId);
+  assert.strictEqual(body.data.newConversation, false);
+  assert.deepStrictEqual(server.openRouter.transcript(server.openRouter.requests.length), [
+    ['user', 'Call me Al'],
+    ['assistant', first.data.response],
+    ['user', body.data.transcribedText]
+  ]);
+
+  const [, history] = await server.request('GET', `/api/v1/conversations/${conversationId}`, { token });
+  assert.strictEqual(history.data.messages.length, 4);
+});
+
+test('/audio/process with a new sessionId starts a conversation under it', async () => {
+  const [status, body] = await server.request('POST', '/api/v1/audio/process', {
+    token,
+    body: { audioData: silentWav(), sessionId: 'conv_voice_session' }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.conversationId, 'conv_voice_session');
+  assert.strictEqual(body.data.newConversation, true);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConversationService = require('../services/conversationService');
+const { MemoryStore } = require('../services/stores');
+
+const createService = () => new ConversationService(new MemoryStore());
+
+test('a conversation is accessible to its owner only', async () => {
+  const service = createService();
+  await service.addMessage('conv_1', 'user', 'hello', 'alice');
+
+  assert.strictEqual(await service.canAccess('conv_1', 'alice'), true);
+  assert.strictEqual(await service.canAccess('conv_1', 'bob'), false);
+  assert.strictEqual(await service.canAccess('conv_1', null), false);
+});
+
+test('an unknown conversation is accessible so it can be created', async () => {
+  const service = createService();
+
+  assert.strictEqual(await service.canAccess('conv_new', 'alice'), true);
+});
+
+test('a conversation without an owner is not accessible until claimed', async () => {
+  const service = createService();
+  await service.addMessage('conv_legacy', 'user', 'hello');
+
+  assert.strictEqual(await service.canAccess('conv_legacy', 'alice'), false);
+  assert.strictEqual(await service.canAccess('conv_legacy', null), false);
+
+  const claimed = await service.claimConversation('conv_legacy', 'alice');
+  assert.ok(claimed);
+  assert.strictEqual(await service.canAccess('conv_legacy', 'alice'), true);
+  assert.strictEqual(await service.canAccess('conv_legacy', 'bob'), false);
+});
+
+test('a conversation with an owner cannot be claimed by someone else', async () => {
+  const service = createService();
+  await service.addMessage('conv_1', 'user', 'hello', 'alice');
+
+  assert.strictEqual(await service.claimConversation('conv_1', 'bob'), null);
+  assert.strictEqual(await service.claimConversation('conv_missing', 'bob'), null);
+  assert.strictEqual(await service.canAccess('conv_1', 'alice'), true);
+});
@@ -0,0 +1,131 @@
+const { io } = require('socket.io-client');
+const { createApp } = require('../server');
+const { FixtureProvider: SpeechToTextFixture } = require('../services/stt');
+const { FixtureProvider: TextToSpeechFixture } = require('../services/tts');
+const TextToSpeechService = require('../services/textToSpeechService');
+const { createWavHeader } = require('../services/audio/wav');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Stands in for OpenRouterService: records every request and answers
+ * "reply N" (streamed in two chunks for streamMessage) without the network
+ */
+class StubOpenRouterService {
+  constructor() {
+    this.requests = [];
+  }
+
+  answer(options) {
+    this.requests.push(options);
+    return {
+      response: `reply ${this.requests.length}`,
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      model: options.model || 'stub-model',
+      attempts: 1,
+      toolCalls: [],
+      finishReason: 'stop'
+    };
+  }
+
+  async sendMessage(options) {
+    return { success: true, data: this.answer(options) };
+  }
+
+  async streamMessage({ onChunk, onComplete, ...options }) {
+    const { response, ...rest } = this.answer(options);
+    onChunk(response.slice(0, 3));
+    onChunk(response.slice(3));
+    onComplete({ fullResponse: response, ...rest });
+  }
+
+  // What the model was sent on the nth request (from 1): [role, content] pairs without system prompts
+  transcript(n) {
+    return this.requests[n - 1].messages
+      .filter(message => message.role !== 'system')
+      .map(({ role, content }) => [role, content]);
+  }
+
+  getHealth() {
+    return { status: 'healthy', models: {} };
+  }
+
+  async validateConnection() {
+    return true;
+  }
+}
+
+/**
+ * Start the server on a random port with in-memory stores, the stub above
+ * and fixture speech providers
+ * @param {Object} [options] - Passed to createApp
+ * @returns {Promise<Object>} { app, base, openRouter, register, request, connect, close }
+ */
+const startServer = async (options = {}) => {
+  const openRouter = new StubOpenRouterService();
+  const app = createApp({
+    openRouterService: openRouter,
+    speechToText: new SpeechToTextFixture(),
+    textToSpeechService: new TextToSpeechService(new TextToSpeechFixture()),
+    ...options
+  });
+  app.port = 0;
+  await app.start();
+  const base = `http://127.0.0.1:${app.server.address().port}`;
+  const sockets = [];
+
+  // [status, body]
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return [response.status, await response.json()];
+  };
+
+  // Access token of a new account
+  const register = async (username) => {
+    const [, body] = await request('POST', '/api/v1/auth/register', { body: { username, password: 'password123' } });
+    return body.data.accessToken;
+  };
+
+  const connect = (token) => new Promise((resolve, reject) => {
+    const socket = io(base, { auth: { token }, reconnection: false, transports: ['websocket'] });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  const close = async () => {
+    sockets.forEach(socket => socket.close());
+    await app.stop();
+  };
+
+  return { app, base, openRouter, register, request, connect, close };
+};
+
+// Resolve with the first of the events the socket emits: [event, data]
+const nextEvent = (socket, ...events) => new Promise((resolve) => {
+  const handlers = events.map(event => [event, (data) => {
+    handlers.forEach(([name, handler]) => socket.off(name, handler));
+    resolve([event, data]);
+  }]);
+  handlers.forEach(([name, handler]) => socket.on(name, handler));
+});
+
+// A second of silence as a base64 WAV (16 kHz mono)
+const silentWav = () => {
+  const data = Buffer.alloc(16000 * 2);
+  return Buffer.concat([createWavHeader({ sampleRate: 16000, dataLength: data.length }), data]).toString('base64');
+};
+
+module.exports = {
+  StubOpenRouterService,
+  startServer,
+  nextEvent,
+  silentWav
+};
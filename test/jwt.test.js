@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signToken, verifyToken } = require('../services/auth/jwt');
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('verifyToken returns the claims of a token it signed', () => {
+  const claims = verifyToken(signToken({ sub: 'user_1', sid: 'session_1' }, SECRET, 60), SECRET);
+
+  assert.strictEqual(claims.sub, 'user_1');
+  assert.strictEqual(claims.sid, 'session_1');
+  assert.strictEqual(claims.exp - claims.iat, 60);
+});
+
+test('verifyToken rejects a token signed with another secret', () => {
+  const token = signToken({ sub: 'user_1' }, 'other-secret', 60);
+
+  assert.throws(() => verifyToken(token, SECRET), { code: 'INVALID_TOKEN' });
+});
+
+test('verifyToken rejects a token whose claims were changed', () => {
+  const [header, , signature] = signToken({ sub: 'user_1' }, SECRET, 60).split('.');
+  const forged = encode({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+
+  assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, SECRET), { code: 'INVALID_TOKEN' });
+});
+
+test('verifyToken rejects other algorithms', () => {
+  const [, body] = signToken({ sub: 'user_1' }, SECRET, 60).split('.');
+  const header = encode({ alg: 'none', typ: 'JWT' });
+
+  assert.throws(() => verifyToken(`${header}.${body}.`, SECRET), { code: 'INVALID_TOKEN' });
+  assert.throws(() => verifyToken(`${header}.${body}.x`, SECRET), { code: 'INVALID_TOKEN' });
+});
+
+test('verifyToken rejects an expired token', () => {
+  const token = signToken({ sub: 'user_1' }, SECRET, -1);
+
+  assert.throws(() => verifyToken(token, SECRET), { code: 'TOKEN_EXPIRED' });
+});
+
+test('verifyToken rejects malformed tokens', () => {
+  for (const token of [undefined, '', 'abc', 'a.b', 'a.b.c.d']) {
+    assert.throws(() => verifyToken(token, SECRET), { code: 'INVALID_TOKEN' });
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent } = require('./helpers');
+const { MAX_MESSAGE_LENGTH } = require('../config/constants');
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  token = await server.register('alice');
+});
+
+test.after(() => server.close());
+
+test('REST refuses messages over MAX_MESSAGE_LENGTH', async () => {
+  const [status, body] = await server.request('POST', '/api/v1/chat/message', {
+    token,
+    body: { message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'MESSAGE_TOO_LONG');
+  assert.strictEqual(server.openRouter.requests.length, 0);
+});
+
+test('socket chat_message refuses messages over MAX_MESSAGE_LENGTH before anything is stored or sent', async () => {
+  const socket = await server.connect(token);
+
+  const reply = nextEvent(socket, 'error', 'chat_response');
+  socket.emit('chat_message', { messageId: 'm1', message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1), conversationId: 'conv_long' });
+  const [event, data] = await reply;
+
+  assert.strictEqual(event, 'error');
+  assert.strictEqual(data.code, 'MESSAGE_TOO_LONG');
+  assert.strictEqual(data.messageId, 'm1');
+  assert.strictEqual(server.openRouter.requests.length, 0);
+  assert.strictEqual(await server.app.conversationService.store.get('conv_long'), null);
+});
+
+test('socket chat_message refuses a missing message', async () => {
+  const socket = await server.connect(token);
+
+  const reply = nextEvent(socket, 'error', 'chat_response');
+  socket.emit('chat_message', { message: 42 });
+  const [event, data] = await reply;
+
+  assert.strictEqual(event, 'error');
+  assert.strictEqual(data.code, 'INVALID_MESSAGE');
+});
+
+test('a message at the limit is answered', async () => {
+  const socket = await server.connect(token);
+
+  const reply = nextEvent(socket, 'error', 'chat_response');
+  socket.emit('chat_message', { message: 'x'.repeat(MAX_MESSAGE_LENGTH) });
+  const [event] = await reply;
+
+  assert.strictEqual(event, 'chat_response');
+});
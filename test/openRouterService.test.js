@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OpenRouterService = require('../services/openRouterService');
+const { ModelSettings } = require('../services/modelSettings');
+
+const ENV = {
+  OPENROUTER_API_KEY: 'test-key',
+  OPENROUTER_MODEL: 'primary/model',
+  OPENROUTER_MAX_RETRIES: '0',
+  ALLOWED_MODELS: 'primary/model=4000,small/model=500',
+  OPENROUTER_FALLBACK_MODELS: 'unlisted/model,small/model'
+};
+
+// Service whose primary model is down, recording each request body
+const createService = (t) => {
+  const saved = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+  Object.assign(process.env, ENV);
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  const service = new OpenRouterService({ modelSettings: new ModelSettings() });
+  const bodies = [];
+  service.client.post = async (path, body) => {
+    bodies.push(body);
+    if (body.model === 'primary/model') {
+      throw Object.assign(new Error('Service unavailable'), { response: { status: 503, headers: {} } });
+    }
+    return { data: { choices: [{ message: { content: 'fallback reply' }, finish_reason: 'stop' }] } };
+  };
+  return { service, bodies };
+};
+
+test('fallback models must be on the allow-list', (t) => {
+  const { service } = createService(t);
+  assert.deepStrictEqual(service.fallbackModels, ['small/model']);
+});
+
+test('a fallback model gets maxTokens within its own limit', async (t) => {
+  const { service, bodies } = createService(t);
+
+  const result = await service.sendMessage({ message: 'hello', maxTokens: 3000 });
+
+  assert.strictEqual(result.data.model, 'small/model');
+  assert.deepStrictEqual(bodies.map(body => [body.model, body.max_tokens]), [
+    ['primary/model', 3000],
+    ['small/model', 500]
+  ]);
+});
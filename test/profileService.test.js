@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProfileService } = require('../services/profileService');
+const { ModelSettings } = require('../services/modelSettings');
+const { MemoryStore } = require('../services/stores');
+
+const createService = () => new ProfileService({
+  modelSettings: new ModelSettings(),
+  textToSpeechService: { normalizeSettings: () => ({}) },
+  store: new MemoryStore()
+});
+
+test('users see their own profiles and the shared ones', async () => {
+  const service = createService();
+  const own = await service.createProfile('alice', { name: 'Mine' });
+  const others = await service.createProfile('bob', { name: 'Bob' });
+  const shared = await service.createProfile(null, { name: 'Concierge', systemPrompt: 'You are a concierge.' });
+
+  assert.strictEqual(shared.shared, true);
+  assert.strictEqual(own.shared, false);
+  assert.deepStrictEqual((await service.listProfiles('alice')).map(profile => profile.name), ['Concierge', 'Mine']);
+  assert.deepStrictEqual((await service.listProfiles(null)).map(profile => profile.name), ['Concierge']);
+  assert.strictEqual((await service.getProfile(shared.id, 'alice')).systemPrompt, 'You are a concierge.');
+  assert.strictEqual(await service.getProfile(others.id, 'alice'), null);
+});
+
+test('only admins (ownerId null) change shared profiles', async () => {
+  const service = createService();
+  const shared = await service.createProfile(null, { name: 'Concierge' });
+  const own = await service.createProfile('alice', { name: 'Mine' });
+
+  assert.strictEqual(await service.updateProfile(shared.id, 'alice', { name: 'Hijacked' }), null);
+  assert.strictEqual(await service.deleteProfile(shared.id, 'alice'), false);
+  assert.strictEqual(await service.updateProfile(own.id, null, { name: 'Hijacked' }), null);
+  assert.strictEqual(await service.deleteProfile(own.id, null), false);
+
+  const updated = await service.updateProfile(shared.id, null, { name: 'Front desk' });
+  assert.strictEqual(updated.name, 'Front desk');
+  assert.strictEqual(updated.shared, true);
+  assert.strictEqual(await service.deleteProfile(shared.id, null), true);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QuotaService, QuotaError } = require('../services/quotaService');
+const { MemoryStore } = require('../services/stores');
+
+const createService = (plans) => {
+  const service = new QuotaService({ store: new MemoryStore() });
+  service.plans = plans;
+  service.defaultPlan = 'free';
+  return service;
+};
+
+test('requests and tokens are counted per day and month, by model', async () => {
+  const service = createService({ free: { daily: {}, monthly: {} } });
+  await service.recordRequest('alice');
+  await service.recordTokens('alice', 'model-a', { total_tokens: 15 });
+  await service.recordTokens('alice', 'model-a', { prompt_tokens: 3, completion_tokens: 2 });
+  await service.recordTokens('alice', 'model-b', {});
+
+  const usage = await service.getUsage({ id: 'alice' });
+  for (const period of ['daily', 'monthly']) {
+    assert.strictEqual(usage[period].requests, 1);
+    assert.strictEqual(usage[period].tokens, 20);
+    assert.deepStrictEqual(usage[period].byModel, { 'model-a': { requests: 2, tokens: 20 } });
+  }
+  assert.strictEqual((await service.getUsage({ id: 'bob' })).daily.requests, 0);
+});
+
+test('concurrent records are not lost', async () => {
+  const service = createService({ free: { daily: {}, monthly: {} } });
+  await Promise.all(Array.from({ length: 20 }, () => service.recordRequest('alice')));
+
+  assert.strictEqual((await service.getUsage({ id: 'alice' })).daily.requests, 20);
+});
+
+test('check refuses once a limit is reached, with the time until it resets', async () => {
+  const service = createService({ free: { daily: { requests: 2 }, monthly: { tokens: 100 } } });
+  const user = { id: 'alice' };
+
+  await service.check(user);
+  await service.recordRequest('alice');
+  await service.check(user);
+  await service.recordRequest('alice');
+
+  const error = await service.check(user).catch(caught => caught);
+  assert.ok(error instanceof QuotaError);
+  assert.strictEqual(error.code, 'QUOTA_EXCEEDED');
+  assert.strictEqual(error.statusCode, 429);
+  assert.match(error.message, /Daily request/);
+  assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+});
+
+test('check applies the user plan and its token limits', async () => {
+  const service = createService({
+    free: { daily: { tokens: 10 }, monthly: {} },
+    pro: { daily: { tokens: null }, monthly: {} }
+  });
+  await service.recordTokens('alice', 'model-a', { total_tokens: 10 });
+
+  await assert.rejects(service.check({ id: 'alice' }), { code: 'QUOTA_EXCEEDED' });
+  await assert.rejects(service.check({ id: 'alice', plan: 'unknown' }), { code: 'QUOTA_EXCEEDED' });
+  await service.check({ id: 'alice', plan: 'pro' });
+
+  const usage = await service.getUsage({ id: 'alice' });
+  assert.deepStrictEqual(usage.daily.remaining, { requests: null, tokens: 0 });
+});
+
+test('usage from an earlier period starts afresh', async () => {
+  const service = createService({ free: { daily: { requests: 1 }, monthly: {} } });
+  await service.store.save('alice', {
+    daily: { period: '2000-01-01', requests: 5, tokens: 50, byModel: {} },
+    monthly: { period: '2000-01', requests: 5, tokens: 50, byModel: {} }
+  });
+
+  await service.check({ id: 'alice' });
+  const usage = await service.getUsage({ id: 'alice' });
+  assert.strictEqual(usage.daily.requests, 0);
+  assert.strictEqual(usage.monthly.tokens, 0);
+});
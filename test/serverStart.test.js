@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { createApp } = require('../server');
+
+test('start rejects when the port is taken', async () => {
+  const running = await startServer();
+  const second = createApp({ openRouterService: running.openRouter });
+  second.port = running.app.server.address().port;
+
+  try {
+    await assert.rejects(second.start(), { code: 'EADDRINUSE' });
+  } finally {
+    await second.stop();
+    await running.close();
+  }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SocketRateLimiter } = require('../services/socketRateLimiter');
+
+const createLimiter = () => {
+  const limiter = new SocketRateLimiter();
+  limiter.limits = {
+    chat: {
+      socket: { capacity: 2, refillPerSecond: 1 },
+      user: { capacity: 3, refillPerSecond: 1 }
+    }
+  };
+  limiter.maxViolations = 3;
+  return limiter;
+};
+
+test('events without a budget are not limited', () => {
+  const limiter = createLimiter();
+
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(limiter.consume('socket_1', 'alice', 'audio_stream'), null);
+    assert.strictEqual(limiter.consume('socket_1', 'alice', 'ping'), null);
+  }
+});
+
+test('a socket is limited once its burst is spent', () => {
+  const limiter = createLimiter();
+
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message'), null);
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message'), null);
+
+  const limited = limiter.consume('socket_1', 'alice', 'chat_message');
+  assert.strictEqual(limited.budget, 'chat');
+  assert.strictEqual(limited.scope, 'socket');
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 1000);
+  assert.strictEqual(limited.violations, 1);
+  assert.strictEqual(limited.disconnect, false);
+});
+
+test("a user's sockets share the user budget", () => {
+  const limiter = createLimiter();
+
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message'), null);
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message'), null);
+  assert.strictEqual(limiter.consume('socket_2', 'alice', 'chat_message'), null);
+  assert.strictEqual(limiter.consume('socket_2', 'alice', 'chat_message').scope, 'user');
+  assert.strictEqual(limiter.consume('socket_3', 'bob', 'chat_message'), null);
+});
+
+test('a refused event spends nothing', () => {
+  const limiter = createLimiter();
+  limiter.consume('socket_1', 'alice', 'chat_message');
+  limiter.consume('socket_1', 'alice', 'chat_message');
+  limiter.consume('socket_1', 'alice', 'chat_message');
+
+  // The user budget still has the token the socket couldn't spend
+  assert.strictEqual(limiter.consume('socket_2', 'alice', 'chat_message'), null);
+});
+
+test('budgets refill over time', () => {
+  const limiter = createLimiter();
+  limiter.consume('socket_1', 'alice', 'chat_message');
+  limiter.consume('socket_1', 'alice', 'chat_message');
+
+  const bucket = limiter.sockets.get('socket_1').buckets.get('chat');
+  bucket.updatedAt -= 1000;
+  limiter.userBuckets.get('alice:chat').updatedAt -= 1000;
+
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message'), null);
+});
+
+test('repeated violations ask for a disconnect', () => {
+  const limiter = createLimiter();
+  limiter.consume('socket_1', 'alice', 'chat_message');
+  limiter.consume('socket_1', 'alice', 'chat_message');
+
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message').disconnect, false);
+  assert.strictEqual(limiter.consume('socket_1', 'alice', 'chat_message').disconnect, false);
+
+  const limited = limiter.consume('socket_1', 'alice', 'chat_message');
+  assert.strictEqual(limited.violations, 3);
+  assert.strictEqual(limited.disconnect, true);
+});
+
+test('release forgets the socket and refilled user budgets', () => {
+  const limiter = createLimiter();
+  limiter.consume('socket_1', 'alice', 'chat_message');
+  limiter.userBuckets.get('alice:chat').updatedAt -= 10000;
+
+  limiter.release('socket_1');
+  assert.strictEqual(limiter.sockets.has('socket_1'), false);
+  assert.strictEqual(limiter.userBuckets.has('alice:chat'), false);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+const login = async (username, deviceId) => {
+  const [, body] = await server.request('POST', '/api/v1/auth/login', {
+    body: { username, password: 'password123', deviceId }
+  });
+  return body.data;
+};
+
+const ended = (socket) => new Promise((resolve) => {
+  let code = null;
+  socket.on('error', (data) => {
+    code = data.code;
+  });
+  socket.on('disconnect', () => resolve(code));
+});
+
+test('signing out disconnects the sockets of that session only', async () => {
+  await server.register('alice');
+  const phone = await login('alice', 'phone');
+  const laptop = await login('alice', 'laptop');
+  const phoneSocket = await server.connect(phone.accessToken);
+  const laptopSocket = await server.connect(laptop.accessToken);
+  const phoneEnded = ended(phoneSocket);
+
+  const [status] = await server.request('POST', '/api/v1/auth/logout', { token: phone.accessToken });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(await phoneEnded, 'SESSION_REVOKED');
+  assert.strictEqual(laptopSocket.connected, true);
+});
+
+test('revoking a session from another device disconnects its sockets', async () => {
+  await server.register('bob');
+  const phone = await login('bob', 'phone');
+  const laptop = await login('bob', 'laptop');
+  const phoneSocket = await server.connect(phone.accessToken);
+  const phoneEnded = ended(phoneSocket);
+
+  const [status] = await server.request('DELETE', `/api/v1/auth/sessions/${phone.session.id}`, { token: laptop.accessToken });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(await phoneEnded, 'SESSION_REVOKED');
+});
+
+test('signing in again from the same device disconnects the replaced session', async () => {
+  await server.register('carol');
+  const first = await login('carol', 'phone');
+  const socket = await server.connect(first.accessToken);
+  const socketEnded = ended(socket);
+
+  await login('carol', 'phone');
+  assert.strictEqual(await socketEnded, 'SESSION_REVOKED');
+});
+
+test('a socket is disconnected when its access token expires', async () => {
+  await server.register('dave');
+  server.app.authService.accessTokenTtl = 1;
+  const { accessToken } = await login('dave', 'phone');
+  server.app.authService.accessTokenTtl = 900;
+  const socket = await server.connect(accessToken);
+
+  assert.strictEqual(await ended(socket), 'TOKEN_EXPIRED');
+});
+
+test('authenticate renews the token of a connected socket', async () => {
+  await server.register('erin');
+  server.app.authService.accessTokenTtl = 1;
+  const session = await login('erin', 'phone');
+  server.app.authService.accessTokenTtl = 900;
+  const socket = await server.connect(session.accessToken);
+
+  const [, refreshed] = await server.request('POST', '/api/v1/auth/refresh', { body: { refreshToken: session.refreshToken } });
+  const renewed = nextEvent(socket, 'authenticated', 'error');
+  socket.emit('authenticate', { token: refreshed.data.accessToken });
+  const [event, data] = await renewed;
+  assert.strictEqual(event, 'authenticated');
+  assert.strictEqual(data.sessionId, session.session.id);
+
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.strictEqual(socket.connected, true);
+});
+
+test("authenticate refuses another user's token", async () => {
+  const frank = await server.register('frank');
+  const grace = await server.register('grace');
+  const socket = await server.connect(frank);
+
+  const reply = nextEvent(socket, 'authenticated', 'error');
+  socket.emit('authenticate', { token: grace });
+  const [event, data] = await reply;
+  assert.strictEqual(event, 'error');
+  assert.strictEqual(data.code, 'INVALID_TOKEN');
+  assert.strictEqual(socket.connected, true);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createStore, MemoryStore, FileStore } = require('../services/stores');
+
+test('a file store creates its directory when first used and retries after a failure', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  // A file where the directory should go, so creating it fails
+  const directory = path.join(root, 'records');
+  await fs.writeFile(directory, '');
+
+  const store = new FileStore(directory);
+  await assert.rejects(store.get('a'), { code: 'EEXIST' });
+
+  await fs.rm(directory);
+  await store.save('a', { value: 1 });
+  assert.deepStrictEqual(await store.get('a'), { value: 1 });
+  assert.deepStrictEqual(await store.entries(), [['a', { value: 1 }]]);
+});
+
+test('STORE selects the backend, falling back to CONVERSATION_STORE', (t) => {
+  const saved = { STORE: process.env.STORE, CONVERSATION_STORE: process.env.CONVERSATION_STORE };
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  delete process.env.STORE;
+  delete process.env.CONVERSATION_STORE;
+  assert.ok(createStore('profile') instanceof MemoryStore);
+
+  process.env.CONVERSATION_STORE = 'file';
+  assert.ok(createStore('profile') instanceof FileStore);
+
+  process.env.STORE = 'memory';
+  assert.ok(createStore('profile') instanceof MemoryStore);
+});